@@ -3,6 +3,7 @@
 //  - Bootstraps MCIFData + MCIFAnalysis + optional MCIFLogic
 //  - Loads manifests (prompts, weights, schema)
 //  - Creates and manages sessions (createSession, saveResponse, compute final report)
+//  - Persists prompt order and current phase so unfinished sessions can be continued after a reload
 //  - Drives UI via MCIFUI (imported module)
 //  - Mirrors analysis-first UX: show mirror -> show domain pills -> persist -> progress
 //  - Writes ledger entries and stores audit-hash pointers via MCIFData
@@ -15,12 +16,16 @@ import MCIFUI from './ui.js';
 const DEFAULT_PROMPTS_PATH = 'prompts/prompts.json';
 const DEFAULT_WEIGHTS_PATH = 'config/weights.json';
 const DEFAULT_SCHEMA_PATH = 'schema/mcif-schema.json';
+const LEXICON_PACK_PATHS = ['schema/lexicons/en.json', 'schema/lexicons/es.json', 'schema/lexicons/de.json'];
 
 const State = {
   session: null,
   prompts: null,
   weights: null,
+  sessionWeights: null, // weights of the session's registered weight set (config.weightSet)
   schema: null,
+  lexicons: [],
+  locale: 'en', // session config.locale; selects the analysis lexicon pack
   currentPromptIndex: 0,
   sessionId: null,
   isPaused: false,
@@ -63,28 +68,74 @@ export async function initApp(opts = {}) {
     State.prompts = prompts;
     State.weights = weights;
     State.schema = schema;
+    // lexicon packs are optional — the engine falls back to its built-in English pack
+    const packs = await Promise.all(LEXICON_PACK_PATHS.map(p => fetchJSON(p).catch(e => { log('Lexicon pack skipped:', e.message); return null; })));
+    State.lexicons = packs.filter(Boolean);
 
     // initialize MCIFData (exposed as global MCIFData)
     if (!window.MCIFData) {
-      throw new Error('MCIFData not found — ensure src/data/data.js is loaded before app.js');
+      throw new Error('MCIFData not found — ensure engine/data.js is loaded before app.js');
     }
     // pick adapter intelligently (IndexedDB preferred)
     const adapterChoice = (typeof indexedDB !== 'undefined') ? 'indexeddb' : 'localstorage';
-    await window.MCIFData.init({ adapter: adapterChoice, adapterOptions: {} });
-    // inject a permissive validator for now; optionally swap with AJV
-    window.MCIFData.injectValidator(async (obj, schemaName) => ({ valid: true }));
+    // the bundled schema validator (engine/validator.js) built from the loaded schema; passed to init so
+    // stored sessions migrated to the current document version are validated before they are saved
+    if (!window.MCIFValidator) {
+      throw new Error('MCIFValidator not found — ensure engine/validator.js is loaded before app.js');
+    }
+    await window.MCIFData.init({ adapter: adapterChoice, adapterOptions: {}, validator: window.MCIFValidator.createValidator(State.schema) });
+    const migration = window.MCIFData.lastMigration;
+    if (migration && (migration.migrated && migration.migrated.length || migration.failed && migration.failed.length)) {
+      log('Session documents migrated to', migration.target, migration.migrated.length, 'failed:', migration.failed);
+    }
+    // optional local embeddings (engine/embeddings.js) — MCIFData.embedResponse fills ResponseObject.embeddings
+    if (window.MCIFEmbeddings) window.MCIFData.injectEmbeddings(window.MCIFEmbeddings);
 
     // init analysis engine (global MCIFAnalysis)
     if (!window.MCIFAnalysis) {
-      throw new Error('MCIFAnalysis not found — ensure src/analysis/analysis.js is loaded before app.js');
+      throw new Error('MCIFAnalysis not found — ensure engine/analysis.js is loaded before app.js');
     }
+    // lets DataLayer.rescoreSession re-run stored sessions without passing the engine each time
+    window.MCIFData.injectAnalysisEngine(window.MCIFAnalysis);
     // analysis engine has init(weights, prompts) method? our analysis.js exposes `init` that accepts {weights, prompts}
     if (typeof window.MCIFAnalysis.init === 'function') {
-      window.MCIFAnalysis.init({ weights: State.weights, prompts: State.prompts });
+      let loadReport;
+      try {
+        loadReport = window.MCIFAnalysis.init({
+          weights: State.weights,
+          prompts: State.prompts,
+          lexicons: State.lexicons,
+          schema: State.schema
+        });
+      } catch (e) {
+        // strict integrity_checks rejected weights.json — keep the rejection in the ledger
+        if (e.integrity) await window.MCIFData.recordManifestCheck(e.integrity, { source: DEFAULT_WEIGHTS_PATH });
+        throw e;
+      }
+      if (loadReport && loadReport.integrity) {
+        await window.MCIFData.recordManifestCheck(loadReport.integrity, { source: DEFAULT_WEIGHTS_PATH });
+        if (!loadReport.integrity.passed) log('weights.json integrity warnings:', loadReport.integrity.failures);
+      }
+      if (loadReport && loadReport.unresolvedSubmetrics.length) {
+        log('Submetrics without a dedicated scorer:', loadReport.unresolvedSubmetrics);
+      }
+      if (loadReport && loadReport.promptIssues.length) {
+        log('Prompt metric mappings not found in weights.json phases:', loadReport.promptIssues);
+      }
+      if (loadReport && loadReport.archetypeIssues.length) {
+        log('Archetype mapping issues in weights.json:', loadReport.archetypeIssues);
+      }
       // store prompts in analysis engine internals for scoring fallbacks
       window.MCIFAnalysis._prompts = State.prompts;
     }
 
+    // bundled weights.json is the 'default' weight set; pilot sets are registered alongside it
+    try {
+      await window.MCIFData.registerWeightSet('default', State.weights, { description: 'Bundled schema/weights.json' });
+    } catch (e) {
+      error('Default weight set not registered (edit weights.json version when changing weights)', e);
+    }
+
     // optional logic module
     if (window.MCIF && typeof window.MCIF.init === 'function') {
       try {
@@ -93,6 +144,7 @@ export async function initApp(opts = {}) {
     }
 
     // Initialize UI with callbacks
+    MCIFUI.setWeightSets(await window.MCIFData.listWeightSets());
     MCIFUI.initUI({
       onStart: onStartSession,
       onSubmitResponse: onSubmitResponse,
@@ -101,11 +153,17 @@ export async function initApp(opts = {}) {
       onDemo: onRunDemo,
       onPause: onPauseSession,
       onSkip: onSkipPrompt,
-      onPhaseJump: onJumpToPhase
+      onPhaseJump: onJumpToPhase,
+      onOpenLedger: onOpenLedger,
+      onOpenCohort: onOpenCohort,
+      onResume: onResumeSession,
+      onDiscard: onDiscardSession
     });
 
-    // initial render
+    // initial render — phase labels come from weights.json phases
+    MCIFUI.setPhaseNames(window.MCIFAnalysis.getPhaseDefinitions().map(p => p.name));
     MCIFUI.renderPhases(1, 6);
+    await refreshUnfinishedSessions();
     log('MCIF App initialized successfully.');
     // expose debug state
     window.__MCIF_STATE = State;
@@ -133,15 +191,20 @@ async function onStartSession(cfg = {}) {
       ownerId: cfg.username || null,
       tier: cfg.tier || 'Explorer',
       mode: 'guided',
+      locale: cfg.locale || 'en',
+      weightSet: cfg.weightSet || 'default',
       privacy: { storePersonalData: false, retainLedgerHashOnly: true }
     });
     State.session = sessionDoc;
+    State.locale = sessionDoc.session.config.locale;
+    State.sessionWeights = await resolveSessionWeights(sessionDoc);
     State.sessionId = sessionDoc.session.id;
     State.startedAt = Date.now();
     State.currentPromptIndex = 0;
     State.scoredPhases = [];
     // Generate prompt order: we will present one prompt per phase using prompts manifest.
     generatePromptOrder();
+    await persistProgress(1);
 
     // UI shift: hide splash, show session screen
     document.getElementById('splash')?.classList.add('hidden');
@@ -168,6 +231,8 @@ async function onRunDemo() {
     const sessionDoc = await window.MCIFData.createSession({ ownerId: null, tier: 'Explorer', privacy: { storePersonalData: false, retainLedgerHashOnly: true } });
     State.session = sessionDoc;
     State.sessionId = sessionDoc.session.id;
+    State.locale = sessionDoc.session.config.locale;
+    State.sessionWeights = await resolveSessionWeights(sessionDoc);
     State.currentPromptIndex = 0;
     generatePromptOrder();
     // seed demo inputs? we'll just load first prompt
@@ -182,6 +247,99 @@ async function onRunDemo() {
   }
 }
 
+/**
+ * onResumeSession(sessionId)
+ * Restores an unfinished session after a reload: prompt order and phase from session.progress,
+ * earlier answers (with their stored analysis) from phaseProgress.
+ */
+async function onResumeSession(sessionId) {
+  try {
+    log('Resuming session', sessionId);
+    const sessionDoc = await window.MCIFData.resumeSession(sessionId);
+    State.session = sessionDoc;
+    State.sessionId = sessionDoc.session.id;
+    State.locale = sessionDoc.session.config.locale || 'en';
+    State.sessionWeights = await resolveSessionWeights(sessionDoc);
+    State.startedAt = sessionDoc.session.createdAt;
+    State.isPaused = false;
+    State.scoredPhases = restoreScoredPhases(sessionDoc);
+    restorePromptOrder(sessionDoc.session.progress.promptOrder);
+    const phase = sessionDoc.session.progress.currentPhase;
+    State.currentPromptIndex = phase - 1;
+
+    document.getElementById('splash')?.classList.add('hidden');
+    // every phase answered but the report was never computed (tab closed during finalization)
+    if (State.scoredPhases.some(sp => Number(sp.phaseId) === 6)) {
+      await finalizeSessionAndShowReport();
+      return;
+    }
+    document.getElementById('session-screen')?.classList.remove('hidden');
+    MCIFUI.renderPrompt(phase, getPromptForPhase(phase));
+    MCIFUI.setPhase(phase);
+    log('Session resumed at phase', phase);
+  } catch (e) {
+    error('onResumeSession error', e);
+    alert('Could not continue session: ' + e.message);
+  }
+}
+
+async function onDiscardSession(sessionId) {
+  try {
+    await window.MCIFData.abandonSession(sessionId, { reason: 'discarded' });
+    log('Session discarded', sessionId);
+  } catch (e) {
+    error('onDiscardSession error', e);
+  }
+  await refreshUnfinishedSessions();
+}
+
+async function refreshUnfinishedSessions() {
+  try {
+    MCIFUI.setUnfinishedSessions(await window.MCIFData.listUnfinishedSessions());
+  } catch (e) {
+    error('Unfinished sessions could not be listed', e);
+  }
+}
+
+// Save prompt order and the phase on screen to the session document (see onResumeSession)
+async function persistProgress(currentPhase) {
+  if (!State.sessionId) return;
+  try {
+    await window.MCIFData.updateSessionProgress(State.sessionId, {
+      promptOrder: State.promptOrder.map(p => ({ phaseId: p.phaseId, promptId: p.prompt.id })),
+      currentPhase
+    });
+  } catch (e) {
+    error('Progress not saved', e);
+  }
+}
+
+// Stored responses (with the analysis attached at submit time) in the shape onSubmitResponse accumulates
+function restoreScoredPhases(sessionDoc) {
+  const scored = [];
+  (sessionDoc.session.phaseProgress || [])
+    .slice()
+    .sort((a, b) => a.phaseId - b.phaseId)
+    .forEach(pp => (pp.responses || []).forEach(r => {
+      const analysis = r.analysis || {};
+      scored.push({
+        phaseId: pp.phaseId,
+        domainContributions: analysis.domainContributions || {},
+        subScores: analysis.subScores || {},
+        probabilities: analysis.probabilities || {},
+        responses: [{ id: r.id, promptId: r.promptId, text: r.text, embeddings: r.embeddings, embeddingModel: r.embeddingModel, analysis }],
+        timestamps: r.timestamps || {}
+      });
+    }));
+  return scored;
+}
+
+// Weights manifest the session was created under (registry), else the bundled weights.json
+async function resolveSessionWeights(sessionDoc) {
+  const record = await window.MCIFData.getWeightSet(sessionDoc.session.config.weightSet);
+  return record ? record.weights : State.weights;
+}
+
 // -----------------------------
 // Prompt & Phase helpers
 // -----------------------------
@@ -202,13 +360,24 @@ function generatePromptOrder() {
   log('Prompt order generated', State.promptOrder.map(p => p.prompt.id));
 }
 
+// Rebuild State.promptOrder from persisted { phaseId, promptId } pairs; unknown or missing ids fall back to generatePromptOrder's choice
+function restorePromptOrder(saved = []) {
+  generatePromptOrder();
+  const list = (State.prompts && State.prompts.prompts) || [];
+  saved.forEach(s => {
+    const prompt = list.find(x => x.id === s.promptId);
+    const entry = State.promptOrder.find(p => Number(p.phaseId) === Number(s.phaseId));
+    if (prompt && entry) entry.prompt = prompt;
+  });
+}
+
 function fallbackPromptTextForPhase(p) {
   const map = {
     1: 'Describe an everyday object as if perceived for the first time.',
     2: 'Design a sustainable fix for a team missing deadlines.',
-    3: 'Explain why scrolling your phone eases pre-speech anxiety.',
-    4: 'You understand your patterns but rarely act; what blocks you?',
-    5: 'Invent a new form of intelligence measurement superior to IQ.',
+    3: 'Invent a new form of intelligence measurement superior to IQ.',
+    4: 'Explain why scrolling your phone eases pre-speech anxiety.',
+    5: 'You understand your patterns but rarely act; what blocks you?',
     6: 'Is human potential fixed or ever-expanding?'
   };
   return map[p] || 'Reflect on this prompt.';
@@ -231,18 +400,27 @@ function getPromptForPhase(phaseNum) {
  *  4. Appends to local scoredPhases to be used in final composite
  *  5. Returns object expected by UI: { mirrorText, domainScores, followups }
  */
-async function onSubmitResponse(responseObj) {
+async function onSubmitResponse(uiResponse) {
   try {
-    log('Received response from UI', responseObj);
+    log('Received response from UI', uiResponse);
+    // the UI does not know the session; attach it so the object satisfies ResponseObject
+    const responseObj = Object.assign({}, uiResponse, { sessionId: State.sessionId });
+    // embed before analysis so it can compare against the prompt and earlier answers (saveResponse keeps the vector)
+    await window.MCIFData.embedResponse(responseObj);
 
-    // 1) Analysis — prepare a phaseDef for deeper scoring (we derive metrics from white page)
+    // 1) Analysis — score against the phases of the session's weight set
     const phaseNum = Number(responseObj.phaseId || responseObj.phase || 1);
-    const phaseDef = makePhaseDefinition(phaseNum);
+    const weights = State.sessionWeights || State.weights;
 
     // Use MCIFAnalysis.scoreResponse (returns rawMetrics, subScores, probabilities, explanations, psycholinguistic)
     let analysisResult = null;
     try {
-      analysisResult = await window.MCIFAnalysis.scoreResponse(responseObj, phaseDef, { weightSet: State.weights });
+      // phase id (not a prebuilt definition) so the engine reads the phases of the session's weight set
+      analysisResult = await window.MCIFAnalysis.scoreResponse(responseObj, phaseNum, {
+        weightSet: weights,
+        locale: State.locale,
+        previousResponses: collectPreviousResponses(phaseNum)
+      });
     } catch (err) {
       log('analysis.scoreResponse failed — building fallback analysis', err);
       analysisResult = { rawMetrics: {}, subScores: {}, probabilities: { coherence: 0.5, novelty: 0.3 }, explanations: [{ metric: 'mirror', reason: 'Unable to analyze automatically.' }], psycholinguistic: {} };
@@ -255,7 +433,7 @@ async function onSubmitResponse(responseObj) {
     }
 
     // compute domainScores mapping for UI pills — convert analysisResult.domainContributions into readable scores
-    const domainScores = mapDomainContributionsToDomainScores(analysisResult.domainContributions || {}, State.weights);
+    const domainScores = mapDomainContributionsToDomainScores(analysisResult.domainContributions || {}, weights);
 
     // maybe produce followups (simple heuristic: if novelty high but coherence low -> ask clarifying question)
     const followups = generateFollowupsFromAnalysis(analysisResult);
@@ -272,11 +450,18 @@ async function onSubmitResponse(responseObj) {
 
     // 4) accumulate scoredPhases structure for composite: phase-level aggregation
     const scoredPhase = {
-      phaseId,
+      phaseId: phaseNum,
       domainContributions: analysisResult.domainContributions || {},
       subScores: analysisResult.subScores || {},
       probabilities: analysisResult.probabilities || {},
-      responses: [{ id: responseWithAnalysis.id, text: responseWithAnalysis.text, analysis: analysisResult }],
+      responses: [{
+        id: responseWithAnalysis.id,
+        promptId: responseWithAnalysis.promptId,
+        text: responseWithAnalysis.text,
+        embeddings: responseWithAnalysis.embeddings,
+        embeddingModel: responseWithAnalysis.embeddingModel,
+        analysis: analysisResult
+      }],
       timestamps: responseWithAnalysis.timestamps || {}
     };
     State.scoredPhases.push(scoredPhase);
@@ -286,7 +471,7 @@ async function onSubmitResponse(responseObj) {
       actor: 'frontend',
       action: 'RESPONSE_ANALYZED',
       sessionId: State.sessionId,
-      payload: { responseId: responseWithAnalysis.id, phaseId },
+      payload: { responseId: responseWithAnalysis.id, phaseId: phaseNum },
       rationale: 'Front-end persisted response and analysis'
     }, State.session.session.config.privacy);
 
@@ -295,6 +480,7 @@ async function onSubmitResponse(responseObj) {
     if (currentPhaseInOrder < 6) {
       // advance
       const nextPhase = currentPhaseInOrder + 1;
+      await persistProgress(nextPhase);
       // small delay to let user read mirror, then present next prompt
       setTimeout(() => {
         const nextPrompt = getPromptForPhase(nextPhase);
@@ -319,18 +505,13 @@ async function onSubmitResponse(responseObj) {
 // Utilities used by onSubmitResponse
 // -----------------------------
 
-function makePhaseDefinition(phaseNum) {
-  // Build a phaseDef consistent with analysis.js expectations (metrics/submetrics/domains)
-  // Use white page mapping
-  const phaseMap = {
-    1: { id: 1, name: 'Perceptual Awareness', metrics: [{ id: 'detail', name: 'Detail' }, { id: 'sensoryEmotionLink', name: 'Sensory-Emotion Link' }, { id: 'conceptDepth', name: 'Concept Depth' }], submetrics: { detail: 0.5, sensoryEmotionLink: 0.3, conceptDepth: 0.2 }, domains: ['perception', 'philosophy'] },
-    2: { id: 2, name: 'Cognitive Mechanics', metrics: [{ id: 'logic', name: 'Logic' }, { id: 'systems', name: 'Systems Thinking' }, { id: 'practicalCreativity', name: 'Practical Creativity'}], submetrics: { logic:0.4, systems:0.35, practicalCreativity:0.25 }, domains: ['logic','adaptability'] },
-    3: { id: 3, name: 'Emotive Intelligence', metrics: [{id:'emotionalIdentification',name:'Emotional Identification'},{id:'causalInsight',name:'Causal Insight'},{id:'selfCompassion',name:'Self-Compassion'}], submetrics:{emotionalIdentification:0.3,causalInsight:0.4,selfCompassion:0.3}, domains:['emotion','metaAwareness'] },
-    4: { id: 4, name: 'Meta-Cognitive Insight', metrics: [{id:'metaAwareness',name:'Meta-Awareness'},{id:'processDiagnosis',name:'Process Diagnosis'},{id:'remedyClarity',name:'Remedy Clarity'}], submetrics:{metaAwareness:0.4,processDiagnosis:0.4,remedyClarity:0.2}, domains:['metaAwareness','adaptability'] },
-    5: { id: 5, name: 'Creative Intelligence', metrics: [{id:'novelty',name:'Novelty'},{id:'coherence',name:'Coherence'},{id:'integration',name:'Integration'}], submetrics:{novelty:0.4,coherence:0.3,integration:0.3}, domains:['creativity','philosophy'] },
-    6: { id: 6, name: 'Philosophical Depth', metrics: [{id:'depth',name:'Depth'},{id:'logicalConsistency',name:'Logical Consistency'},{id:'existentialClarity',name:'Existential Clarity'}], submetrics:{depth:0.4,logicalConsistency:0.3,existentialClarity:0.3}, domains:['philosophy','metaAwareness'] }
-  };
-  return phaseMap[phaseNum] || phaseMap[1];
+// Earlier-phase responses of this session, for cross-phase coherence scoring
+function collectPreviousResponses(phaseNum) {
+  return State.scoredPhases
+    .filter(sp => Number(sp.phaseId) < Number(phaseNum))
+    .reduce((acc, sp) => acc.concat((sp.responses || []).map(r => ({
+      id: r.id, phaseId: sp.phaseId, promptId: r.promptId, text: r.text, embeddings: r.embeddings, embeddingModel: r.embeddingModel
+    }))), []);
 }
 
 function extractMirrorFromAnalysis(analysisResult) {
@@ -460,6 +641,39 @@ async function onExportSession() {
   }
 }
 
+/**
+ * onOpenLedger()
+ * Loads the current session's ledger and verifies its hash chain for the "My Ledger" dialog.
+ */
+async function onOpenLedger() {
+  if (!State.sessionId) return { entries: [], verification: null };
+  try {
+    const [entries, verification] = await Promise.all([
+      window.MCIFData.listLedgerEntries(State.sessionId),
+      window.MCIFData.verifyLedger(State.sessionId)
+    ]);
+    log('Ledger verified', verification.valid, verification.issues.length);
+    return { entries, verification };
+  } catch (e) {
+    error('Ledger load failed', e);
+    return { entries: [], verification: null };
+  }
+}
+
+/**
+ * onOpenCohort()
+ * Aggregates every completed session's finalReport for the cohort dashboard (MCIFCohort).
+ */
+async function onOpenCohort() {
+  if (!window.MCIFCohort) {
+    error('MCIFCohort not loaded — check engine/cohort.js');
+    return null;
+  }
+  const summary = await window.MCIFCohort.analyzeCohort(window.MCIFData);
+  log('Cohort analyzed', summary.n, 'completed sessions');
+  return summary;
+}
+
 async function onPauseSession() {
   State.isPaused = !State.isPaused;
   log('Pause toggled', State.isPaused);
@@ -491,6 +705,7 @@ async function onSkipPrompt(phaseNum) {
       const nextPrompt = getPromptForPhase(next);
       MCIFUI.renderPrompt(next, nextPrompt);
       MCIFUI.setPhase(next);
+      await persistProgress(next);
     }
     // ledger
     await window.MCIFData.appendLedgerEntry({
@@ -509,6 +724,7 @@ function onJumpToPhase(phaseNum) {
   const prompt = getPromptForPhase(p);
   MCIFUI.renderPrompt(p, prompt);
   MCIFUI.setPhase(p);
+  persistProgress(p);
   log('Jumped to phase', p);
 }
 
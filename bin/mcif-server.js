@@ -0,0 +1,584 @@
+#!/usr/bin/env node
+/**
+ * bin/mcif-server.js
+ * MCIF 7.1 — Reference storage server (Node built-in modules only)
+ *
+ * Responsibilities:
+ *  - serve the storage protocol of the remote adapter (engine/data.js, RemoteAdapter) over a folder of JSON files (fs adapter)
+ *  - session, response and ledger endpoints that run the DataLayer on the server
+ *  - validate every stored document against schema/mcif-schema.json and keep the ledger append-only
+ *  - score sessions on the server (POST /api/sessions/<id>/report) so the stored report does not depend on client code
+ *
+ * Usage:
+ *   node bin/mcif-server.js --data ./mcif_data --port 8787 --token "$MCIF_TOKEN"
+ *   browser: MCIFData.init({ adapter: 'remote', adapterOptions: { endpoint: 'http://localhost:8787/api', authToken } })
+ *
+ * Endpoints (JSON; Authorization: Bearer <token> when a token is configured):
+ *   GET    /api/health                      versions and server mode
+ *   GET    /api/keys?prefix=<p>             storage protocol (see RemoteAdapter in engine/data.js)
+ *   GET    /api/items/<key>                 { key, rev, value }
+ *   PUT    /api/items/<key>                 { value, baseRev } → { key, rev } | 409 conflict
+ *   DELETE /api/items/<key>
+ *   GET    /api/export                      { items }
+ *   GET    /api/sessions                    { sessions: [id] }
+ *   POST   /api/sessions                    createSession(config) → 201 { session }
+ *   GET    /api/sessions/<id>               { session }
+ *   DELETE /api/sessions/<id>               deleteSession (the ledger keeps a SESSION_DELETE entry)
+ *   POST   /api/sessions/<id>/responses     saveResponse(response) → 201 { session, ledgerEntry }
+ *   POST   /api/sessions/<id>/report        computeAndPersistReport with the server's engine → { finalReport, ledgerEntry }
+ *   GET    /api/sessions/<id>/ledger        { sessionId, entries, verification }
+ *   GET    /api/ledger                      the global chain (weight sets, manifest checks)
+ *   POST   /api/ledger                      { actor, action, sessionId, payload, rationale } → 201 entry
+ *
+ * Writes through the storage protocol are checked by key prefix: sessions must be valid SessionDocuments,
+ * ledger entries must be valid, correctly hashed and extend their chain head, and ledger entries, chain heads and
+ * weight sets can never be replaced or deleted. The report endpoint re-scores every response with the server's
+ * engine and weights; with --authoritative-scoring clients cannot write finalReport or archetype themselves.
+ * Encrypted values (createEncryptedAdapter over the remote adapter) cannot be validated and are refused unless
+ * --allow-encrypted is given. Writes are applied one at a time; the DataLayer is a singleton, so one server per process.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+
+const MCIFData = require('../engine/data.js');
+const MCIFAnalysis = require('../engine/analysis.js');
+const MCIFValidator = require('../engine/validator.js');
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'schema', 'mcif-schema.json');
+const DEFAULT_WEIGHTS_PATH = path.join(__dirname, '..', 'schema', 'weights.json');
+const DEFAULT_PROMPTS_PATH = path.join(__dirname, '..', 'schema', 'prompts.json');
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_MAX_BODY = 1024 * 1024;
+const API_PREFIX = '/api';
+// storage keys become file names in the data folder: no path separators
+const KEY_PATTERN = /^[A-Za-z0-9_\-:@.]+$/;
+const ID_PATTERN = /^[a-zA-Z0-9_\-:]+$/;
+const ACTION_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const APPEND_ONLY_PREFIXES = ['ledger:', 'ledgerHead:', 'weightset:'];
+const ENCRYPTION_KEYRING_KEY = 'encryption:keyring';
+
+const USAGE = `Usage:
+  mcif-server [--data <folder>] [--port <n>] [--token <secret>]
+
+Options:
+  --data <folder>           storage folder (default: ./mcif_data)
+  --port <n>                port (default: ${DEFAULT_PORT})
+  --host <address>          interface to listen on (default: ${DEFAULT_HOST})
+  --token <secret>          require Authorization: Bearer <secret> (default: $MCIF_TOKEN)
+  --cors <origin>           allow browser requests from this origin (e.g. http://localhost:8080 or *)
+  --max-body <bytes>        largest accepted request body (default: ${DEFAULT_MAX_BODY})
+  --weights <file>          weights manifest used for scoring (default: schema/weights.json)
+  --prompts <file>          prompts manifest (default: schema/prompts.json)
+  --authoritative-scoring   only the server may write finalReport/archetype (POST /api/sessions/<id>/report)
+  --allow-encrypted         accept encrypted values (stored unvalidated; the server cannot score them)
+  --lenient                 accept a weights manifest that fails integrity_checks (warn instead)
+  --quiet                   do not log requests
+  -h, --help                show this help`;
+
+// -------------------------------
+// Helpers
+// -------------------------------
+
+class UsageError extends Error {}
+
+class HttpError extends Error {
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read ${file}: ${e.message}`);
+  }
+}
+
+// content hash: the same document always has the same rev, also across restarts
+function revOf(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value), 'utf8').digest('hex').slice(0, 16);
+}
+
+function sameJSON(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+function isEncryptedValue(v) {
+  return !!v && typeof v === 'object' && v.mcifEncrypted === 1;
+}
+
+function checkKey(key) {
+  if (!KEY_PATTERN.test(key) || key.includes('..')) throw new HttpError(400, 'invalid_key', `Invalid storage key: ${key}`);
+}
+
+function checkId(id) {
+  if (!ID_PATTERN.test(id)) throw new HttpError(400, 'invalid_id', `Invalid session id: ${id}`);
+}
+
+// DataLayer methods throw plain errors; map the ones caused by the request
+function toHttpError(e) {
+  if (e instanceof HttpError) return e;
+  const message = e && e.message ? e.message : String(e);
+  if (/not found/i.test(message)) return new HttpError(404, 'not_found', message);
+  if (/validation failed|invalid|unknown weight set|not registered/i.test(message)) return new HttpError(422, 'invalid', message);
+  return new HttpError(500, 'internal', message);
+}
+
+function readBody(req, maxBody) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      // keep draining so the 413 response can still be sent on this connection
+      if (size > maxBody) return;
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > maxBody) { reject(new HttpError(413, 'too_large', `Request body exceeds ${maxBody} bytes`)); return; }
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw) { resolve(null); return; }
+      try {
+        resolve(JSON.parse(raw));
+      } catch (e) {
+        reject(new HttpError(400, 'invalid_json', `Request body is not JSON: ${e.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function authorized(req, token) {
+  if (!token) return true;
+  const header = String(req.headers.authorization || '');
+  const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(token);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// -------------------------------
+// Write checks (storage protocol)
+// -------------------------------
+
+async function validateAs(ctx, value, definition) {
+  const v = await ctx.validator(value, definition);
+  if (!v.valid) throw new HttpError(422, 'schema', `Value is not a valid ${definition}`, { errors: v.errors });
+}
+
+function chainOfHeadKey(key) {
+  return key.slice('ledgerHead:'.length);
+}
+
+async function checkLedgerEntry(ctx, key, entry) {
+  await validateAs(ctx, entry, 'LedgerEntry');
+  if (key !== `ledger:${entry.id}`) throw new HttpError(422, 'key_mismatch', `Ledger entry ${entry.id} stored under ${key}`);
+  const { hashPayload, chainKey } = MCIFData._internals;
+  const { hash, ...body } = entry;
+  if (await hashPayload(body) !== hash) throw new HttpError(422, 'hash_mismatch', `Ledger entry ${entry.id} hash does not match its content`);
+  // the client writes the entry first and advances the head afterwards, so the entry extends the current head
+  const head = await ctx.adapter.get(`ledgerHead:${chainKey(entry.sessionId)}`);
+  const expected = { seq: head ? head.seq + 1 : 0, prevHash: head ? head.hash : null };
+  if (entry.seq !== expected.seq || (entry.prevHash || null) !== expected.prevHash) {
+    throw new HttpError(409, 'ledger_fork', `Ledger entry ${entry.id} does not extend chain ${chainKey(entry.sessionId)}`, { expected });
+  }
+}
+
+async function checkLedgerHead(ctx, key, head, stored) {
+  if (!head || typeof head.id !== 'string' || !Number.isInteger(head.seq) || typeof head.hash !== 'string') {
+    throw new HttpError(422, 'schema', 'Ledger head must be { id, seq, hash }');
+  }
+  const entry = await ctx.adapter.get(`ledger:${head.id}`);
+  if (!entry || entry.seq !== head.seq || entry.hash !== head.hash) {
+    throw new HttpError(422, 'unknown_entry', `Ledger head points at an entry that is not stored: ${head.id}`);
+  }
+  if (MCIFData._internals.chainKey(entry.sessionId) !== chainOfHeadKey(key)) {
+    throw new HttpError(422, 'key_mismatch', `Ledger entry ${head.id} belongs to another chain`);
+  }
+  const expectedSeq = stored ? stored.seq + 1 : 0;
+  if (head.seq !== expectedSeq) throw new HttpError(409, 'ledger_fork', `Ledger head must advance to seq ${expectedSeq}`, { expected: { seq: expectedSeq } });
+}
+
+async function checkSession(ctx, key, doc, stored) {
+  await validateAs(ctx, doc, 'SessionDocument');
+  if (key !== `session:${doc.session.id}`) throw new HttpError(422, 'key_mismatch', `Session ${doc.session.id} stored under ${key}`);
+  if (ctx.authoritativeScoring) {
+    const before = stored && stored.session ? stored.session : {};
+    if (!sameJSON(before.finalReport, doc.session.finalReport) || !sameJSON(before.archetype, doc.session.archetype)) {
+      throw new HttpError(403, 'authoritative_scoring', `Reports are computed by the server: POST ${API_PREFIX}/sessions/${doc.session.id}/report`);
+    }
+  }
+}
+
+async function checkWeightSet(ctx, key, record) {
+  await validateAs(ctx, record, 'WeightSetRecord');
+  if (key !== `weightset:${record.name}@${record.version}`) {
+    throw new HttpError(422, 'key_mismatch', `Weight set ${record.name}@${record.version} stored under ${key}`);
+  }
+}
+
+/**
+ * Reject a storage protocol write the server must not store. `stored` is the current value (null if none).
+ */
+async function checkWrite(ctx, key, value, stored) {
+  if (APPEND_ONLY_PREFIXES.some(p => key.startsWith(p)) && stored !== null && !key.startsWith('ledgerHead:')) {
+    throw new HttpError(403, 'append_only', `${key} is already stored and cannot be replaced`);
+  }
+  if (key.startsWith('ledger:')) return checkLedgerEntry(ctx, key, value);
+  if (key.startsWith('ledgerHead:')) return checkLedgerHead(ctx, key, value, stored);
+  if (key.startsWith('weightset:')) return checkWeightSet(ctx, key, value);
+
+  if (isEncryptedValue(value) || key === ENCRYPTION_KEYRING_KEY) {
+    if (!ctx.allowEncrypted) throw new HttpError(422, 'encrypted_value', 'This server does not store encrypted values (start it with --allow-encrypted)');
+    if (ctx.authoritativeScoring && key.startsWith('session:')) {
+      throw new HttpError(422, 'encrypted_value', 'Encrypted sessions cannot be scored by the server');
+    }
+    return undefined;
+  }
+  if (key.startsWith('session:')) return checkSession(ctx, key, value, stored);
+  // pre-migration copies are kept as they were, in an older document version
+  if (key.startsWith('sessionBackup:')) {
+    if (!value || typeof value !== 'object') throw new HttpError(422, 'schema', 'Session backup must be an object');
+    return undefined;
+  }
+  throw new HttpError(400, 'invalid_key', `Unknown storage key prefix: ${key}`);
+}
+
+// -------------------------------
+// Handlers
+// -------------------------------
+
+// the data layer caches sessions; writes that bypass it must drop the cached copy
+function evictSession(key) {
+  if (key.startsWith('session:')) MCIFData._inMemoryCache.delete(key.slice('session:'.length));
+}
+
+async function getItem(ctx, key) {
+  checkKey(key);
+  const value = await ctx.adapter.get(key);
+  if (value === null || value === undefined) throw new HttpError(404, 'not_found', `No item ${key}`);
+  return { body: { key, rev: revOf(value), value } };
+}
+
+async function putItem(ctx, key, body) {
+  checkKey(key);
+  if (!body || typeof body !== 'object' || !('value' in body)) throw new HttpError(400, 'invalid_body', 'Body must be { value, baseRev }');
+  const stored = await ctx.adapter.get(key);
+  const storedRev = stored === null || stored === undefined ? null : revOf(stored);
+  // a replayed write (the response to the first attempt was lost) is not a conflict
+  if (storedRev !== null && storedRev === revOf(body.value)) return { body: { key, rev: storedRev } };
+  if ((body.baseRev || null) !== storedRev) {
+    throw new HttpError(409, 'conflict', `${key} changed on the server`, { key, rev: storedRev, value: storedRev === null ? null : stored });
+  }
+  await checkWrite(ctx, key, body.value, storedRev === null ? null : stored);
+  await ctx.adapter.set(key, body.value);
+  evictSession(key);
+  return { body: { key, rev: revOf(body.value) } };
+}
+
+async function deleteItem(ctx, key) {
+  checkKey(key);
+  if (APPEND_ONLY_PREFIXES.some(p => key.startsWith(p))) throw new HttpError(403, 'append_only', `${key} cannot be deleted`);
+  const stored = await ctx.adapter.get(key);
+  if (stored === null || stored === undefined) throw new HttpError(404, 'not_found', `No item ${key}`);
+  await ctx.adapter.delete(key);
+  evictSession(key);
+  return { body: { key, deleted: true } };
+}
+
+async function requireSession(ctx, id) {
+  checkId(id);
+  if (isEncryptedValue(await ctx.adapter.get(`session:${id}`))) {
+    throw new HttpError(422, 'encrypted_value', `Session ${id} is encrypted; only the storage protocol can read it`);
+  }
+  const doc = await MCIFData.getSession(id);
+  if (!doc) throw new HttpError(404, 'not_found', `Session not found: ${id}`);
+  return doc;
+}
+
+async function createSession(ctx, body) {
+  const config = body || {};
+  if (typeof config !== 'object' || Array.isArray(config)) throw new HttpError(400, 'invalid_body', 'Body must be a session config object');
+  const session = await MCIFData.createSession(config);
+  return { status: 201, body: { session } };
+}
+
+async function saveResponse(ctx, id, body) {
+  await requireSession(ctx, id);
+  if (!body || typeof body !== 'object') throw new HttpError(400, 'invalid_body', 'Body must be a ResponseObject');
+  if (body.sessionId !== id) throw new HttpError(422, 'invalid', `Response sessionId must be ${id}`);
+  const { session, ledgerEntry } = await MCIFData.saveResponse(id, body);
+  return { status: 201, body: { session, ledgerEntry } };
+}
+
+async function computeReport(ctx, id) {
+  const doc = await requireSession(ctx, id);
+  if (!(doc.session.phaseProgress || []).some(pp => (pp.responses || []).length)) {
+    throw new HttpError(422, 'no_responses', `Session ${id} has no responses to score`);
+  }
+  const { finalReport, ledgerEntry } = await MCIFData.computeAndPersistReport(id, MCIFAnalysis, { rescore: true });
+  return { body: { finalReport, ledgerEntry } };
+}
+
+async function ledgerOf(sessionId) {
+  const entries = await MCIFData.listLedgerEntries(sessionId);
+  const verification = await MCIFData.verifyLedger(sessionId);
+  return { body: { sessionId, entries, verification } };
+}
+
+async function appendLedger(ctx, body) {
+  const entry = body || {};
+  if (typeof entry.actor !== 'string' || !entry.actor) throw new HttpError(422, 'invalid', 'Ledger entry needs an actor');
+  if (!ACTION_PATTERN.test(String(entry.action || ''))) throw new HttpError(422, 'invalid', 'Ledger action must be UPPER_SNAKE_CASE');
+  if (entry.payload !== undefined && (typeof entry.payload !== 'object' || Array.isArray(entry.payload))) {
+    throw new HttpError(422, 'invalid', 'Ledger payload must be an object');
+  }
+  const sessionId = entry.sessionId || null;
+  // session entries follow the session's privacy settings; global entries keep only a summary
+  const privacy = sessionId ? (await requireSession(ctx, sessionId)).session.config.privacy : undefined;
+  // id, seq, prevHash and hash are assigned here, never taken from the client
+  const stored = await MCIFData.appendLedgerEntry({
+    actor: entry.actor,
+    action: entry.action,
+    sessionId,
+    payload: entry.payload || {},
+    rationale: typeof entry.rationale === 'string' ? entry.rationale : ''
+  }, privacy);
+  return { status: 201, body: stored };
+}
+
+function health(ctx) {
+  return {
+    body: {
+      ok: true,
+      sessionDocVersion: MCIFData.SESSION_DOC_VERSION,
+      algorithmVersion: MCIFAnalysis.ALGORITHM_VERSION,
+      weightsVersion: ctx.weights.version,
+      authoritativeScoring: ctx.authoritativeScoring,
+      allowEncrypted: ctx.allowEncrypted
+    }
+  };
+}
+
+// [method, path pattern (after /api), handler(ctx, match, body, url), writes]
+const ROUTES = [
+  ['GET', /^\/health$/, ctx => health(ctx)],
+  ['GET', /^\/keys$/, async (ctx, m, body, url) => ({ body: { keys: await ctx.adapter.listKeys(url.searchParams.get('prefix') || '') } })],
+  ['GET', /^\/items\/([^/]+)$/, (ctx, m) => getItem(ctx, m[1])],
+  ['PUT', /^\/items\/([^/]+)$/, (ctx, m, body) => putItem(ctx, m[1], body), true],
+  ['DELETE', /^\/items\/([^/]+)$/, (ctx, m) => deleteItem(ctx, m[1]), true],
+  ['GET', /^\/export$/, async ctx => ({ body: { items: await ctx.adapter.exportAll() } })],
+  ['GET', /^\/sessions$/, async () => ({ body: { sessions: await MCIFData.listSessions() } })],
+  ['POST', /^\/sessions$/, (ctx, m, body) => createSession(ctx, body), true],
+  ['GET', /^\/sessions\/([^/]+)$/, async (ctx, m) => ({ body: { session: await requireSession(ctx, m[1]) } })],
+  ['DELETE', /^\/sessions\/([^/]+)$/, async (ctx, m) => {
+    await requireSession(ctx, m[1]);
+    return { body: await MCIFData.deleteSession(m[1]) };
+  }, true],
+  ['POST', /^\/sessions\/([^/]+)\/responses$/, (ctx, m, body) => saveResponse(ctx, m[1], body), true],
+  ['POST', /^\/sessions\/([^/]+)\/report$/, (ctx, m) => computeReport(ctx, m[1]), true],
+  // the ledger outlives deleted sessions, so no session lookup here
+  ['GET', /^\/sessions\/([^/]+)\/ledger$/, (ctx, m) => {
+    checkId(m[1]);
+    return ledgerOf(m[1]);
+  }],
+  ['GET', /^\/ledger$/, () => ledgerOf(null)],
+  ['POST', /^\/ledger$/, (ctx, m, body) => appendLedger(ctx, body), true]
+];
+
+function corsHeaders(ctx) {
+  if (!ctx.cors) return {};
+  return {
+    'Access-Control-Allow-Origin': ctx.cors,
+    'Access-Control-Allow-Methods': 'GET, PUT, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Max-Age': '600'
+  };
+}
+
+function send(res, ctx, status, body) {
+  const headers = Object.assign({ 'Cache-Control': 'no-store' }, corsHeaders(ctx));
+  if (body === undefined) {
+    res.writeHead(status, headers);
+    res.end();
+    return;
+  }
+  const text = JSON.stringify(body);
+  headers['Content-Type'] = 'application/json; charset=utf-8';
+  headers['Content-Length'] = Buffer.byteLength(text);
+  res.writeHead(status, headers);
+  res.end(text);
+}
+
+async function route(ctx, req) {
+  const url = new URL(req.url, 'http://localhost');
+  if (!url.pathname.startsWith(API_PREFIX + '/')) throw new HttpError(404, 'not_found', `No route ${url.pathname}`);
+  if (!authorized(req, ctx.token)) throw new HttpError(401, 'unauthorized', 'Missing or wrong bearer token');
+  const subPath = url.pathname.slice(API_PREFIX.length);
+  const matching = ROUTES.filter(r => r[1].test(subPath));
+  if (matching.length === 0) throw new HttpError(404, 'not_found', `No route ${url.pathname}`);
+  const found = matching.find(r => r[0] === req.method);
+  if (!found) throw new HttpError(405, 'method_not_allowed', `${req.method} not allowed on ${url.pathname}`);
+
+  const [, pattern, handler, writes] = found;
+  let match;
+  try {
+    match = pattern.exec(subPath).map(part => decodeURIComponent(part));
+  } catch (e) {
+    throw new HttpError(400, 'invalid_path', `Malformed path ${url.pathname}`);
+  }
+  const body = ['PUT', 'POST'].includes(req.method) ? await readBody(req, ctx.maxBody) : null;
+  return writes ? ctx.exclusive(() => handler(ctx, match, body, url)) : handler(ctx, match, body, url);
+}
+
+async function handle(ctx, req, res) {
+  const started = Date.now();
+  let status;
+  if (req.method === 'OPTIONS') {
+    status = 204;
+    send(res, ctx, status);
+  } else {
+    try {
+      const result = await route(ctx, req);
+      status = result.status || 200;
+      send(res, ctx, status, result.body);
+    } catch (e) {
+      const err = toHttpError(e);
+      status = err.status;
+      if (status >= 500) ctx.log(`mcif-server: ${e && e.stack ? e.stack : e}`);
+      send(res, ctx, status, Object.assign({ error: err.code, message: err.message }, err.extra));
+    }
+  }
+  if (!ctx.quiet) ctx.log(`${req.method} ${req.url} ${status} ${Date.now() - started}ms`);
+}
+
+// -------------------------------
+// Server
+// -------------------------------
+
+/**
+ * createServer(options) → http.Server (not yet listening)
+ * options: { dataDir, token, cors, maxBody, weights, prompts, authoritativeScoring, allowEncrypted, lenient, quiet,
+ *            log(line) (default: stderr) }
+ * Initializes the engine and the DataLayer (fs adapter on dataDir, schema validator, 'default' weight set).
+ */
+async function createServer(options = {}) {
+  const log = options.log || (line => process.stderr.write(line + '\n'));
+  const weights = options.weights || readJSON(DEFAULT_WEIGHTS_PATH);
+  const prompts = options.prompts || readJSON(DEFAULT_PROMPTS_PATH);
+  const schema = readJSON(SCHEMA_PATH);
+
+  const loadReport = MCIFAnalysis.init({ weights, prompts, strict: options.lenient ? false : undefined });
+  if (loadReport.integrity && !loadReport.integrity.passed) {
+    loadReport.integrity.failures.forEach(f => log(`mcif-server: warning: ${f.path}: ${f.message}`));
+  }
+  const validator = MCIFValidator.createValidator(schema);
+  await MCIFData.init({
+    adapter: 'fs',
+    adapterOptions: { basePath: options.dataDir || './mcif_data' },
+    validator,
+    analysisEngine: MCIFAnalysis
+  });
+  const migration = MCIFData.lastMigration;
+  if (migration && migration.migrated && migration.migrated.length) log(`mcif-server: migrated ${migration.migrated.length} session(s) to ${migration.target}`);
+  if (migration && migration.failed && migration.failed.length) log(`mcif-server: warning: ${migration.failed.length} session(s) could not be migrated`);
+  await MCIFData.registerWeightSet('default', weights, { description: 'Server weights manifest', actor: 'mcif-server' });
+
+  // one write at a time: ledger appends from the data layer and from clients must not interleave
+  let writes = Promise.resolve();
+  const ctx = {
+    adapter: MCIFData._adapter,
+    validator,
+    weights,
+    token: options.token || null,
+    cors: options.cors || null,
+    maxBody: options.maxBody || DEFAULT_MAX_BODY,
+    authoritativeScoring: !!options.authoritativeScoring,
+    allowEncrypted: !!options.allowEncrypted,
+    quiet: !!options.quiet,
+    log,
+    exclusive(fn) {
+      const next = writes.catch(() => {}).then(fn);
+      writes = next;
+      return next;
+    }
+  };
+  return http.createServer((req, res) => { handle(ctx, req, res); });
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      options: {
+        data: { type: 'string', default: './mcif_data' },
+        port: { type: 'string', default: String(DEFAULT_PORT) },
+        host: { type: 'string', default: DEFAULT_HOST },
+        token: { type: 'string' },
+        cors: { type: 'string' },
+        'max-body': { type: 'string' },
+        weights: { type: 'string' },
+        prompts: { type: 'string' },
+        'authoritative-scoring': { type: 'boolean', default: false },
+        'allow-encrypted': { type: 'boolean', default: false },
+        lenient: { type: 'boolean', default: false },
+        quiet: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  const { values } = parsed;
+  if (values.help) {
+    process.stdout.write(USAGE + '\n');
+    return;
+  }
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) throw new UsageError(`Invalid --port ${values.port}`);
+  const maxBody = values['max-body'] === undefined ? DEFAULT_MAX_BODY : Number(values['max-body']);
+  if (!Number.isInteger(maxBody) || maxBody <= 0) throw new UsageError(`Invalid --max-body ${values['max-body']}`);
+
+  const server = await createServer({
+    dataDir: values.data,
+    token: values.token || process.env.MCIF_TOKEN || null,
+    cors: values.cors,
+    maxBody,
+    weights: values.weights ? readJSON(values.weights) : undefined,
+    prompts: values.prompts ? readJSON(values.prompts) : undefined,
+    authoritativeScoring: values['authoritative-scoring'],
+    allowEncrypted: values['allow-encrypted'],
+    lenient: values.lenient,
+    quiet: values.quiet
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, values.host, resolve);
+  });
+  const address = server.address();
+  process.stderr.write(`mcif-server: listening on http://${address.address}:${address.port}${API_PREFIX} (data: ${path.resolve(values.data)})\n`);
+  const stop = () => server.close(() => process.exit(0));
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(e => {
+    process.stderr.write(`mcif-server: ${e.message}\n`);
+    if (e instanceof UsageError) process.stderr.write('Run mcif-server --help for usage.\n');
+    process.exitCode = e instanceof UsageError ? 2 : 1;
+  });
+}
+
+module.exports = { createServer, main };
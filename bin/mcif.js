@@ -0,0 +1,561 @@
+#!/usr/bin/env node
+/**
+ * bin/mcif.js
+ * MCIF 7.1 — Command-line scorer (offline, Node only)
+ *
+ * Responsibilities:
+ *  - score one or more text files against a phase or prompt (MCIFAnalysis.scoreResponse)
+ *  - score a folder of six answers as a session and print the full computeComposite report
+ *  - batch-score a cohort file (CSV or NDJSON of participant, phase, text) into one row per participant
+ *  - print results as JSON (for pipelines) or a plain-text table (for reading)
+ *
+ * Usage:
+ *   node bin/mcif.js --phase 2 answer.txt [more.txt ...]
+ *   node bin/mcif.js --prompt p_cognitive_001 answer.txt
+ *   node bin/mcif.js --session ./interview-07 --format table
+ *   node bin/mcif.js --cohort pilot.csv --format csv > scores.csv
+ *
+ * Session folders hold one text file per phase. A file is mapped to its phase by its name: either a prompt id
+ * (p_emotion_001.txt) or the first number 1–6 in the name (1.txt, phase-2.md, 03_creative.txt).
+ * --phase uses the phase's canonical prompt (primary, else first in prompts.json), as the browser app does.
+ *
+ * Cohort files have one answer per record with the fields participant_id, phase and text (camelCase
+ * participantId/phaseId and an optional prompt_id are accepted too; a prompt id alone implies its phase).
+ * CSV needs a header row; NDJSON is one JSON object per line. Several answers for the same participant and
+ * phase are merged like repeated responses in a stored session (domain contributions averaged). Each participant is scored as one session through
+ * scoreResponse/computeComposite; a participant that cannot be scored gets a row with only the error column set.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+const MCIFAnalysis = require('../engine/analysis.js');
+
+const DEFAULT_WEIGHTS_PATH = path.join(__dirname, '..', 'schema', 'weights.json');
+const DEFAULT_PROMPTS_PATH = path.join(__dirname, '..', 'schema', 'prompts.json');
+const TEXT_EXTENSIONS = ['.txt', '.md'];
+const PHASE_COUNT = 6;
+const COHORT_FORMATS = ['csv', 'ndjson'];
+// normalized cohort header (lowercase, no separators) -> record field
+const COHORT_FIELDS = {
+  participantid: 'participantId', participant: 'participantId',
+  phaseid: 'phaseId', phase: 'phaseId',
+  promptid: 'promptId', prompt: 'promptId',
+  text: 'text', response: 'text',
+  locale: 'locale'
+};
+
+const USAGE = `Usage:
+  mcif --phase <1-6> <file...>          score text files against a phase
+  mcif --prompt <promptId> <file...>    score text files against a prompt
+  mcif --session <folder>               score six answers as a session and print the full report
+  mcif --cohort <file.csv|file.ndjson>  score every participant in a cohort file, one row each
+
+Options:
+  --format json|table   output format (default: json)
+           csv|ndjson   cohort output format (default: same as the input file)
+  --weights <file>      weights manifest (default: schema/weights.json)
+  --prompts <file>      prompts manifest (default: schema/prompts.json)
+  --locale <tag>        response language, e.g. en, es, de (default: en)
+  --lenient             accept a weights manifest that fails integrity_checks (warn instead)
+  -h, --help            show this help`;
+
+// -------------------------------
+// Helpers
+// -------------------------------
+
+class UsageError extends Error {}
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Cannot read ${file}: ${e.message}`);
+  }
+}
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, 'utf8').trim();
+  } catch (e) {
+    throw new Error(`Cannot read ${file}: ${e.message}`);
+  }
+}
+
+// same rule as app.js generatePromptOrder: primary prompt of the phase, else the first one
+function canonicalPrompt(prompts, phaseId) {
+  const list = (prompts && prompts.prompts) || [];
+  return list.find(p => Number(p.phaseId) === phaseId && p.primary === true) ||
+    list.find(p => Number(p.phaseId) === phaseId) || null;
+}
+
+function makeResponse(id, text, phaseId, prompt, locale, ts) {
+  return {
+    id: 'r_' + String(id).replace(/[^a-zA-Z0-9_\-]/g, '_'),
+    sessionId: 'cli',
+    phaseId,
+    promptId: prompt ? prompt.id : undefined,
+    text,
+    timestamps: { startedAt: ts, endedAt: ts, submittedAt: ts },
+    meta: { inputMode: 'keyboard', locale }
+  };
+}
+
+function makeFileResponse(file, text, phaseId, prompt, locale) {
+  const ts = Math.floor(fs.statSync(file).mtimeMs);
+  return makeResponse(path.basename(file, path.extname(file)), text, phaseId, prompt, locale, ts);
+}
+
+/**
+ * Map the text files of a session folder to phases (see header). Throws on unmapped or duplicate phases.
+ * @returns {{ phaseId: number, file: string, prompt: Object|null }[]} ordered by phase
+ */
+function mapSessionFolder(folder, prompts) {
+  let entries;
+  try {
+    entries = fs.readdirSync(folder);
+  } catch (e) {
+    throw new UsageError(`Cannot read session folder ${folder}: ${e.message}`);
+  }
+  const byPrompt = new Map(((prompts && prompts.prompts) || []).map(p => [p.id, p]));
+  const mapped = new Map();
+  entries
+    .filter(f => TEXT_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+    .sort()
+    .forEach(f => {
+      const base = path.basename(f, path.extname(f));
+      let prompt = byPrompt.get(base) || null;
+      let phaseId = prompt ? Number(prompt.phaseId) : null;
+      if (!phaseId) {
+        const m = base.match(/\d+/);
+        phaseId = m ? Number(m[0]) : null;
+      }
+      if (!phaseId || phaseId < 1 || phaseId > PHASE_COUNT) {
+        throw new UsageError(`Cannot tell the phase of ${f}: name it after a prompt id or include a phase number 1-${PHASE_COUNT}`);
+      }
+      if (mapped.has(phaseId)) {
+        throw new UsageError(`Both ${mapped.get(phaseId).file} and ${f} map to phase ${phaseId}`);
+      }
+      if (!prompt) prompt = canonicalPrompt(prompts, phaseId);
+      mapped.set(phaseId, { phaseId, file: path.join(folder, f), prompt });
+    });
+  if (mapped.size === 0) throw new UsageError(`No .txt or .md answers found in ${folder}`);
+  return Array.from(mapped.values()).sort((a, b) => a.phaseId - b.phaseId);
+}
+
+// -------------------------------
+// Scoring
+// -------------------------------
+
+async function scoreFiles(files, target, ctx) {
+  const results = [];
+  for (const file of files) {
+    const text = readText(file);
+    const response = makeFileResponse(file, text, target.phaseId, target.prompt, ctx.locale);
+    const analysis = await MCIFAnalysis.scoreResponse(response, target.phaseId, { weightSet: ctx.weights, prompt: target.prompt || undefined, locale: ctx.locale });
+    results.push({ file, phaseId: target.phaseId, promptId: target.prompt ? target.prompt.id : null, analysis });
+  }
+  return results;
+}
+
+/**
+ * Score one participant's answers phase by phase (earlier answers feed cross-phase coherence) and
+ * assemble scoredPhases the way DataLayer.computeAndPersistReport does.
+ * @param {{ phaseId: number, prompt: Object|null, responses: Object[] }[]} phases - ordered by phase
+ * @returns {Promise<{ scoredPhases: Object[], report: Object }>}
+ */
+async function scoreAnswers(phases, ctx) {
+  const previous = [];
+  const scoredPhases = [];
+  for (const ph of phases) {
+    const phaseScored = {
+      phaseId: ph.phaseId,
+      domainContributions: {},
+      subScores: {},
+      probabilities: {},
+      responses: [],
+      timestamps: { startedAt: ph.responses[0].timestamps.startedAt, completedAt: ph.responses[ph.responses.length - 1].timestamps.submittedAt }
+    };
+    const earlier = previous.slice();
+    for (const response of ph.responses) {
+      const analysis = await MCIFAnalysis.scoreResponse(response, ph.phaseId, {
+        weightSet: ctx.weights,
+        prompt: ph.prompt || undefined,
+        locale: (response.meta && response.meta.locale) || ctx.locale,
+        previousResponses: earlier
+      });
+      previous.push({ id: response.id, phaseId: ph.phaseId, promptId: response.promptId, text: response.text });
+      Object.keys(analysis.domainContributions || {}).forEach(d => {
+        phaseScored.domainContributions[d] = (phaseScored.domainContributions[d] || 0) + Number(analysis.domainContributions[d] || 0);
+      });
+      Object.assign(phaseScored.subScores, analysis.subScores);
+      Object.assign(phaseScored.probabilities, analysis.probabilities);
+      phaseScored.responses.push({ id: response.id, text: response.text, timestamps: response.timestamps, analysis });
+    }
+    Object.keys(phaseScored.domainContributions).forEach(d => {
+      phaseScored.domainContributions[d] = Number((phaseScored.domainContributions[d] / ph.responses.length).toFixed(4));
+    });
+    scoredPhases.push(phaseScored);
+  }
+  const report = await MCIFAnalysis.computeComposite(scoredPhases, { weightSet: ctx.weights });
+  return { scoredPhases, report };
+}
+
+function missingPhases(phaseIds) {
+  const missing = [];
+  for (let p = 1; p <= PHASE_COUNT; p++) if (!phaseIds.includes(p)) missing.push(p);
+  return missing;
+}
+
+async function scoreSession(folder, ctx) {
+  const answers = mapSessionFolder(folder, ctx.prompts);
+  const missing = missingPhases(answers.map(a => a.phaseId));
+  if (missing.length) process.stderr.write(`mcif: warning: no answer for phase ${missing.join(', ')} — the composite covers ${answers.length} phase(s)\n`);
+
+  const phases = answers.map(a => ({
+    phaseId: a.phaseId,
+    prompt: a.prompt,
+    responses: [makeFileResponse(a.file, readText(a.file), a.phaseId, a.prompt, ctx.locale)]
+  }));
+  const { scoredPhases, report } = await scoreAnswers(phases, ctx);
+  return {
+    folder,
+    phases: answers.map((a, i) => ({
+      phaseId: a.phaseId,
+      file: a.file,
+      promptId: a.prompt ? a.prompt.id : null,
+      subScore: scoredPhases[i].subScores[a.phaseId]
+    })),
+    report
+  };
+}
+
+// -------------------------------
+// Cohort files
+// -------------------------------
+
+/**
+ * Parse RFC 4180 CSV: quoted fields may hold commas, doubled quotes and line breaks. Accepts CRLF or LF and a BOM.
+ * @returns {string[][]} rows of fields (blank lines dropped)
+ */
+function parseCSV(text) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.length > 1 || row[0] !== '') rows.push(row);
+      row = [];
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) throw new Error('Unterminated quoted field at end of CSV');
+  row.push(field);
+  if (row.length > 1 || row[0] !== '') rows.push(row);
+  return rows;
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const s = String(value);
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function normalizeCohortRecord(raw, where) {
+  const rec = {};
+  Object.keys(raw || {}).forEach(k => {
+    const field = COHORT_FIELDS[String(k).toLowerCase().replace(/[\s_\-]/g, '')];
+    if (field && raw[k] !== null && raw[k] !== undefined && raw[k] !== '') rec[field] = raw[k];
+  });
+  if (rec.participantId === undefined) throw new UsageError(`${where}: missing participant id`);
+  if (typeof rec.text !== 'string' || !rec.text.trim()) throw new UsageError(`${where}: missing text`);
+  rec.participantId = String(rec.participantId);
+  rec.text = rec.text.trim();
+  return rec;
+}
+
+/**
+ * Read a cohort file into answer records { participantId, phaseId?, promptId?, text, locale?, where }.
+ * The format follows the extension (.ndjson/.jsonl, else CSV).
+ */
+function readCohortFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new UsageError(`Cannot read cohort file ${file}: ${e.message}`);
+  }
+  const name = path.basename(file);
+  if (inputFormat(file) === 'ndjson') {
+    const records = [];
+    text.split(/\r?\n/).forEach((line, i) => {
+      if (!line.trim()) return;
+      let obj;
+      try {
+        obj = JSON.parse(line);
+      } catch (e) {
+        throw new UsageError(`${name}:${i + 1}: invalid JSON (${e.message})`);
+      }
+      records.push(Object.assign(normalizeCohortRecord(obj, `${name}:${i + 1}`), { where: `${name}:${i + 1}` }));
+    });
+    return records;
+  }
+  let rows;
+  try {
+    rows = parseCSV(text);
+  } catch (e) {
+    throw new UsageError(`${name}: ${e.message}`);
+  }
+  if (rows.length === 0) return [];
+  const header = rows[0].map(h => h.trim());
+  return rows.slice(1).map((r, i) => {
+    const obj = {};
+    header.forEach((h, j) => { obj[h] = r[j]; });
+    // row numbers count the header as row 1
+    return Object.assign(normalizeCohortRecord(obj, `${name} row ${i + 2}`), { where: `${name} row ${i + 2}` });
+  });
+}
+
+function inputFormat(file) {
+  return ['.ndjson', '.jsonl'].includes(path.extname(file).toLowerCase()) ? 'ndjson' : 'csv';
+}
+
+/**
+ * Group answer records by participant (first-seen order) and phase. Records that name neither a valid phase
+ * nor a known prompt, or whose prompt belongs to another phase, are reported per participant.
+ */
+function groupCohort(records, prompts) {
+  const byPrompt = new Map(((prompts && prompts.prompts) || []).map(p => [p.id, p]));
+  const participants = new Map();
+  records.forEach((rec, i) => {
+    if (!participants.has(rec.participantId)) participants.set(rec.participantId, { participantId: rec.participantId, phases: new Map(), error: null });
+    const part = participants.get(rec.participantId);
+    if (part.error) return;
+    const prompt = rec.promptId !== undefined ? byPrompt.get(String(rec.promptId)) : null;
+    if (rec.promptId !== undefined && !prompt) {
+      part.error = `${rec.where}: unknown prompt id ${rec.promptId}`;
+      return;
+    }
+    const phaseId = rec.phaseId !== undefined ? Number(rec.phaseId) : (prompt ? Number(prompt.phaseId) : NaN);
+    if (!Number.isInteger(phaseId) || phaseId < 1 || phaseId > PHASE_COUNT) {
+      part.error = `${rec.where}: phase must be 1-${PHASE_COUNT}` + (rec.phaseId !== undefined ? ` (got ${rec.phaseId})` : '');
+      return;
+    }
+    if (prompt && Number(prompt.phaseId) !== phaseId) {
+      part.error = `${rec.where}: prompt ${prompt.id} belongs to phase ${prompt.phaseId}, not ${phaseId}`;
+      return;
+    }
+    if (!part.phases.has(phaseId)) part.phases.set(phaseId, { phaseId, prompt: prompt || canonicalPrompt(prompts, phaseId), responses: [] });
+    const ph = part.phases.get(phaseId);
+    // records carry no clock; file order stands in for submission order
+    ph.responses.push(makeResponse(`${rec.participantId}_${phaseId}_${ph.responses.length + 1}`, rec.text, phaseId, ph.prompt, rec.locale, i));
+  });
+  return Array.from(participants.values());
+}
+
+function cohortColumns(weights) {
+  const domains = Object.keys((weights && weights.domains) || {});
+  const phases = [];
+  for (let p = 1; p <= PHASE_COUNT; p++) phases.push(`phase${p}_subScore`);
+  return ['participantId', 'responses', 'phases', 'compositeScore', 'tier', 'archetype', 'archetypeConfidence']
+    .concat(domains.map(d => `domain_${d}`), phases, ['algorithmVersion', 'weightsVersion', 'error']);
+}
+
+/**
+ * Score every participant of a cohort file. Returns one flat row per participant in input order;
+ * phases a participant did not answer leave their subScore empty.
+ */
+async function scoreCohort(file, ctx) {
+  const participants = groupCohort(readCohortFile(file), ctx.prompts);
+  const rows = [];
+  for (const part of participants) {
+    const phases = Array.from(part.phases.values()).sort((a, b) => a.phaseId - b.phaseId);
+    const row = {
+      participantId: part.participantId,
+      responses: phases.reduce((n, ph) => n + ph.responses.length, 0),
+      phases: phases.length,
+      algorithmVersion: MCIFAnalysis.ALGORITHM_VERSION,
+      weightsVersion: ctx.weights.version || 'unknown',
+      error: part.error
+    };
+    if (!part.error) {
+      try {
+        const { scoredPhases, report } = await scoreAnswers(phases, ctx);
+        row.compositeScore = report.compositeScore;
+        row.tier = report.tier;
+        row.archetype = report.archetype.name;
+        row.archetypeConfidence = report.archetype.confidence;
+        Object.keys(report.domainScores).forEach(d => { row[`domain_${d}`] = report.domainScores[d]; });
+        scoredPhases.forEach(sp => { row[`phase${sp.phaseId}_subScore`] = sp.subScores[sp.phaseId]; });
+        row.algorithmVersion = report.generatedBy.algorithmVersion;
+        row.weightsVersion = report.generatedBy.weightsVersion;
+      } catch (e) {
+        row.error = e.message;
+      }
+    }
+    if (row.error) process.stderr.write(`mcif: participant ${part.participantId}: ${row.error}\n`);
+    const missing = missingPhases(phases.map(ph => ph.phaseId));
+    if (!row.error && missing.length) process.stderr.write(`mcif: warning: participant ${part.participantId} has no answer for phase ${missing.join(', ')}\n`);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function formatCohort(rows, format, weights) {
+  const columns = cohortColumns(weights);
+  const ordered = rows.map(r => {
+    const out = {};
+    columns.forEach(c => { out[c] = r[c] === undefined ? null : r[c]; });
+    return out;
+  });
+  if (format === 'ndjson') return ordered.map(r => JSON.stringify(r)).join('\n');
+  return [columns.join(','), ...ordered.map(r => columns.map(c => csvField(r[c])).join(','))].join('\r\n');
+}
+
+// -------------------------------
+// Table output
+// -------------------------------
+
+function table(rows) {
+  if (rows.length === 0) return '';
+  const widths = rows[0].map((_, i) => Math.max(...rows.map(r => String(r[i]).length)));
+  const line = r => r.map((c, i) => String(c).padEnd(widths[i])).join('  ').trimEnd();
+  return [line(rows[0]), widths.map(w => '-'.repeat(w)).join('  '), ...rows.slice(1).map(line)].join('\n');
+}
+
+function formatScoresTable(results) {
+  const rows = [['file', 'phase', 'prompt', 'subScore', 'coherence', 'novelty', 'top metrics']];
+  results.forEach(r => {
+    const a = r.analysis;
+    const top = Object.keys(a.rawMetrics || {})
+      .sort((x, y) => a.rawMetrics[y] - a.rawMetrics[x])
+      .slice(0, 3)
+      .map(k => `${k} ${Number(a.rawMetrics[k]).toFixed(2)}`)
+      .join(', ');
+    rows.push([path.basename(r.file), r.phaseId, r.promptId || '-', a.subScores[r.phaseId], a.probabilities.coherence, a.probabilities.novelty, top]);
+  });
+  return table(rows);
+}
+
+function formatReportTable(result) {
+  const r = result.report;
+  const out = [];
+  out.push(`Composite: ${r.compositeScore}   Tier: ${r.tier}`);
+  const arch = r.archetype;
+  out.push(`Archetype: ${arch.name} (${Math.round(arch.confidence * 100)}%)` +
+    (arch.runnerUp ? `   next: ${arch.runnerUp.name} (${Math.round(arch.runnerUp.probability * 100)}%)` : ''));
+  out.push('');
+  out.push(table([['domain', 'score'], ...Object.keys(r.domainScores).map(d => [d, r.domainScores[d]])]));
+  out.push('');
+  out.push(table([['phase', 'file', 'subScore'], ...result.phases.map(p => [p.phaseId, path.basename(p.file), p.subScore])]));
+  if (Array.isArray(r.counterfactuals) && r.counterfactuals.length) {
+    out.push('');
+    out.push('What would change the result:');
+    r.counterfactuals.forEach(cf => out.push(`  - ${cf.statement}`));
+  }
+  (r.generatedBy.warnings || []).forEach(w => out.push(`warning: ${w}`));
+  out.push('');
+  out.push(`algorithm ${r.generatedBy.algorithmVersion}, weights ${r.generatedBy.weightsVersion}`);
+  return out.join('\n');
+}
+
+// -------------------------------
+// Entry point
+// -------------------------------
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        phase: { type: 'string' },
+        prompt: { type: 'string' },
+        session: { type: 'string' },
+        cohort: { type: 'string' },
+        format: { type: 'string' },
+        weights: { type: 'string' },
+        prompts: { type: 'string' },
+        locale: { type: 'string', default: 'en' },
+        lenient: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false }
+      }
+    });
+  } catch (e) {
+    throw new UsageError(e.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    process.stdout.write(USAGE + '\n');
+    return;
+  }
+  const modes = ['phase', 'prompt', 'session', 'cohort'].filter(k => values[k] !== undefined);
+  if (modes.length !== 1) throw new UsageError('Pass exactly one of --phase, --prompt, --session or --cohort');
+  const formats = values.cohort !== undefined ? COHORT_FORMATS : ['json', 'table'];
+  const format = values.format || (values.cohort !== undefined ? inputFormat(values.cohort) : 'json');
+  if (!formats.includes(format)) throw new UsageError(`Unknown --format ${format} (${formats.join(' or ')})`);
+
+  const weights = readJSON(values.weights || DEFAULT_WEIGHTS_PATH);
+  const prompts = readJSON(values.prompts || DEFAULT_PROMPTS_PATH);
+  const loadReport = MCIFAnalysis.init({ weights, prompts, locale: values.locale, strict: values.lenient ? false : undefined });
+  if (loadReport.integrity && !loadReport.integrity.passed) {
+    loadReport.integrity.failures.forEach(f => process.stderr.write(`mcif: warning: ${f.path}: ${f.message}\n`));
+  }
+  const ctx = { weights, prompts, locale: values.locale };
+
+  if (values.cohort !== undefined) {
+    if (positionals.length) throw new UsageError('--cohort takes one file, not extra files');
+    const rows = await scoreCohort(values.cohort, ctx);
+    process.stdout.write(formatCohort(rows, format, weights) + (format === 'csv' ? '\r\n' : '\n'));
+    return;
+  }
+
+  if (values.session !== undefined) {
+    if (positionals.length) throw new UsageError('--session takes a folder, not extra files');
+    const result = await scoreSession(values.session, ctx);
+    process.stdout.write((format === 'table' ? formatReportTable(result) : JSON.stringify(result, null, 2)) + '\n');
+    return;
+  }
+
+  if (positionals.length === 0) throw new UsageError('No text files given');
+  let target;
+  if (values.prompt !== undefined) {
+    const prompt = (prompts.prompts || []).find(p => p.id === values.prompt);
+    if (!prompt) throw new UsageError(`Unknown prompt id ${values.prompt}`);
+    target = { phaseId: Number(prompt.phaseId), prompt };
+  } else {
+    const phaseId = Number(values.phase);
+    if (!Number.isInteger(phaseId) || !MCIFAnalysis.getPhaseDefinition(phaseId)) throw new UsageError(`Unknown phase ${values.phase}`);
+    target = { phaseId, prompt: canonicalPrompt(prompts, phaseId) };
+  }
+  const results = await scoreFiles(positionals, target, ctx);
+  process.stdout.write((format === 'table' ? formatScoresTable(results) : JSON.stringify(results, null, 2)) + '\n');
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch(e => {
+    process.stderr.write(`mcif: ${e.message}\n`);
+    if (e instanceof UsageError) process.stderr.write('Run mcif --help for usage.\n');
+    process.exitCode = e instanceof UsageError ? 2 : 1;
+  });
+}
+
+module.exports = { main, mapSessionFolder, parseCSV, scoreCohort };
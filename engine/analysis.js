@@ -1,15 +1,18 @@
 /**
- * src/analysis/analysis.js
+ * engine/analysis.js
  * MCIF 7.1 — Analysis Engine
  *
  * Responsibilities:
  *  - psycholinguistic parsing
- *  - per-phase raw metric scoring
+ *  - per-phase raw metric scoring via a pluggable metric registry (registerMetric)
  *  - Bayesian reflective inference for coherence/adaptability
  *  - composite domain scoring (0-700) using weights.json
- *  - archetype mapping with explainable rationale
+ *  - weights.json integrity_checks enforced on init (strict rejects, lenient warns)
+ *  - archetype mapping: ranked probability distribution over all archetypes, gated by composite thresholds
+ *  - counterfactual explanations (smallest domain change to the next tier band or another archetype)
  *  - coherence waveform generation
- *  - ledger entry creation (append-only) with hashing for audit
+ *  - semantic similarity (response↔prompt, response↔earlier responses) via engine/embeddings.js
+ *  - ledger entry creation (append-only, hash-chained per session) for audit
  *
  * Designed to run in Node.js and modern browsers.
  *
@@ -36,6 +39,8 @@
   // -------------------------------
   let weightsManifest = null;
   let promptsManifest = null;
+  const bundledLexicons = []; // language packs from ../schema/lexicons (Node); browsers pass init({ lexicons })
+  let embeddingsLib = null; // engine/embeddings.js (Node require, browser global MCIFEmbeddings, or init({ embeddings }))
 
   try {
     // In Node environment this will work if repo layout matches.
@@ -52,12 +57,24 @@
       } catch (e) {
         // ignore
       }
+      try {
+        embeddingsLib = require('./embeddings.js');
+      } catch (e) {
+        // ignore — semantic similarity is skipped without a provider
+      }
+      ['en', 'es', 'de'].forEach(id => {
+        try {
+          bundledLexicons.push(require(`../schema/lexicons/${id}.json`));
+        } catch (e) {
+          // ignore — built-in English pack still applies
+        }
+      });
     }
   } catch (e) {
     // ignore
   }
 
-  const ALGORITHM_VERSION = 'analysis_v1.0.0'; // bump on any significant change
+  const ALGORITHM_VERSION = 'analysis_v1.14.0'; // bump on any significant change
 
   // Defaults if nothing supplied
   const DEFAULT_WEIGHTS = weightsManifest || {
@@ -74,6 +91,11 @@
     archetype_mapping: {}
   };
 
+  // Derived from the active weights manifest on init() (lazily otherwise)
+  let phaseDefinitions = null;
+  let loadReport = null;
+  let integrityReport = null; // checkWeightsIntegrity result for the active weights manifest
+
   // -------------------------------
   // Helpers
   // -------------------------------
@@ -180,14 +202,158 @@
   // Heuristic-based parser tuned for MCIF signals; not a full NLP pipeline,
   // but deterministic, explainable, and useful for research-mode signals.
 
-  const CONNECTOR_LIST = {
-    causal: ['because','therefore','hence','thus','as a result','consequently','so','due to','since'],
-    temporal: ['first','then','next','after','before','while','during','when','afterwards','later'],
-    contrast: ['however','but','although','nevertheless','yet','still'],
-    modal: ['could','would','should','might','may','can','will']
+  // -------------------------------
+  // Lexicon packs (see schema/lexicons/README.md for the JSON format)
+  // The built-in English pack keeps the engine usable when no packs are injected.
+  // -------------------------------
+  const DEFAULT_LEXICON = {
+    id: 'en',
+    name: 'English',
+    version: '1.0.0',
+    locales: ['en'],
+    connectors: {
+      causal: ['because','therefore','hence','thus','as a result','consequently','so','due to','since'],
+      temporal: ['first','then','next','after','before','while','during','when','afterwards','later'],
+      contrast: ['however','but','although','nevertheless','yet','still'],
+      modal: ['could','would','should','might','may','can','will']
+    },
+    metaphorMarkers: ['like','as if','as though','resembles','resembled','metaphor','symbolic','as a','akin to','similar to'],
+    selfReference: ['i','me','my','we','our','us','mine'],
+    affectWords: ['anxious','anxiety','sad','happy','joy','anger','angry','calm','scared','fear','dread','relief','excited','depressed','comfort'],
+    negators: ['not','no','never','nothing','nobody','neither','nor','without','hardly','cannot',"don't","doesn't","didn't","isn't","aren't","wasn't","weren't","can't","won't","wouldn't","shouldn't","couldn't","haven't","hasn't","hadn't"],
+    hedges: ['i guess','maybe','perhaps','sort of','kind of','i think','probably','possibly','somewhat','it seems','i suppose','not sure','more or less','in a way'],
+    certainty: ['clearly','definitely','certainly','obviously','undoubtedly','without a doubt','no doubt','surely','absolutely','of course','i know','always'],
+    negationScope: 3,
+    callbacks: ['earlier','as i said','as i mentioned','i mentioned','like before','back to','again','previously','as before','that same'],
+    stopwords: ['that','this','these','those','with','have','has','had','what','from','they','them','their','there','were','been','being','about','which','when','where','your','into','more','most','some','such','than','then','very','just','also','only','over','other','each','much','many','make','made','does','doing','would','could','should','will','shall',"it's","i'm","that's",'something','anything','thing','things','really','even','because','while','after','before'],
+    suffixes: ['ingly','ness','ment','ings','ing','ied','ies','ed','es','ly','s']
   };
+  const DEFAULT_NEGATION_SCOPE = 3; // words after a negator that it governs (clause-bounded)
+  const CONNECTOR_KINDS = ['causal', 'temporal', 'contrast', 'modal'];
+
+  const lexiconRegistry = new Map(); // id -> { pack, patterns }
+  let defaultLocale = 'en';
+
+  // Whole-word match that also works for non-ASCII letters (\b is ASCII-only in JS regexes)
+  function wordPattern(body) {
+    return '(?<![\\p{L}\\p{N}_])' + body + '(?![\\p{L}\\p{N}_])';
+  }
+
+  // One global regex per term list; longer terms first so multi-word terms win over their prefixes
+  function compileTerms(terms) {
+    const list = Array.from(new Set((terms || []).map(t => String(t).trim().toLowerCase()).filter(Boolean)))
+      .sort((a, b) => b.length - a.length);
+    if (list.length === 0) return null;
+    const body = '(?:' + list.map(t => escapeRegExp(t).replace(/\s+/g, '\\s+')).join('|') + ')';
+    return new RegExp(wordPattern(body), 'giu');
+  }
+
+  function countMatches(re, lower) {
+    if (!re) return 0;
+    const m = lower.match(re);
+    return m ? m.length : 0;
+  }
+
+  // Matches with positions: [{ term, index, end }]
+  function findMatches(re, lower) {
+    if (!re) return [];
+    return Array.from(lower.matchAll(re), m => ({ term: m[0], index: m.index, end: m.index + m[0].length }));
+  }
+
+  /**
+   * Character span governed by a negator: from the end of the negator up to `maxWords` words,
+   * cut short by clause punctuation or the next connector (a new clause).
+   */
+  function negationSpan(lower, negator, maxWords, connectorStarts) {
+    let end = lower.length;
+    const punct = /[,.;:!?\n]/g;
+    punct.lastIndex = negator.end;
+    const pm = punct.exec(lower);
+    if (pm) end = pm.index;
+    const nextConnector = connectorStarts.find(i => i > negator.end && lower.slice(negator.end, i).trim() !== '');
+    if (nextConnector !== undefined) end = Math.min(end, nextConnector);
+    const wordRe = /[\p{L}\p{N}_']+/gu;
+    wordRe.lastIndex = negator.end;
+    for (let n = 0; n < maxWords; n++) {
+      const w = wordRe.exec(lower);
+      if (!w || w.index >= end) break;
+      if (n === maxWords - 1) end = Math.min(end, w.index + w[0].length);
+    }
+    return { start: negator.end, end };
+  }
+
+  /**
+   * Register (or replace) a lexicon pack.
+   * @param {Object} pack - { id, name, version, locales, connectors, metaphorMarkers, selfReference, affectWords }
+   * @returns {{ id: string, version: string }}
+   */
+  function registerLexicon(pack) {
+    if (!pack || typeof pack !== 'object' || typeof pack.id !== 'string' || !pack.id.trim()) {
+      throw new Error('registerLexicon: pack.id must be a non-empty string');
+    }
+    if (!pack.connectors || typeof pack.connectors !== 'object') {
+      throw new Error(`registerLexicon: pack "${pack.id}" is missing connectors`);
+    }
+    ['negators', 'hedges', 'certainty', 'callbacks', 'stopwords', 'suffixes'].forEach(field => {
+      if (pack[field] !== undefined && !Array.isArray(pack[field])) {
+        throw new Error(`registerLexicon: pack "${pack.id}" field ${field} must be an array of strings`);
+      }
+    });
+    ['metaphorMarkers', 'selfReference', 'affectWords'].concat(CONNECTOR_KINDS.map(k => 'connectors.' + k)).forEach(field => {
+      const val = field.startsWith('connectors.') ? pack.connectors[field.slice(11)] : pack[field];
+      if (!Array.isArray(val)) {
+        throw new Error(`registerLexicon: pack "${pack.id}" field ${field} must be an array of strings`);
+      }
+    });
+    const patterns = { connectors: {} };
+    CONNECTOR_KINDS.forEach(k => { patterns.connectors[k] = compileTerms(pack.connectors[k]); });
+    patterns.metaphor = compileTerms(pack.metaphorMarkers);
+    patterns.selfReference = compileTerms(pack.selfReference);
+    patterns.affect = compileTerms(pack.affectWords);
+    // optional (packs before 1.1.0 have no negation / epistemic terms)
+    patterns.negators = compileTerms(pack.negators);
+    patterns.hedges = compileTerms(pack.hedges);
+    patterns.certainty = compileTerms(pack.certainty);
+    patterns.negationScope = Number(pack.negationScope) > 0 ? Number(pack.negationScope) : DEFAULT_NEGATION_SCOPE;
+    patterns.callbacks = compileTerms(pack.callbacks);
+    // function words never count as shared concepts: explicit stopwords plus every single-word pack term
+    const functionWords = [].concat(
+      pack.stopwords || [], pack.selfReference, pack.metaphorMarkers, pack.negators || [], pack.hedges || [],
+      pack.certainty || [], pack.callbacks || [],
+      ...CONNECTOR_KINDS.map(k => pack.connectors[k])
+    );
+    patterns.stopwords = new Set(functionWords.map(w => String(w).trim().toLowerCase()).filter(w => w && !/\s/.test(w)));
+    patterns.suffixes = (pack.suffixes || []).map(x => String(x).toLowerCase()).sort((a, b) => b.length - a.length);
+    lexiconRegistry.set(pack.id, { pack, patterns });
+    return { id: pack.id, version: pack.version || null };
+  }
 
-  const METAPHOR_MARKERS = ['like','as if','as though','resembles','resembled','metaphor','symbolic','as a','akin to','similar to'];
+  /**
+   * Resolve a locale (BCP 47 tag) or pack id to a registered pack:
+   * exact match in pack.locales, then primary subtag against pack id, then 'en'.
+   */
+  function resolveLexicon(locale) {
+    const tag = String(locale || defaultLocale || 'en').trim();
+    if (lexiconRegistry.has(tag)) return lexiconRegistry.get(tag);
+    const lowerTag = tag.toLowerCase();
+    for (const entry of lexiconRegistry.values()) {
+      if ((entry.pack.locales || []).some(l => String(l).toLowerCase() === lowerTag)) return entry;
+    }
+    const primary = lowerTag.split(/[-_]/)[0];
+    return lexiconRegistry.get(primary) || lexiconRegistry.get('en');
+  }
+
+  function listLexicons() {
+    return Array.from(lexiconRegistry.values()).map(({ pack }) => ({
+      id: pack.id,
+      name: pack.name || pack.id,
+      version: pack.version || null,
+      locales: (pack.locales || []).slice()
+    }));
+  }
+
+  registerLexicon(DEFAULT_LEXICON);
+  bundledLexicons.forEach(pack => registerLexicon(pack));
 
   /**
    * Very lightweight sentence splitter by periods / question / exclamation.
@@ -214,50 +380,97 @@
     return text.trim() === '' ? 0 : text.trim().split(/\s+/).length;
   }
 
+  function escapeRegExp(str) {
+    return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Keyword coverage for a prompt's scoringHints.keywords.
+   * A keyword matches on a word boundary, tolerating simple inflections (-s, -es, -ed, -ing).
+   * @param {string} text
+   * @param {string[]} keywords
+   * @returns {{ matched: string[], missing: string[], coverage: number }} coverage in [0,1]
+   */
+  function keywordCoverage(text, keywords = []) {
+    const list = (Array.isArray(keywords) ? keywords : []).filter(k => typeof k === 'string' && k.trim());
+    if (list.length === 0) return { matched: [], missing: [], coverage: 0 };
+    const lower = (text || '').toLowerCase();
+    const matched = [];
+    const missing = [];
+    list.forEach(k => {
+      const re = new RegExp(wordPattern(escapeRegExp(k.toLowerCase()).replace(/[\s-]+/g, '[\\s-]*') + '(s|es|ed|ing)?'), 'iu');
+      (re.test(lower) ? matched : missing).push(k);
+    });
+    return { matched, missing, coverage: matched.length / list.length };
+  }
+
   /**
    * Extract psycholinguistic signatures from text.
-   * Returns object with counts and normalized heuristics (0-1).
+   * Returns object with counts and normalized heuristics (0-1), plus the lexicon pack id used.
    * @param {string} text
+   * @param {string} [locale] - session locale or pack id; defaults to the engine default locale
    */
-  function parsePsycholinguisticSignatures(text) {
+  function parsePsycholinguisticSignatures(text, locale) {
+    const lexicon = resolveLexicon(locale);
+    const patterns = lexicon.patterns;
     const sentences = splitSentences(text);
     const tokens = tokenCount(text);
     const sentenceCount = Math.max(1, sentences.length);
     const avgTokensPerSentence = tokens / sentenceCount;
 
     // connector densities
-    const lower = (text || '').toLowerCase();
+    const lower = (text || '').toLowerCase().replace(/[\u2018\u2019]/g, "'");
+    const connectorHits = {};
+    CONNECTOR_KINDS.forEach(k => {
+      connectorHits[k] = findMatches(patterns.connectors[k], lower);
+    });
+
+    // negation scope: a connector directly after a negator ("not because") is suppressed;
+    // affect inside the span ("not very happy") is suppressed; certainty inside it flips to a hedge
+    const negators = findMatches(patterns.negators, lower);
+    const connectorStarts = CONNECTOR_KINDS.reduce((acc, k) => acc.concat(connectorHits[k].map(h => h.index)), []).sort((a, b) => a - b);
+    const spans = negators.map(n => negationSpan(lower, n, patterns.negationScope, connectorStarts));
+    const inSpan = hit => spans.some(sp => hit.index >= sp.start && hit.index < sp.end);
+    const directlyNegated = hit => negators.some(n => n.end <= hit.index && lower.slice(n.end, hit.index).trim() === '');
+    const negation = { negators: negators.map(n => n.term), suppressed: [], flipped: [] };
+
     const connectorCounts = {};
-    Object.keys(CONNECTOR_LIST).forEach(k => {
-      connectorCounts[k] = 0;
-      CONNECTOR_LIST[k].forEach(w => {
-        // count occurrences
-        const re = new RegExp('\\b' + w.replace(/\s+/g, '\\s+') + '\\b', 'gi');
-        const m = lower.match(re);
-        if (m) connectorCounts[k] += m.length;
+    CONNECTOR_KINDS.forEach(k => {
+      const kept = connectorHits[k].filter(h => {
+        if (!directlyNegated(h)) return true;
+        negation.suppressed.push({ kind: k, term: h.term });
+        return false;
       });
+      connectorCounts[k] = kept.length;
     });
 
     // metaphors
-    let metaphorMatches = 0;
-    METAPHOR_MARKERS.forEach(mk => {
-      const re = new RegExp('\\b' + mk.replace(/\s+/g, '\\s+') + '\\b', 'gi');
-      const mm = lower.match(re);
-      if (mm) metaphorMatches += mm.length;
-    });
+    const metaphorMatches = countMatches(patterns.metaphor, lower);
 
     // self-reference / personal pronouns detection (for meta-awareness clues)
-    const pronounRe = /\b(I|me|my|we|our|us|mine)\b/gi;
-    const selfRefs = (lower.match(pronounRe) || []).length;
-
-    // emotional-word heuristics (small lexicon for affect density)
-    const affectWords = ['anxious','anxiety','sad','happy','joy','anger','angry','calm','scared','fear','dread','relief','excited','depressed','comfort'];
-    let affectCount = 0;
-    affectWords.forEach(w => {
-      const re = new RegExp('\\b' + w + '\\b', 'gi');
-      const m = lower.match(re);
-      if (m) affectCount += m.length;
+    const selfRefs = countMatches(patterns.selfReference, lower);
+
+    // emotional-word heuristics (small lexicon for affect density); negated affect is not counted
+    const affectHits = findMatches(patterns.affect, lower);
+    const affectCount = affectHits.filter(h => {
+      if (!inSpan(h)) return true;
+      negation.suppressed.push({ kind: 'affect', term: h.term });
+      return false;
+    }).length;
+
+    // epistemic markers: hedging ("maybe", "sort of") vs certainty ("clearly"); "not certainly" hedges
+    const hedges = findMatches(patterns.hedges, lower).map(h => h.term);
+    const certaintyMarkers = [];
+    findMatches(patterns.certainty, lower).forEach(h => {
+      if (inSpan(h)) {
+        negation.flipped.push({ from: 'certainty', to: 'hedge', term: h.term });
+        hedges.push(h.term);
+      } else {
+        certaintyMarkers.push(h.term);
+      }
     });
+    const hedgeDensity = hedges.length / sentenceCount;
+    const certaintyDensity = certaintyMarkers.length / sentenceCount;
 
     // causalDensity: causal connectors per sentence
     const causalDensity = connectorCounts.causal / sentenceCount;
@@ -280,7 +493,12 @@
       causalDensity,
       temporalDensity,
       contrastDensity,
-      modalDensity
+      modalDensity,
+      negation,
+      hedges,
+      certaintyMarkers,
+      hedgeDensity,
+      certaintyDensity
     };
 
     // normalized heuristics
@@ -290,10 +508,509 @@
       temporalDensity: normalize(temporalDensity, 0, 1),
       avgSentenceComplexity: normalize(avgTokensPerSentence, 0, 40),
       affectDensity: normalize(affectCount, 0, Math.max(4, sentenceCount)),
-      selfReference: normalize(selfRefs, 0, Math.max(4, sentenceCount))
+      selfReference: normalize(selfRefs, 0, Math.max(4, sentenceCount)),
+      hedgeDensity: normalize(hedgeDensity, 0, 1),
+      certaintyDensity: normalize(certaintyDensity, 0, 1),
+      // 1 when qualified and committed claims are balanced, 0 when only one kind (or none) appears
+      epistemicCalibration: (hedges.length + certaintyMarkers.length) > 0
+        ? 1 - Math.abs(hedges.length - certaintyMarkers.length) / (hedges.length + certaintyMarkers.length)
+        : 0
     };
 
-    return { raw, heuristics, sentences, tokens };
+    return { raw, heuristics, sentences, tokens, lexicon: lexicon.pack.id };
+  }
+
+  // -------------------------------
+  // Cross-phase coherence
+  // Continuity between a response and the session's earlier answers: shared content concepts
+  // (stemmed, function words removed) and explicit callbacks ("as I said", "earlier").
+  // -------------------------------
+  const MIN_CONCEPT_LENGTH = 4;
+
+  function stemWord(word, suffixes) {
+    for (const sfx of suffixes) {
+      if (word.endsWith(sfx) && word.length - sfx.length >= MIN_CONCEPT_LENGTH) return word.slice(0, -sfx.length);
+    }
+    return word;
+  }
+
+  /**
+   * Content concepts of a text as stem -> first surface form.
+   * @returns {Map<string, string>}
+   */
+  function extractConcepts(text, lexicon) {
+    const patterns = lexicon.patterns;
+    const concepts = new Map();
+    const words = (text || '').toLowerCase().replace(/[\u2018\u2019]/g, "'").match(/[\p{L}\p{N}']+/gu) || [];
+    words.forEach(w => {
+      const word = w.replace(/^'+|'+$/g, '');
+      if (word.length < MIN_CONCEPT_LENGTH || patterns.stopwords.has(word) || /^\p{N}+$/u.test(word)) return;
+      const stem = stemWord(word, patterns.suffixes);
+      if (!concepts.has(stem)) concepts.set(stem, word);
+    });
+    return concepts;
+  }
+
+  /**
+   * Links from a response to earlier responses in the session.
+   * @param {string} text - current response text
+   * @param {Object[]} previousResponses - [{ id, phaseId, promptId, text }] from earlier phases
+   * @param {string} [locale]
+   * @returns {{ links: Object[], callbacks: string[], conceptCount: number, carriedConcepts: string[], earlierPhases: number }}
+   */
+  function findCrossPhaseLinks(text, previousResponses = [], locale) {
+    const lexicon = resolveLexicon(locale);
+    const current = extractConcepts(text, lexicon);
+    const callbacks = findMatches(lexicon.patterns.callbacks, (text || '').toLowerCase()).map(m => m.term);
+    const carried = new Set();
+    const links = [];
+    (previousResponses || []).forEach(prev => {
+      if (!prev || typeof prev.text !== 'string') return;
+      const earlier = extractConcepts(prev.text, lexicon);
+      const shared = [];
+      current.forEach((surface, stem) => {
+        if (earlier.has(stem)) {
+          shared.push(surface);
+          carried.add(stem);
+        }
+      });
+      if (shared.length > 0) {
+        links.push({
+          phaseId: prev.phaseId != null ? Number(prev.phaseId) : null,
+          promptId: prev.promptId || null,
+          responseId: prev.id || null,
+          sharedConcepts: shared
+        });
+      }
+    });
+    const earlierPhases = new Set((previousResponses || []).filter(r => r && typeof r.text === 'string').map(r => String(r.phaseId))).size;
+    return {
+      links,
+      callbacks,
+      conceptCount: current.size,
+      carriedConcepts: Array.from(carried).map(stem => current.get(stem)),
+      earlierPhases
+    };
+  }
+
+  // Responses from phases before the one being scored (never the response itself)
+  function earlierResponses(responseObj, phaseDef, list = []) {
+    const currentPhaseId = Number((responseObj && responseObj.phaseId) || (phaseDef && phaseDef.id));
+    return (list || []).filter(r =>
+      r && r.id !== responseObj.id && (!Number.isFinite(currentPhaseId) || Number(r.phaseId) < currentPhaseId));
+  }
+
+  // -------------------------------
+  // Semantic similarity (embeddings)
+  // Uses the active provider of engine/embeddings.js. Stored vectors are reused only when their
+  // embeddingModel tag matches the active provider; otherwise the text is re-embedded.
+  // -------------------------------
+  function getEmbeddings() {
+    if (embeddingsLib) return embeddingsLib;
+    const g = typeof globalThis !== 'undefined' ? globalThis : null;
+    return (g && g.MCIFEmbeddings) || null;
+  }
+
+  /**
+   * Similarity of a response to its prompt and to earlier responses.
+   * @param {Object} responseObj - may carry embeddings + embeddingModel
+   * @param {Object|null} prompt - prompts.json entry (uses prompt.text)
+   * @param {Object[]} previous - [{ id, phaseId, text, embeddings?, embeddingModel? }]
+   * @returns {Promise<{ model, prompt: number|null, responses: Object[] }|null>} null without a provider
+   */
+  async function computeSemanticSimilarity(responseObj, prompt, previous = []) {
+    const lib = getEmbeddings();
+    if (!lib || typeof lib.embedMany !== 'function' || !lib.getProvider()) return null;
+    const model = lib.modelTag();
+    const reusable = r => r && r.embeddingModel === model && Array.isArray(r.embeddings) && r.embeddings.length > 0;
+
+    // embed everything without a reusable vector in a single provider call
+    const pending = [];
+    const vectorFor = item => {
+      if (reusable(item)) return item.embeddings;
+      pending.push(item);
+      return null;
+    };
+    const subjects = [
+      { key: 'self', embeddings: responseObj.embeddings, embeddingModel: responseObj.embeddingModel, text: responseObj.text },
+      ...(prompt && prompt.text ? [{ key: 'prompt', text: prompt.text }] : []),
+      ...previous.filter(r => typeof r.text === 'string').map(r => Object.assign({ key: 'prev' }, r))
+    ];
+    const vectors = new Map(subjects.map(item => [item, vectorFor(item)]));
+    if (pending.length > 0) {
+      const { vectors: fresh } = await lib.embedMany(pending.map(p => p.text));
+      pending.forEach((item, i) => vectors.set(item, fresh[i]));
+    }
+
+    const self = vectors.get(subjects[0]);
+    const promptSubject = subjects.find(x => x.key === 'prompt');
+    return {
+      model,
+      prompt: promptSubject ? lib.similarity(self, vectors.get(promptSubject)) : null,
+      responses: subjects.filter(x => x.key === 'prev').map(x => ({
+        responseId: x.id || null,
+        phaseId: x.phaseId != null ? Number(x.phaseId) : null,
+        similarity: lib.similarity(self, vectors.get(x))
+      }))
+    };
+  }
+
+  function describeSemanticSimilarity(semantic) {
+    if (!semantic) return null;
+    const parts = [];
+    if (semantic.prompt !== null) parts.push(`response–prompt similarity ${semantic.prompt.toFixed(2)}`);
+    const closest = semantic.responses.reduce((best, r) => (!best || r.similarity > best.similarity ? r : best), null);
+    if (closest) parts.push(`closest earlier answer: phase ${closest.phaseId} (${closest.similarity.toFixed(2)})`);
+    if (parts.length === 0) return null;
+    return { metric: 'semanticSimilarity', reason: `Semantic embedding (${semantic.model}): ${parts.join('; ')}.` };
+  }
+
+  // -------------------------------
+  // Metric scorers
+  // Each scorer: (sig, text, prompt, context) -> { value: 0..1, reason }
+  // context: { locale, previousResponses, crossPhase } (crossPhase: findCrossPhaseLinks result or null)
+  // Built-ins are keyed by the submetric ids used in weights.json phases and are loaded into the
+  // metric registry below; metrics with other ids (custom phase definitions) are resolved by name
+  // via LEGACY_NAME_RULES, else 'fallback'.
+  // -------------------------------
+  function lexicalDiversity(text) {
+    const words = (text || '').toLowerCase().match(/[a-z\u00c0-\u024f']+/g) || [];
+    if (words.length === 0) return 0;
+    return new Set(words).size / words.length;
+  }
+
+  const BUILTIN_SCORERS = {
+    detail: (sig) => ({
+      // detail ~ token count and avg tokens/sentence, penalize extreme shortness
+      value: sig.heuristics.avgSentenceComplexity * 0.6 + normalize(sig.tokens, 0, 400) * 0.4,
+      reason: `Detail derived from token count (${sig.tokens}) and avg sentence complexity (${sig.raw.avgTokensPerSentence.toFixed(1)}).`
+    }),
+    sensoryEmotionLink: (sig) => ({
+      // presence of affect language + sensory adjectives (best-effort via affect density)
+      value: sig.heuristics.affectDensity * 0.6 + normalize(sig.raw.selfRefs, 0, 4) * 0.1 + sig.heuristics.metaphorDensity * 0.3,
+      reason: `Sensory-emotion link uses affect density (${sig.raw.affectCount}) and metaphor density (${sig.heuristics.metaphorDensity.toFixed(2)}).`
+    }),
+    conceptDepth: (sig) => ({
+      // causal density and temporal linking, coherence (proxy)
+      value: sig.heuristics.causalDensity * 0.6 + sig.heuristics.temporalDensity * 0.25 + (1 - sig.heuristics.metaphorDensity) * 0.15,
+      reason: `Concept depth inferred from causal connectors (${sig.raw.connectorCounts.causal}) and temporal linking (${sig.raw.connectorCounts.temporal}).`
+    }),
+    causalMapping: (sig) => ({
+      value: sig.heuristics.causalDensity * 0.7 + sig.heuristics.temporalDensity * 0.2,
+      reason: `Causal mapping derived from causal (${sig.raw.connectorCounts.causal}) and temporal (${sig.raw.connectorCounts.temporal}) connectors.`
+    }),
+    analyticalCoherence: (sig) => ({
+      // committed claims support an argument; hedging beyond one marker per sentence erodes it
+      value: sig.heuristics.causalDensity * 0.6 + sig.heuristics.avgSentenceComplexity * 0.25 +
+        sig.heuristics.certaintyDensity * 0.15 - Math.max(0, sig.raw.hedgeDensity - 1) * 0.1,
+      reason: `Analytical coherence uses causal density (${sig.raw.connectorCounts.causal}), sentence complexity and ${sig.raw.certaintyMarkers.length} certainty vs ${sig.raw.hedges.length} hedge markers.`
+    }),
+    constructNovelty: (sig) => ({
+      value: sig.heuristics.metaphorDensity * 0.65 + (1 - sig.heuristics.avgSentenceComplexity) * 0.35,
+      reason: `Novelty proxied by metaphor density and lower sentence complexity (creative brevity).`
+    }),
+    metaphoricDensity: (sig) => ({
+      value: sig.heuristics.metaphorDensity * 0.8 + sig.heuristics.avgSentenceComplexity * 0.2,
+      reason: `Metaphoric density from ${sig.raw.metaphorMatches} figurative markers across ${sig.raw.sentenceCount} sentences.`
+    }),
+    divergentAssociations: (sig, text) => {
+      const diversity = lexicalDiversity(text);
+      return {
+        value: diversity * 0.5 + sig.heuristics.metaphorDensity * 0.3 + normalize(sig.raw.contrastDensity, 0, 1) * 0.2,
+        reason: `Divergent associations from lexical diversity (${diversity.toFixed(2)}), metaphors and contrastive turns (${sig.raw.connectorCounts.contrast}).`
+      };
+    },
+    symbolicClarity: (sig) => ({
+      value: sig.heuristics.metaphorDensity * 0.5 + sig.heuristics.causalDensity * 0.25 + sig.heuristics.avgSentenceComplexity * 0.25,
+      reason: `Symbolic clarity pairs metaphor use with explanatory (causal) framing.`
+    }),
+    empathicLink: (sig) => ({
+      value: sig.heuristics.affectDensity * 0.7 + sig.heuristics.selfReference * 0.3,
+      reason: `Empathic link uses explicit affect language (${sig.raw.affectCount}) and self-referential cues.`
+    }),
+    emotionalCausality: (sig) => ({
+      value: sig.heuristics.causalDensity * 0.6 + sig.heuristics.affectDensity * 0.4,
+      reason: `Emotional causality links affect words (${sig.raw.affectCount}) with causal connectors (${sig.raw.connectorCounts.causal}).`
+    }),
+    toleranceOfAmbiguity: (sig) => ({
+      value: normalize(sig.raw.modalDensity, 0, 1) * 0.5 + normalize(sig.raw.contrastDensity, 0, 1) * 0.5,
+      reason: `Tolerance of ambiguity from modal (${sig.raw.connectorCounts.modal}) and contrastive (${sig.raw.connectorCounts.contrast}) language.`
+    }),
+    selfReferenceClarity: (sig) => ({
+      // direct self references, sequential language, and acknowledged uncertainty
+      value: sig.heuristics.selfReference * 0.5 + sig.heuristics.temporalDensity * 0.2 + sig.heuristics.causalDensity * 0.1 +
+        sig.heuristics.hedgeDensity * 0.2,
+      reason: `Meta-awareness uses self-reference (${sig.raw.selfRefs}), sequential language and hedged claims (${sig.raw.hedges.length}).`
+    }),
+    metaLogicIntegrity: (sig) => ({
+      value: sig.heuristics.selfReference * 0.3 + sig.heuristics.causalDensity * 0.35 + sig.heuristics.avgSentenceComplexity * 0.15 +
+        sig.heuristics.epistemicCalibration * 0.2,
+      reason: `Meta-logic integrity combines self-observation with causal reasoning about it; epistemic calibration ${sig.heuristics.epistemicCalibration.toFixed(2)} (${sig.raw.hedges.length} hedges vs ${sig.raw.certaintyMarkers.length} certainty markers).`
+    }),
+    coherenceAcrossPhases: (sig, text, prompt, context = {}) => {
+      const cp = context.crossPhase;
+      if (!cp || cp.earlierPhases === 0) {
+        const within = BUILTIN_SCORERS.analyticalCoherence(sig);
+        return { value: within.value, reason: 'No earlier responses available; within-response analytical coherence used instead.' };
+      }
+      const linkedPhases = new Set(cp.links.map(l => String(l.phaseId))).size;
+      const value = (linkedPhases / cp.earlierPhases) * 0.5 +
+        normalize(cp.carriedConcepts.length / Math.max(1, cp.conceptCount), 0, 0.5) * 0.3 +
+        normalize(cp.callbacks.length, 0, 2) * 0.2;
+      const carried = cp.carriedConcepts.slice(0, 6).join(', ');
+      return {
+        value,
+        reason: `Links back to ${linkedPhases} of ${cp.earlierPhases} earlier phases` +
+          (carried ? ` via shared concepts (${carried}${cp.carriedConcepts.length > 6 ? ', …' : ''})` : '') +
+          `; ${cp.callbacks.length} explicit callback${cp.callbacks.length === 1 ? '' : 's'}${cp.callbacks.length ? ` (${cp.callbacks.join(', ')})` : ''}.`
+      };
+    },
+    meaningConvergence: (sig) => ({
+      value: sig.heuristics.causalDensity * 0.5 + sig.heuristics.temporalDensity * 0.2 + sig.heuristics.avgSentenceComplexity * 0.3,
+      reason: `Meaning convergence from causal (${sig.raw.connectorCounts.causal}) and temporal linking at sentence depth.`
+    }),
+    ethicalConsistency: (sig) => ({
+      value: sig.heuristics.causalDensity * 0.5 + normalize(sig.raw.contrastDensity, 0, 1) * 0.3 + sig.heuristics.avgSentenceComplexity * 0.2,
+      reason: `Ethical consistency weighs reasons (causal) against considered counterpoints (contrast).`
+    }),
+    aestheticCohesion: (sig) => ({
+      value: sig.heuristics.metaphorDensity * 0.5 + (1 - Math.abs(sig.heuristics.avgSentenceComplexity - 0.5) * 2) * 0.5,
+      reason: `Aesthetic cohesion from figurative language and balanced sentence length.`
+    }),
+    transformativeInsight: (sig) => ({
+      value: sig.heuristics.temporalDensity * 0.4 + sig.heuristics.selfReference * 0.3 + sig.heuristics.metaphorDensity * 0.3,
+      reason: `Transformative insight from change-over-time language and personal framing.`
+    }),
+    fallback: (sig) => ({
+      // blend of coherence proxies
+      value: (sig.heuristics.causalDensity + (1 - sig.heuristics.metaphorDensity) + sig.heuristics.avgSentenceComplexity) / 3,
+      reason: `Fallback metric computed from causal, metaphor, and complexity heuristics.`
+    })
+  };
+
+  // -------------------------------
+  // Metric registry
+  // id -> { id, scorer, meta }. Study-specific metrics are added with registerMetric(); a phase
+  // (weights.json submetrics) or prompt (mapsToMetrics) referencing the id then uses that scorer.
+  // -------------------------------
+  const metricRegistry = new Map();
+
+  /**
+   * Register a metric scorer.
+   * @param {string} id - metric id as referenced by phase submetrics / prompt mapsToMetrics
+   * @param {Function} scorerFn - synchronous (sig, text, prompt, context) => { value: 0..1, reason: string };
+   *                              context is { locale, previousResponses, crossPhase }
+   * @param {Object} [meta] - { name, description, version, override }; override: true is required
+   *                          to replace an already registered metric
+   * @returns {{ id: string, meta: Object }}
+   */
+  function registerMetric(id, scorerFn, meta = {}) {
+    if (typeof id !== 'string' || !id.trim()) {
+      throw new Error('registerMetric: id must be a non-empty string');
+    }
+    if (typeof scorerFn !== 'function') {
+      throw new Error(`registerMetric: scorer for "${id}" must be a function`);
+    }
+    const existing = metricRegistry.get(id);
+    if (existing && !meta.override) {
+      throw new Error(`registerMetric: metric "${id}" is already registered (pass meta.override to replace it)`);
+    }
+    const entryMeta = Object.assign({ name: humanizeId(id), builtin: false }, meta);
+    delete entryMeta.override;
+    metricRegistry.set(id, { id, scorer: scorerFn, meta: entryMeta });
+    loadReport = null; // scorer coverage changed; recompute on next getLoadReport()
+    return { id, meta: Object.assign({}, entryMeta) };
+  }
+
+  /**
+   * Remove a registered metric. Built-in metrics cannot be removed; removing an override of a
+   * built-in restores the built-in scorer.
+   * @returns {boolean} true when a metric was removed
+   */
+  function unregisterMetric(id) {
+    const existing = metricRegistry.get(id);
+    if (!existing) return false;
+    if (existing.meta.builtin) {
+      throw new Error(`unregisterMetric: "${id}" is a built-in metric`);
+    }
+    if (Object.prototype.hasOwnProperty.call(BUILTIN_SCORERS, id)) {
+      metricRegistry.set(id, { id, scorer: BUILTIN_SCORERS[id], meta: { name: humanizeId(id), builtin: true } });
+    } else {
+      metricRegistry.delete(id);
+    }
+    loadReport = null;
+    return true;
+  }
+
+  function listMetrics() {
+    return Array.from(metricRegistry.values()).map(e => Object.assign({ id: e.id }, e.meta));
+  }
+
+  /**
+   * Run the registered scorer for a metric id. A throwing or malformed scorer scores 0 with the
+   * error as its reason rather than failing the whole response.
+   */
+  function runScorer(scorerId, sig, text, prompt, context = {}) {
+    const entry = metricRegistry.get(scorerId) || metricRegistry.get('fallback');
+    try {
+      const scored = entry.scorer(sig, text, prompt, context) || {};
+      const value = Number(scored.value);
+      if (!Number.isFinite(value)) {
+        return { value: 0, reason: `Metric scorer "${entry.id}" returned a non-numeric value.` };
+      }
+      return { value, reason: scored.reason || '' };
+    } catch (err) {
+      return { value: 0, reason: `Metric scorer "${entry.id}" failed: ${err && err.message ? err.message : String(err)}` };
+    }
+  }
+
+  Object.keys(BUILTIN_SCORERS).forEach(id => registerMetric(id, BUILTIN_SCORERS[id], { builtin: true }));
+
+  // Name-substring rules for metrics outside the weights.json vocabulary (first match wins)
+  const LEGACY_NAME_RULES = [
+    [['detail'], 'detail'],
+    [['sensory'], 'sensoryEmotionLink'],
+    [['concept', 'depth'], 'conceptDepth'],
+    [['logic', 'analytical', 'coher'], 'analyticalCoherence'],
+    [['systems', 'causal'], 'causalMapping'],
+    [['novel', 'metaphor'], 'constructNovelty'],
+    [['empath', 'emotional'], 'empathicLink'],
+    [['self', 'meta', 'process'], 'selfReferenceClarity']
+  ];
+
+  /**
+   * Resolve a metric ({id, name}) to a registered metric id, or null when only the fallback applies.
+   */
+  function resolveScorerId(metric) {
+    const id = metric && (metric.id || metric.name);
+    if (id && id !== 'fallback' && metricRegistry.has(id)) return id;
+    const mname = String((metric && (metric.name || metric.id)) || '').toLowerCase();
+    const rule = LEGACY_NAME_RULES.find(([needles]) => needles.some(n => mname.includes(n)));
+    return rule ? rule[1] : null;
+  }
+
+  /**
+   * Explanations for parser adjustments that are not visible in any single metric:
+   * negation-scope suppressions/flips and the hedge vs certainty balance.
+   * @returns {{ metric: string, reason: string }[]}
+   */
+  function describeNegationAndEpistemics(sig) {
+    const out = [];
+    const neg = sig.raw.negation;
+    if (neg && (neg.suppressed.length > 0 || neg.flipped.length > 0)) {
+      const parts = [];
+      if (neg.suppressed.length > 0) {
+        parts.push(`not counted under negation: ${neg.suppressed.map(x => `${x.term} (${x.kind})`).join(', ')}`);
+      }
+      if (neg.flipped.length > 0) {
+        parts.push(`negated certainty read as hedging: ${neg.flipped.map(x => x.term).join(', ')}`);
+      }
+      out.push({ metric: 'negation', reason: `Negation scope (${Array.from(new Set(neg.negators)).join(', ')}): ${parts.join('; ')}.` });
+    }
+    const h = sig.raw.hedges.length;
+    const c = sig.raw.certaintyMarkers.length;
+    if (h + c > 0) {
+      out.push({
+        metric: 'epistemicMarkers',
+        reason: `${h} hedge${h === 1 ? '' : 's'}${h ? ` (${sig.raw.hedges.join(', ')})` : ''} and ${c} certainty marker${c === 1 ? '' : 's'}${c ? ` (${sig.raw.certaintyMarkers.join(', ')})` : ''}; ` +
+          `calibration ${sig.heuristics.epistemicCalibration.toFixed(2)} feeds meta-awareness, certainty density ${sig.heuristics.certaintyDensity.toFixed(2)} feeds logic.`
+      });
+    }
+    return out;
+  }
+
+  // -------------------------------
+  // Phase definitions (single source of truth: weights.json phases)
+  // -------------------------------
+
+  // "causalMapping" -> "Causal Mapping"
+  function humanizeId(id) {
+    return String(id)
+      .replace(/[_\-]+/g, ' ')
+      .replace(/([a-z])([A-Z])/g, '$1 $2')
+      .replace(/\b\w/g, c => c.toUpperCase());
+  }
+
+  /**
+   * Build PhaseDefinition-like objects from a weights manifest's `phases` block.
+   * @param {Object} weightSet
+   * @returns {Object<string, {id, name, domains, submetrics, metrics}>} keyed by phase id
+   */
+  function buildPhaseDefinitions(weightSet = DEFAULT_WEIGHTS) {
+    const phases = (weightSet && weightSet.phases) || {};
+    const out = {};
+    Object.keys(phases).forEach(key => {
+      const ph = phases[key] || {};
+      const submetrics = Object.assign({}, ph.submetrics || {});
+      out[key] = {
+        id: Number(key),
+        name: ph.name || `Phase ${key}`,
+        domains: (ph.domains || []).slice(),
+        submetrics,
+        metrics: Object.keys(submetrics).map(id => ({ id, name: humanizeId(id), range: { min: 0, max: 1 } }))
+      };
+    });
+    return out;
+  }
+
+  /**
+   * Load-time consistency report for the active manifests.
+   * - unresolvedSubmetrics: weights.json submetrics with no dedicated scorer (scored by 'fallback')
+   * - promptIssues: prompts whose phaseId is unknown, disagrees with the weights.json phase that owns
+   *   their mapsToMetrics (expectedPhaseId), or whose mapsToMetrics reference metrics that are not
+   *   submetrics of that phase
+   * @returns {{ phases: number[], unresolvedSubmetrics: Object[], promptIssues: Object[] }}
+   */
+  function auditPhaseDefinitions(weightSet = DEFAULT_WEIGHTS, prompts = null) {
+    const defs = buildPhaseDefinitions(weightSet);
+    const unresolvedSubmetrics = [];
+    Object.keys(defs).forEach(k => {
+      defs[k].metrics.forEach(m => {
+        if (!metricRegistry.has(m.id) || m.id === 'fallback') {
+          unresolvedSubmetrics.push({ phaseId: defs[k].id, submetric: m.id, resolvedAs: resolveScorerId(m) || 'fallback' });
+        }
+      });
+    });
+    const promptIssues = [];
+    ((prompts && prompts.prompts) || []).forEach(p => {
+      const def = defs[String(p.phaseId)];
+      if (!def) {
+        promptIssues.push({ promptId: p.id, metricId: null, reason: `unknown phaseId ${p.phaseId}` });
+        return;
+      }
+      const owner = promptPhase(p, defs);
+      if (owner !== null && owner !== def.id) {
+        promptIssues.push({
+          promptId: p.id,
+          metricId: null,
+          expectedPhaseId: owner,
+          reason: `phaseId ${p.phaseId} but its mapsToMetrics are submetrics of phase ${owner} (${defs[String(owner)].name})`
+        });
+        return;
+      }
+      (p.mapsToMetrics || []).forEach(m => {
+        if (!Object.prototype.hasOwnProperty.call(def.submetrics, m.metricId)) {
+          promptIssues.push({ promptId: p.id, metricId: m.metricId, reason: `not a submetric of phase ${def.id} (${def.name})` });
+        }
+      });
+    });
+    return { phases: Object.keys(defs).map(Number), unresolvedSubmetrics, promptIssues };
+  }
+
+  /**
+   * The weights.json phase whose submetrics include every metric a prompt maps to (phases are the
+   * source of truth for which metrics belong together), or null when no single phase owns them.
+   * @param {Object} prompt - prompts.json entry
+   * @param {Object} defs - buildPhaseDefinitions() result
+   * @returns {number|null}
+   */
+  function promptPhase(prompt, defs) {
+    const ids = ((prompt && prompt.mapsToMetrics) || []).map(m => m.metricId);
+    if (ids.length === 0) return null;
+    const owners = Object.keys(defs).filter(k => ids.every(id => Object.prototype.hasOwnProperty.call(defs[k].submetrics, id)));
+    if (owners.length === 0) return null;
+    // a metric shared by several phases (coherenceAcrossPhases) keeps the declared phase when it is one of them
+    return owners.includes(String(prompt.phaseId)) ? Number(prompt.phaseId) : Number(owners[0]);
   }
 
   // -------------------------------
@@ -301,78 +1018,74 @@
   // phaseDef: { id, name, metrics: [{id,name,range,weight?}, ...], ... }
   // responseObj: schema-compatible ResponseObject
   // weightSet: the active weightSet object from weights.json
-  // Returns: { rawMetrics, domainContributions, subScores, explanations, probabilities }
+  // prompt: the prompts.json entry that was answered (optional). When it declares mapsToMetrics,
+  //   those metrics and their contributionWeight replace phaseDef.metrics/submetrics, and
+  //   scoringHints.keywords coverage is blended into the phase score by scoringHints.keywordWeight.
+  //   Mapped metrics that are not submetrics of the phase are ignored (a prompt filed under the wrong
+  //   phase is scored by the phase's own submetrics and says so in its explanations).
+  // context: { locale, previousResponses } — previousResponses are earlier-phase responses
+  //   ({ id, phaseId, promptId, text }) used by coherenceAcrossPhases.
+  // Returns: { rawMetrics, domainContributions, subScores, explanations, probabilities, keywords, crossPhaseLinks }
   // -------------------------------
-  function scoreResponseForPhase(responseObj, phaseDef, weightSet = DEFAULT_WEIGHTS) {
+  function scoreResponseForPhase(responseObj, phaseDef, weightSet = DEFAULT_WEIGHTS, prompt = null, context = {}) {
+    let promptMetrics = prompt && Array.isArray(prompt.mapsToMetrics) && prompt.mapsToMetrics.length > 0
+      ? prompt.mapsToMetrics
+      : null;
+    let foreignMetrics = [];
+    if (promptMetrics && phaseDef && phaseDef.submetrics && typeof phaseDef.submetrics === 'object') {
+      foreignMetrics = promptMetrics.filter(m => !Object.prototype.hasOwnProperty.call(phaseDef.submetrics, m.metricId)).map(m => m.metricId);
+      promptMetrics = promptMetrics.filter(m => !foreignMetrics.includes(m.metricId));
+      if (promptMetrics.length === 0) promptMetrics = null;
+    }
     // Defensive guards
     if (!responseObj || typeof responseObj.text !== 'string') {
       throw new Error('Invalid response object: missing text');
     }
-    if (!phaseDef || !phaseDef.metrics) {
+    if (!phaseDef || (!phaseDef.metrics && !promptMetrics)) {
       throw new Error('Invalid phase definition for scoring');
     }
 
     const text = responseObj.text;
-    const sig = parsePsycholinguisticSignatures(text);
+    const locale = context.locale || null;
+    const sig = parsePsycholinguisticSignatures(text, locale);
+    const metricsToScore = promptMetrics
+      ? promptMetrics.map(m => ({ id: m.metricId, name: m.metricId }))
+      : phaseDef.metrics;
+
+    // cross-phase links are only computed for phases that score coherenceAcrossPhases
+    const previousResponses = earlierResponses(responseObj, phaseDef, context.previousResponses);
+    const crossPhase = metricsToScore.some(m => resolveScorerId(m) === 'coherenceAcrossPhases')
+      ? findCrossPhaseLinks(text, previousResponses, locale)
+      : null;
+    const scorerContext = { locale, previousResponses, crossPhase };
 
     // Build raw metrics map keyed by metric.id from phaseDef.metrics
     const rawMetrics = {};
     const explanations = [];
 
-    // Heuristic mappings from phase metric names (per white page)
-    // Phase-specific mapping logic:
-    phaseDef.metrics.forEach(metric => {
+    metricsToScore.forEach(metric => {
       const mid = metric.id || metric.name.replace(/\s+/g, '_').toLowerCase();
-      const mname = (metric.name || mid).toLowerCase();
-
-      // default fallback
-      let rawValue = 0;
-      let reason = '';
-
-      // Phase 1 heuristics
-      if (mname.includes('detail') || mname.includes('detail')) {
-        // detail ~ token count and avg tokens/sentence, penalize extreme shortness
-        rawValue = sig.heuristics.avgSentenceComplexity * 0.6 + normalize(sig.tokens, 0, 400) * 0.4;
-        reason = `Detail derived from token count (${sig.tokens}) and avg sentence complexity (${sig.raw.avgTokensPerSentence.toFixed(1)}).`;
-      } else if (mname.includes('sensory') || mname.includes('sensoryemotion') || mname.includes('sensoryemotionlink')) {
-        // sensoryEmotionLink ~ presence of affect language + sensory adjectives (best-effort via affect density)
-        rawValue = sig.heuristics.affectDensity * 0.6 + normalize(sig.selfRefs, 0, 4) * 0.1 + sig.heuristics.metaphorDensity * 0.3;
-        reason = `Sensory-emotion link uses affect density (${sig.raw.affectCount}) and metaphor density (${sig.heuristics.metaphorDensity.toFixed(2)}).`;
-      } else if (mname.includes('concept') || mname.includes('conceptdepth') || mname.includes('depth')) {
-        // concept depth ~ causal density and temporal linking, coherence (proxy)
-        rawValue = sig.heuristics.causalDensity * 0.6 + sig.heuristics.temporalDensity * 0.25 + (1 - sig.heuristics.metaphorDensity) * 0.15;
-        reason = `Concept depth inferred from causal connectors (${sig.raw.connectorCounts.causal}) and temporal linking (${sig.raw.connectorCounts.temporal}).`;
-      } else if (mname.includes('logic') || mname.includes('analytical') || mname.includes('coher')) {
-        rawValue = sig.heuristics.causalDensity * 0.7 + sig.heuristics.avgSentenceComplexity * 0.3;
-        reason = `Logic score uses causal density (${sig.raw.connectorCounts.causal}) and sentence complexity.`;
-      } else if (mname.includes('systems') || mname.includes('causal')) {
-        rawValue = sig.heuristics.causalDensity * 0.7 + sig.heuristics.temporalDensity * 0.2;
-        reason = `Systems thinking derived from causal and temporal connectors.`;
-      } else if (mname.includes('novel') || mname.includes('novelty') || mname.includes('metaphor')) {
-        rawValue = sig.heuristics.metaphorDensity * 0.65 + (1 - sig.heuristics.avgSentenceComplexity) * 0.35;
-        reason = `Novelty proxied by metaphor density and lower sentence complexity (creative brevity).`;
-      } else if (mname.includes('empath') || mname.includes('empathic') || mname.includes('emotional')) {
-        rawValue = sig.heuristics.affectDensity * 0.7 + sig.heuristics.selfReference * 0.3;
-        reason = `Emotion metric uses explicit affect language and self-referential cues.`;
-      } else if (mname.includes('causalinsight') || mname.includes('causal')) {
-        rawValue = sig.heuristics.causalDensity * 0.8 + sig.heuristics.temporalDensity * 0.2;
-        reason = `Causal insight derived from causal connector usage.`;
-      } else if (mname.includes('self') || mname.includes('meta') || mname.includes('process')) {
-        // meta-awareness - direct self references and sequential language
-        rawValue = sig.heuristics.selfReference * 0.6 + sig.heuristics.temporalDensity * 0.25 + sig.heuristics.causalDensity * 0.15;
-        reason = `Meta-awareness uses self-reference and sequential language.`;
-      } else {
-        // fallback: blend of coherence proxies
-        rawValue = (sig.heuristics.causalDensity + (1 - sig.heuristics.metaphorDensity) + sig.heuristics.avgSentenceComplexity) / 3;
-        reason = `Fallback metric computed from causal, metaphor, and complexity heuristics.`;
-      }
+      const scored = runScorer(resolveScorerId(metric) || 'fallback', sig, text, prompt, scorerContext);
+      let rawValue = scored.value;
+      let reason = scored.reason || '';
 
       // normalize each rawValue to 0..1 (metrics may expect different ranges)
       rawValue = Math.max(0, Math.min(1, rawValue));
 
       rawMetrics[mid] = Number(rawValue.toFixed(4));
+      if (promptMetrics) {
+        const pm = promptMetrics.find(m => m.metricId === mid);
+        reason += ` Weighted ${pm ? pm.contributionWeight : 0} by prompt ${prompt.id || '(unnamed)'}.`;
+      }
       explanations.push({ metric: mid, reason });
     });
+    if (foreignMetrics.length > 0) {
+      explanations.push({
+        metric: 'promptMapping',
+        reason: `Prompt ${prompt.id || '(unnamed)'} maps to ${foreignMetrics.join(', ')}, which ${foreignMetrics.length === 1 ? 'is not a submetric' : 'are not submetrics'} of phase ${phaseDef.id}; ignored.`
+      });
+    }
+    explanations.push(...describeNegationAndEpistemics(sig));
 
     // Map rawMetrics to domain contributions using weightSet and phase mapping
     // Each phaseDef should be associated with domain list and submetric keys mapping.
@@ -380,14 +1093,22 @@
     const domainContributions = {}; // domain -> aggregated normalized score
     const subScores = {}; // sub-scores per phase normalized to 0..100 (phase-level aggregated)
 
-    // If phaseDef.submetrics present: use them
-    const phaseSubmetrics = (phaseDef.submetrics && typeof phaseDef.submetrics === 'object')
-      ? phaseDef.submetrics
-      : (phaseDef.metrics || []).reduce((acc, m) => {
-          const id = m.id || (m.name || '').replace(/\s+/g, '_').toLowerCase();
-          acc[id] = 1 / (phaseDef.metrics.length || 1);
-          return acc;
-        }, {});
+    // Prompt mapsToMetrics weights win; else phaseDef.submetrics; else equal weights
+    let phaseSubmetrics;
+    if (promptMetrics) {
+      phaseSubmetrics = promptMetrics.reduce((acc, m) => {
+        acc[m.metricId] = Number(m.contributionWeight || 0);
+        return acc;
+      }, {});
+    } else if (phaseDef.submetrics && typeof phaseDef.submetrics === 'object') {
+      phaseSubmetrics = phaseDef.submetrics;
+    } else {
+      phaseSubmetrics = (phaseDef.metrics || []).reduce((acc, m) => {
+        const id = m.id || (m.name || '').replace(/\s+/g, '_').toLowerCase();
+        acc[id] = 1 / (phaseDef.metrics.length || 1);
+        return acc;
+      }, {});
+    }
 
     // compute subScore (phase-level) = weighted sum of rawMetrics * submetric weights
     let phaseScoreRaw = 0;
@@ -399,7 +1120,23 @@
       phaseScoreRaw += rawVal * w;
     });
     if (totalSubWeight <= 0) totalSubWeight = 1;
-    const phaseScoreNormalized = phaseScoreRaw / totalSubWeight; // 0..1
+    let phaseScoreNormalized = phaseScoreRaw / totalSubWeight; // 0..1
+
+    // blend prompt keyword coverage (scoringHints) into the phase score
+    let keywords = null;
+    const hints = prompt && prompt.scoringHints;
+    if (hints && Array.isArray(hints.keywords) && hints.keywords.length > 0) {
+      const kw = keywordCoverage(text, hints.keywords);
+      const kwWeight = Math.max(0, Math.min(1, Number(hints.keywordWeight || 0)));
+      phaseScoreNormalized = phaseScoreNormalized * (1 - kwWeight) + kw.coverage * kwWeight;
+      keywords = { promptId: prompt.id || null, matched: kw.matched, missing: kw.missing, coverage: Number(kw.coverage.toFixed(4)), weight: kwWeight };
+      explanations.push({
+        metric: 'keywordCoverage',
+        reason: kw.matched.length > 0
+          ? `Matched ${kw.matched.length}/${hints.keywords.length} prompt keywords (${kw.matched.join(', ')}); blended at weight ${kwWeight}.`
+          : `None of the prompt keywords (${hints.keywords.join(', ')}) appeared; blended at weight ${kwWeight}.`
+      });
+    }
     subScores[phaseDef.id || phaseDef.name || 'phase'] = Number((phaseScoreNormalized * 100).toFixed(2)); // scaled 0..100
 
     // distribute phaseScoreNormalized to domains (phaseDef.domains expected)
@@ -429,6 +1166,8 @@
       subScores,
       explanations,
       probabilities,
+      keywords,
+      crossPhaseLinks: crossPhase ? crossPhase.links : null,
       psycholinguistic: sig
     };
   }
@@ -453,6 +1192,49 @@
     return { mean: Number(postMean.toFixed(4)), var: Number(postVar.toFixed(6)) };
   }
 
+  /**
+   * Session-level reflective stability: feed each phase's probabilities.coherence through
+   * bayesianUpdateReflective in phase order and summarize the final posterior.
+   * Phases without a numeric coherence observation are skipped (recorded as observation null).
+   * @param {Object[]} scoredPhases
+   * @param {Object} opts { prior: {mean, var}, obsVar: number, level: 0.95 }
+   * @returns {{ prior, obsVar, trajectory: Object[], mean, var, credibleInterval: {level, lower, upper} }}
+   */
+  function computeReflectiveStability(scoredPhases = [], opts = {}) {
+    const prior = opts.prior || { mean: 0.5, var: 0.04 };
+    const obsVar = opts.obsVar || 0.02;
+    // two-sided normal quantiles for the supported levels; anything else falls back to 95%
+    const Z = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
+    const level = Z[opts.level] ? opts.level : 0.95;
+    const z = Z[level];
+
+    let posterior = { mean: prior.mean, var: prior.var };
+    const trajectory = scoredPhases.map((sp, idx) => {
+      const obs = sp.probabilities && typeof sp.probabilities.coherence === 'number' ? sp.probabilities.coherence : null;
+      if (obs !== null) posterior = bayesianUpdateReflective(posterior, obs, obsVar);
+      return {
+        phaseId: sp.phaseId !== undefined ? sp.phaseId : idx + 1,
+        observation: obs,
+        mean: posterior.mean,
+        var: posterior.var
+      };
+    });
+
+    const sd = Math.sqrt(posterior.var);
+    return {
+      prior,
+      obsVar,
+      trajectory,
+      mean: posterior.mean,
+      var: posterior.var,
+      credibleInterval: {
+        level,
+        lower: Number(Math.max(0, posterior.mean - z * sd).toFixed(4)),
+        upper: Number(Math.min(1, posterior.mean + z * sd).toFixed(4))
+      }
+    };
+  }
+
   // -------------------------------
   // Coherence waveform generator
   // Given an array of scored response items with timestamps and a per-response coherence measure,
@@ -477,6 +1259,91 @@
     }));
   }
 
+  // -------------------------------
+  // Tier modulation (weights.json tier_modulation)
+  // Bands (seed/growth/refinement/harmonization) each carry a 0..700 range and a modifier.
+  // Each modifier scales only the part of the base composite inside its band, so the modulated
+  // composite is continuous and increasing across band edges; the band containing the modulated
+  // composite supplies the reported TierEnum value (band.tier or DEFAULT_BAND_TIERS).
+  // -------------------------------
+  const DEFAULT_BAND_TIERS = {
+    seed: 'Explorer',
+    growth: 'Explorer',
+    refinement: 'Architect',
+    harmonization: 'Visionary'
+  };
+  const TIER_ENUM = ['Explorer', 'Architect', 'Visionary'];
+
+  /**
+   * Resolve the tier_modulation band for a composite (0..700).
+   * Bands are ordered by lower bound; gaps between ranges (e.g. 199..200) fall to the lower band.
+   * @returns {{ band: string, modifier: number, range: number[], tier: string }|null}
+   */
+  function resolveTierBand(composite, tierModulation) {
+    const bands = orderedBands(tierModulation);
+    if (bands.length === 0) return null;
+    let chosen = bands[0];
+    bands.forEach(k => { if (composite >= tierModulation[k].range[0]) chosen = k; });
+    const def = tierModulation[chosen];
+    const tier = def.tier || DEFAULT_BAND_TIERS[chosen];
+    if (TIER_ENUM.indexOf(tier) === -1) {
+      throw new Error(`tier_modulation band "${chosen}" maps to unknown tier "${tier}"`);
+    }
+    return {
+      band: chosen,
+      modifier: Number.isFinite(Number(def.modifier)) ? Number(def.modifier) : 1,
+      range: def.range.slice(),
+      tier
+    };
+  }
+
+  // band names with a [lo, hi] range, by lower bound
+  function orderedBands(tierModulation) {
+    if (!tierModulation || typeof tierModulation !== 'object') return [];
+    return Object.keys(tierModulation)
+      .filter(k => Array.isArray(tierModulation[k].range) && tierModulation[k].range.length === 2)
+      .sort((a, b) => tierModulation[a].range[0] - tierModulation[b].range[0]);
+  }
+
+  /**
+   * Bands applied to a base composite (0..700) by modulateComposite, lowest first:
+   * [{ band, span: [lo, hi], modifier }], span being the part of the base composite the modifier applied to.
+   */
+  function modulationSegments(base, tierModulation) {
+    const bands = orderedBands(tierModulation);
+    const segments = [];
+    bands.forEach((k, i) => {
+      const lo = tierModulation[k].range[0];
+      const hi = i + 1 < bands.length ? tierModulation[bands[i + 1]].range[0] : 700;
+      if (base <= lo) return;
+      const modifier = Number.isFinite(Number(tierModulation[k].modifier)) ? Number(tierModulation[k].modifier) : 1;
+      segments.push({ band: k, span: [lo, Math.min(base, hi)], modifier });
+    });
+    return segments;
+  }
+
+  /**
+   * Piecewise band modulation of a base composite (0..700).
+   * A band covers its lower bound up to the next band's lower bound (the last band up to 700), and its
+   * modifier applies to the part of the base composite in that span only. Crossing a band edge changes the
+   * slope, never the value: with the bundled bands base 399 → 369 and base 400 → 370.
+   * Base below the first band is unmodulated. Result is clamped to 0..700.
+   */
+  function modulateComposite(base, tierModulation) {
+    const bands = orderedBands(tierModulation);
+    if (bands.length === 0) return base;
+    let out = Math.min(base, tierModulation[bands[0]].range[0]);
+    modulationSegments(base, tierModulation).forEach(s => { out += (s.span[1] - s.span[0]) * s.modifier; });
+    return Math.max(0, Math.min(700, out));
+  }
+
+  // Legacy tier mapping (white page): Explorer 0–350, Architect 351–525, Visionary 526–700
+  function legacyTier(composite700) {
+    if (composite700 >= 526) return 'Visionary';
+    if (composite700 >= 351) return 'Architect';
+    return 'Explorer';
+  }
+
   // -------------------------------
   // Composite computation
   // Combine domain contributions across phases into domainScores and composite 0..700
@@ -485,6 +1352,8 @@
   //  - normalize per-domain to [0,1] by dividing by maximum theoretical (we assume 1.0 max)
   //  - apply domain weights from weightSet
   //  - scale composite to 0..700 using domain_baseline constant in weights or default mapping
+  //  - apply tier_modulation band modifiers piecewise (if the weightSet defines them) and map band -> tier;
+  //    tierModulation records each band segment applied and the band the modulated composite fell in
   // -------------------------------
   function computeCompositeFromDomainContributions(domainContribsMap, weightSet = DEFAULT_WEIGHTS) {
     // domainContribsMap: array or object of domain -> numeric (0..1 typical)
@@ -507,82 +1376,588 @@
     // map compositeRaw (0..1) to 0 .. (baselineScale * weightSum)
     // But white page defines total = 700, so we scale linearly to 700 using weightSum normalization
     const compositeScaled = compositeRaw / weightSum; // 0..1 normalized by total weight
-    const composite700 = Number((compositeScaled * 700).toFixed(2));
-    // Tier mapping: Explorer 0–350, Architect 351–525, Visionary 526–700 (per white page)
-    let tier = 'Explorer';
-    if (composite700 >= 526) tier = 'Visionary';
-    else if (composite700 >= 351) tier = 'Architect';
-    else tier = 'Explorer';
-    return { domainScores, compositeScore: composite700, tier };
+    const baseComposite = Number((compositeScaled * 700).toFixed(2));
+
+    if (!resolveTierBand(baseComposite, weightSet.tier_modulation)) {
+      return { domainScores, compositeScore: baseComposite, tier: legacyTier(baseComposite), tierModulation: null };
+    }
+    const composite700 = Number(modulateComposite(baseComposite, weightSet.tier_modulation).toFixed(2));
+    const final = resolveTierBand(composite700, weightSet.tier_modulation);
+    return {
+      domainScores,
+      compositeScore: composite700,
+      tier: final.tier,
+      tierModulation: {
+        baseComposite,
+        segments: modulationSegments(baseComposite, weightSet.tier_modulation),
+        tierBand: final.band
+      }
+    };
   }
 
   // -------------------------------
-  // Archetype mapping
-  // Given domainScores (0..100 per domain), map to archetype using weightSet.archetype_mapping
-  // Strategy:
-  //  - Normalize domainScores to 0..1
-  //  - For each archetype signature vector, compute similarityScore
-  //  - Choose archetype that both matches threshold range for compositeScore (if present) and has highest similarity
-  //  - Provide explanation & confidence
-  // -------------------------------
-  function mapArchetype(domainScoresObj = {}, compositeScore = 0, weightSet = DEFAULT_WEIGHTS) {
-    const mapping = weightSet.archetype_mapping || {};
-    const normalized = {};
-    Object.keys(domainScoresObj).forEach(k => {
-      normalized[k] = (Number(domainScoresObj[k] || 0)) / 100;
+  // Adaptive scaling (weights.json adaptive_scaling, method ContextualVarianceNormalization)
+  // Walks scored phases in order. For each phase, per-domain variance of the domain contributions
+  // over the last `window_size` phases is compared with `stability_threshold`:
+  //  - unstable domains (variance > threshold) are pulled toward a damped target weight
+  //    base / (1 + variance / threshold)
+  //  - stable domains relax back toward their base weight
+  // Each step moves by `learning_rate`, then weights are renormalized to the base weight total,
+  // so a single noisy phase shifts the composite gradually instead of dominating it.
+  // -------------------------------
+  function adaptDomainWeights(scoredPhases = [], weightSet = DEFAULT_WEIGHTS) {
+    const cfg = weightSet.adaptive_scaling || {};
+    const params = cfg.parameters || {};
+    const windowSize = Math.max(2, Number(params.window_size) || 4);
+    const threshold = Math.max(1e-6, Number(params.stability_threshold) || 0.03);
+    const rate = Math.max(0, Math.min(1, Number(params.learning_rate) || 0.15));
+
+    const base = Object.assign({}, weightSet.domains || DEFAULT_WEIGHTS.domains);
+    const domains = Object.keys(base);
+    const baseTotal = domains.reduce((sum, d) => sum + Number(base[d] || 0), 0) || 1;
+    const weights = Object.assign({}, base);
+    const trajectory = [];
+
+    scoredPhases.forEach((sp, idx) => {
+      const window = scoredPhases.slice(Math.max(0, idx - windowSize + 1), idx + 1);
+      const variance = {};
+      domains.forEach(d => {
+        const samples = window
+          .map(w => (w.domainContributions || {})[d])
+          .filter(v => typeof v === 'number' && isFinite(v));
+        const mean = avg(samples);
+        variance[d] = samples.length > 1
+          ? Number((samples.reduce((acc, v) => acc + (v - mean) ** 2, 0) / samples.length).toFixed(6))
+          : 0;
+        const target = variance[d] > threshold ? base[d] / (1 + variance[d] / threshold) : base[d];
+        weights[d] = weights[d] + rate * (target - weights[d]);
+      });
+      const total = domains.reduce((sum, d) => sum + weights[d], 0) || 1;
+      domains.forEach(d => { weights[d] = (weights[d] / total) * baseTotal; });
+      trajectory.push({
+        phaseId: sp.phaseId !== undefined ? sp.phaseId : idx + 1,
+        variance,
+        weights: domains.reduce((acc, d) => { acc[d] = Number(weights[d].toFixed(4)); return acc; }, {})
+      });
     });
-    let best = { name: 'Other', score: 0, confidence: 0, evidence: [] };
 
+    return {
+      method: cfg.method || 'ContextualVarianceNormalization',
+      parameters: { window_size: windowSize, stability_threshold: threshold, learning_rate: rate },
+      trajectory,
+      finalWeights: trajectory.length ? trajectory[trajectory.length - 1].weights : base
+    };
+  }
+
+  // -------------------------------
+  // Archetype mapping
+  // Given domainScores (0..100 per domain), rank every archetype in weightSet.archetype_mapping:
+  //  - fit: closeness to the archetype's signature_vector (keys are domains, or the session-level
+  //    probabilities 'coherence' / 'novelty'), blended with how strongly its dominant_domains lead the profile
+  //  - prior: the composite threshold [min, max] — 1 inside the range; outside it the prior decays with
+  //    the distance in composite points (gating 'prior') or is 0 (gating 'hard')
+  //  - probability: prior * exp(fit / temperature), normalized over all archetypes
+  // Names are reported through the archetype vocabulary (schema Archetype.name enum); a mapping entry can
+  // alias itself onto the vocabulary with report_name. Tuning lives in weightSet.archetype_selection.
+  // -------------------------------
+  const ARCHETYPE_VOCABULARY = [
+    'Reflective Architect',
+    'Empathic Inventor',
+    'Visionary Synthesist',
+    'Grounded Operator',
+    'Dreaming Idealist',
+    'Balanced Strategist',
+    'Empathic Grounder',
+    'Analytic Architect',
+    'Reflective Harmonizer',
+    'Other'
+  ];
+  const DEFAULT_ARCHETYPE_SELECTION = {
+    gating: 'prior', // 'prior' | 'hard'
+    threshold_softness: 50, // composite points per e-fold of prior decay outside the threshold range
+    temperature: 0.1,
+    signature_blend: 0.6 // share of fit from the signature vector; the rest from dominant_domains
+  };
+  const SIGNATURE_PROBABILITY_KEYS = ['coherence', 'novelty'];
+  let archetypeVocabulary = ARCHETYPE_VOCABULARY.slice();
+
+  function archetypeSelection(weightSet = DEFAULT_WEIGHTS) {
+    return Object.assign({}, DEFAULT_ARCHETYPE_SELECTION, weightSet.archetype_selection || {});
+  }
+
+  /**
+   * Schema name an archetype_mapping entry reports as ('Other' when outside the vocabulary).
+   */
+  function archetypeReportName(name, def = {}) {
+    const candidate = def.report_name || name;
+    return archetypeVocabulary.includes(candidate) ? candidate : 'Other';
+  }
+
+  /**
+   * Check weightSet.archetype_mapping against the vocabulary and the manifest domains.
+   * @returns {Object[]} issues [{ archetype, field, reason }]
+   */
+  function auditArchetypeMapping(weightSet = DEFAULT_WEIGHTS) {
+    const mapping = weightSet.archetype_mapping || {};
+    const domains = Object.keys(weightSet.domains || DEFAULT_WEIGHTS.domains);
+    const issues = [];
     Object.keys(mapping).forEach(name => {
-      const def = mapping[name];
-      // check threshold if provided (array [min,max])
-      if (Array.isArray(def.threshold) && def.threshold.length === 2) {
-        const [minT, maxT] = def.threshold;
-        if (!(compositeScore >= minT && compositeScore <= maxT)) {
-          // skip if composite not in range
-          // but still allow if no better candidate found later
+      const def = mapping[name] || {};
+      const reportName = def.report_name || name;
+      if (!archetypeVocabulary.includes(reportName)) {
+        issues.push({ archetype: name, field: def.report_name ? 'report_name' : 'name', reason: `"${reportName}" is not in the archetype vocabulary; reported as Other` });
+      }
+      if (def.threshold !== undefined) {
+        const t = def.threshold;
+        if (!Array.isArray(t) || t.length !== 2 || !isFinite(t[0]) || !isFinite(t[1]) || t[0] > t[1]) {
+          issues.push({ archetype: name, field: 'threshold', reason: 'threshold must be [min, max] with min <= max' });
         }
       }
-      const signature = def.signature_vector || {};
-      const sim = similarityScore(normalized, signature);
-      // compute evidence: find top 2 domains where normalized differs positively
-      const dominant = (def.dominant_domains || def.dominantDomains || []).slice(0, 3);
-      const evidence = dominant.map(d => ({
-        domain: d,
-        value: Number((normalized[d] || 0).toFixed(3)),
-        signature: Number((signature[d] || 0).toFixed(3))
-      }));
-      if (sim > best.score) {
-        best = {
-          name,
-          score: sim,
-          confidence: Number(sim.toFixed(4)),
-          evidence
+      Object.keys(def.signature_vector || {}).forEach(k => {
+        if (!domains.includes(k) && !SIGNATURE_PROBABILITY_KEYS.includes(k)) {
+          issues.push({ archetype: name, field: 'signature_vector', reason: `unknown signature key "${k}"` });
+        }
+      });
+      (def.dominant_domains || []).forEach(d => {
+        if (!domains.includes(d)) issues.push({ archetype: name, field: 'dominant_domains', reason: `unknown domain "${d}"` });
+      });
+    });
+    return issues;
+  }
+
+  function thresholdPrior(compositeScore, threshold, selection) {
+    if (!Array.isArray(threshold) || threshold.length !== 2) return { inRange: true, prior: 1 };
+    const [minT, maxT] = threshold;
+    const distance = compositeScore < minT ? minT - compositeScore : (compositeScore > maxT ? compositeScore - maxT : 0);
+    if (distance === 0) return { inRange: true, prior: 1 };
+    if (selection.gating === 'hard') return { inRange: false, prior: 0 };
+    const softness = Math.max(1e-6, Number(selection.threshold_softness) || DEFAULT_ARCHETYPE_SELECTION.threshold_softness);
+    return { inRange: false, prior: Math.exp(-distance / softness) };
+  }
+
+  function archetypeFit(profile, def, domains, selection) {
+    const signature = def.signature_vector || {};
+    const keys = Object.keys(signature).filter(k => typeof profile[k] === 'number');
+    const signatureFit = keys.length
+      ? 1 - Math.sqrt(avg(keys.map(k => (profile[k] - Number(signature[k] || 0)) ** 2)))
+      : 0;
+    const peak = Math.max(0, ...domains.map(d => profile[d] || 0));
+    const dominant = (def.dominant_domains || []).filter(d => domains.includes(d));
+    const dominance = peak > 0 && dominant.length ? avg(dominant.map(d => (profile[d] || 0) / peak)) : 0;
+    const blend = normalize(Number(selection.signature_blend), 0, 1);
+    return Math.max(0, Math.min(1, blend * signatureFit + (1 - blend) * dominance));
+  }
+
+  /**
+   * Archetype evidence: for each dominant domain, the phase that contributed most to it and a quote from it.
+   */
+  function archetypeEvidence(dominantDomains, scoredPhases = []) {
+    const evidence = [];
+    dominantDomains.forEach(d => {
+      let best = null;
+      scoredPhases.forEach(sp => {
+        const v = Number((sp.domainContributions || {})[d]);
+        const resp = (sp.responses || []).find(r => r && typeof r.text === 'string' && r.text.trim());
+        if (!Number.isInteger(Number(sp.phaseId)) || !resp || !isFinite(v)) return;
+        if (!best || v > best.value) best = { phaseId: Number(sp.phaseId), value: v, quote: resp.text.slice(0, 240) };
+      });
+      if (best) evidence.push({ phaseId: best.phaseId, quote: best.quote, metricEvidence: { [d]: Number(best.value.toFixed(3)) } });
+    });
+    return evidence;
+  }
+
+  /**
+   * Ranked archetype distribution for a profile (no ids or evidence; cheap enough for what-if searches).
+   * @param {Object} domainScoresObj - domain -> 0..100
+   * @param {number} compositeScore - 0..700
+   * @param {Object} weightSet
+   * @param {Object} probabilities - { coherence, novelty } session means, 0..1
+   * @returns {{ distribution: Object[], gateOpen: boolean, selection: Object }}
+   */
+  function rankArchetypes(domainScoresObj = {}, compositeScore = 0, weightSet = DEFAULT_WEIGHTS, probabilities = {}) {
+    const mapping = weightSet.archetype_mapping || {};
+    const selection = archetypeSelection(weightSet);
+    const temperature = Math.max(1e-3, Number(selection.temperature) || DEFAULT_ARCHETYPE_SELECTION.temperature);
+    const domains = Object.keys(weightSet.domains || DEFAULT_WEIGHTS.domains);
+    const profile = {};
+    domains.forEach(d => { profile[d] = normalize(Number(domainScoresObj[d] || 0), 0, 100); });
+    SIGNATURE_PROBABILITY_KEYS.forEach(k => {
+      if (typeof probabilities[k] === 'number' && isFinite(probabilities[k])) profile[k] = normalize(probabilities[k], 0, 1);
+    });
+
+    const candidates = Object.keys(mapping).map(label => {
+      const def = mapping[label] || {};
+      const fit = archetypeFit(profile, def, domains, selection);
+      return Object.assign({ label, name: archetypeReportName(label, def), fit }, thresholdPrior(compositeScore, def.threshold, selection));
+    });
+    // distribution over all archetypes; when the gate rejects every archetype the ungated ranking is kept for reference
+    const gateOpen = candidates.some(c => c.prior > 0);
+    const topFit = Math.max(0, ...candidates.map(c => c.fit));
+    const mass = candidates.map(c => (gateOpen ? c.prior : 1) * Math.exp((c.fit - topFit) / temperature));
+    const total = mass.reduce((s, m) => s + m, 0) || 1;
+    const distribution = candidates
+      .map((c, i) => ({
+        name: c.name,
+        label: c.label,
+        probability: Number((mass[i] / total).toFixed(4)),
+        fit: Number(c.fit.toFixed(4)),
+        prior: Number(c.prior.toFixed(4)),
+        inRange: c.inRange
+      }))
+      .sort((a, b) => b.probability - a.probability || b.fit - a.fit);
+    return { distribution, gateOpen, selection: { gating: selection.gating, temperature, compositeScore, gateOpen } };
+  }
+
+  /**
+   * Map a session profile to an archetype.
+   * @param {Object} domainScoresObj - domain -> 0..100
+   * @param {number} compositeScore - 0..700
+   * @param {Object} weightSet
+   * @param {Object} options { probabilities: { coherence, novelty } (session means, 0..1), scoredPhases (for evidence) }
+   * @returns {Object} schema Archetype: winner fields plus distribution (ranked), runnerUp and selection
+   */
+  function mapArchetype(domainScoresObj = {}, compositeScore = 0, weightSet = DEFAULT_WEIGHTS, options = {}) {
+    const ranked = rankArchetypes(domainScoresObj, compositeScore, weightSet, options.probabilities || {});
+    const distribution = ranked.distribution;
+    const domains = Object.keys(weightSet.domains || DEFAULT_WEIGHTS.domains);
+    const winner = ranked.gateOpen ? distribution[0] : null;
+    const winnerDef = winner ? (weightSet.archetype_mapping || {})[winner.label] || {} : {};
+    const dominantDomains = ((winnerDef.dominant_domains || []).filter(d => domains.includes(d))).slice(0, 3);
+    const next = winner ? distribution[1] : null;
+
+    return {
+      id: makeId('arch_'),
+      name: winner ? winner.name : 'Other',
+      label: winner ? winner.label : 'Other',
+      confidence: winner ? winner.probability : 0,
+      dominantDomains,
+      evidence: archetypeEvidence(dominantDomains, options.scoredPhases || []),
+      distribution,
+      runnerUp: next ? {
+        name: next.name,
+        label: next.label,
+        probability: next.probability,
+        margin: Number((winner.probability - next.probability).toFixed(4))
+      } : null,
+      selection: ranked.selection
+    };
+  }
+
+  // -------------------------------
+  // Counterfactuals ("what would change my result")
+  // What-ifs over the session's averaged domain contributions, holding the composite weights and the
+  // session probabilities fixed:
+  //  - tier: the smallest rise in one domain that lifts the composite into the first band of the next tier;
+  //    when no single domain can get there, the smallest combined rise (highest-weighted domains first)
+  //  - archetype: for every other archetype, the smallest rise or fall in one domain that makes it the winner
+  // A domain only moves within its reach: the values it takes with the phases feeding it scored 0 or 1.
+  // Each domain change names its levers: single submetrics that could cover it alone, else the submetrics of
+  // one phase (or of every feeding phase) raised together by the same share of their headroom. No tier
+  // counterfactual is given when the next tier lies above the composite ceiling (every domain at its reach);
+  // computeComposite reports that ceiling and warns when it caps the tier (see compositeCeiling).
+  // -------------------------------
+  const COUNTERFACTUAL_STEP = 0.005; // contribution step (0.5 domain points) for archetype scans
+  const COUNTERFACTUAL_TIER_OPTIONS = 2;
+  const COUNTERFACTUAL_METRICS = 3;
+
+  /**
+   * The lowest band above the composite's current one that maps to a higher tier: { band, tier, composite },
+   * or null in the top tier.
+   */
+  function nextTierTarget(compositeObj, weightSet) {
+    const tm = weightSet.tier_modulation;
+    if (compositeObj.tierModulation && tm) {
+      const bands = orderedBands(tm);
+      const tierOf = k => tm[k].tier || DEFAULT_BAND_TIERS[k];
+      const next = bands.slice(bands.indexOf(compositeObj.tierModulation.tierBand) + 1)
+        .find(k => TIER_ENUM.indexOf(tierOf(k)) > TIER_ENUM.indexOf(compositeObj.tier));
+      return next ? { band: next, tier: tierOf(next), composite: tm[next].range[0] } : null;
+    }
+    const legacy = [{ tier: 'Architect', composite: 351 }, { tier: 'Visionary', composite: 526 }]
+      .find(t => t.composite > compositeObj.compositeScore);
+    return legacy ? { band: null, tier: legacy.tier, composite: legacy.composite } : null;
+  }
+
+  /**
+   * Range a domain contribution (0..1) can take by changing the session's responses: every phase feeding it
+   * scored 0 (floor) or 1 (ceiling), the other phases as they are.
+   * @returns {{ floor: number, ceiling: number }}
+   */
+  function domainReach(domain, current, scoredPhases, weightSet) {
+    const defs = buildPhaseDefinitions(weightSet);
+    const phaseCount = Math.max(1, scoredPhases.length);
+    let floor = current;
+    let ceiling = current;
+    scoredPhases.forEach(sp => {
+      const def = defs[String(sp.phaseId)];
+      const dc = sp.domainContributions || {};
+      const phaseDomains = def ? def.domains : Object.keys(dc);
+      if (!phaseDomains.includes(domain)) return;
+      const contribution = Number(dc[domain] || 0);
+      floor -= contribution / phaseCount;
+      ceiling += (1 / phaseDomains.length - contribution) / phaseCount;
+    });
+    return { floor: Math.max(0, floor), ceiling: Math.min(1, Math.max(current, ceiling)) };
+  }
+
+  /**
+   * Highest composite any answers to the scored phases could give: every domain at its reach ceiling.
+   * Domain contributions are averaged over all phases, so a domain fed by one phase (shared with another
+   * domain) cannot pass 1/12, and the ceiling lies far below the 700 scale.
+   * @returns {Object} computeCompositeFromDomainContributions result
+   */
+  function compositeCeiling(accum, compositeWeights, weightSet, scoredPhases) {
+    const ceiling = {};
+    Object.keys(compositeWeights.domains || DEFAULT_WEIGHTS.domains).forEach(d => {
+      const current = Math.max(0, Math.min(1, Number(accum[d] || 0)));
+      ceiling[d] = domainReach(d, current, scoredPhases, weightSet).ceiling;
+    });
+    return computeCompositeFromDomainContributions(ceiling, compositeWeights);
+  }
+
+  /**
+   * Levers for shifting a domain contribution by `delta` (0..1 scale, signed), from the submetrics of the
+   * phases feeding it (weights.json phases; prompt weights and keyword blending are ignored):
+   *  - single submetrics that could cover the change on their own (`required` in 0..1), best leverage first
+   *  - else the submetrics of the one phase that needs the smallest share of its headroom, moved together
+   *    (`spread: true`, each by the same share of its room to 1 or to 0)
+   *  - else the submetrics of every feeding phase moved together
+   * Returns [] when no combination of submetric values covers the change.
+   */
+  function domainMetricLevers(domain, delta, scoredPhases, weightSet) {
+    const defs = buildPhaseDefinitions(weightSet);
+    const phaseCount = Math.max(1, scoredPhases.length);
+    const rising = delta >= 0;
+    const phases = [];
+    scoredPhases.forEach(sp => {
+      const def = defs[String(sp.phaseId)];
+      if (!def || !def.domains.includes(domain)) return;
+      const responses = (sp.responses || []).filter(r => r && r.analysis && r.analysis.rawMetrics);
+      const totalWeight = Object.keys(def.submetrics).reduce((sum, m) => sum + Number(def.submetrics[m] || 0), 0) || 1;
+      const metrics = [];
+      Object.keys(def.submetrics).forEach(metricId => {
+        const values = responses.map(r => Number(r.analysis.rawMetrics[metricId])).filter(v => isFinite(v));
+        if (values.length === 0) return;
+        const share = Number(def.submetrics[metricId] || 0) / totalWeight;
+        if (share <= 0) return;
+        metrics.push({ metricId, current: avg(values), share, leverage: share / def.domains.length / phaseCount });
+      });
+      if (metrics.length === 0) return;
+      // domain contribution gained (or lost) with every submetric of the phase at 1 (or 0)
+      const room = metrics.reduce((sum, m) => sum + m.leverage * (rising ? 1 - m.current : m.current), 0);
+      phases.push({ phaseId: def.id, metrics, room });
+    });
+    const round4 = v => Number(v.toFixed(4));
+    const spread = (phase, fraction) => phase.metrics.map(m => ({
+      phaseId: phase.phaseId,
+      metricId: m.metricId,
+      current: round4(m.current),
+      required: round4(rising ? m.current + (1 - m.current) * fraction : m.current * (1 - fraction)),
+      leverage: round4(m.leverage),
+      spread: true
+    }));
+
+    const singles = [];
+    phases.forEach(phase => phase.metrics.forEach(m => {
+      const target = m.current + delta / m.leverage;
+      if (target >= 0 && target <= 1) {
+        singles.push({ phaseId: phase.phaseId, metricId: m.metricId, current: round4(m.current), required: round4(target), leverage: round4(m.leverage) });
+      }
+    }));
+    if (singles.length) return singles.sort((a, b) => b.leverage - a.leverage).slice(0, COUNTERFACTUAL_METRICS);
+
+    const need = Math.abs(delta);
+    const onePhase = phases.filter(p => p.room > 0 && need <= p.room).sort((a, b) => need / a.room - need / b.room)[0];
+    if (onePhase) return spread(onePhase, need / onePhase.room);
+
+    const totalRoom = phases.reduce((sum, p) => sum + p.room, 0);
+    if (totalRoom > 0 && need <= totalRoom + 1e-9) {
+      return phases.reduce((acc, p) => acc.concat(spread(p, Math.min(1, need / totalRoom))), []);
+    }
+    return [];
+  }
+
+  function describeCounterfactual(cf) {
+    const parts = cf.changes.map(c => `${c.domain} from ${c.currentScore} to ${c.requiredScore} (${c.change >= 0 ? '+' : ''}${c.change} points)`);
+    const verb = cf.changes.every(c => c.change >= 0) ? 'Raising' : (cf.changes.every(c => c.change < 0) ? 'Lowering' : 'Moving');
+    const outcome = cf.kind === 'tier'
+      ? `would lift the composite to ${cf.compositeScore} and reach ${cf.target}`
+      : `would make ${cf.target} the most likely archetype`;
+    const levers = cf.changes[0].metrics || [];
+    const move = m => `${humanizeId(m.metricId)} from ${m.current} to ${m.required}`;
+    let via;
+    if (levers.length === 0) {
+      via = ` — no change to this session's answers gets ${cf.changes[0].domain} there`;
+    } else if (levers[0].spread) {
+      const phaseIds = levers.map(m => m.phaseId).filter((id, i, all) => all.indexOf(id) === i);
+      via = ` — together in phase${phaseIds.length > 1 ? 's' : ''} ${phaseIds.join(', ')}: ${levers.map(move).join(', ')}`;
+    } else {
+      via = ` — e.g. ${move(levers[0])} in phase ${levers[0].phaseId}`;
+    }
+    return `${verb} ${parts.join(' and ')} ${outcome}${via}.`;
+  }
+
+  /**
+   * @param {Object} accum - averaged domain contributions (0..1) behind compositeObj
+   * @param {Object} compositeObj - computeCompositeFromDomainContributions result
+   * @param {Object} archetype - mapArchetype result
+   * @param {Object} ctx { compositeWeights, weightSet, probabilities, scoredPhases }
+   * @returns {Object[]} counterfactuals, tier options first, then archetype flips by size of change
+   */
+  function generateCounterfactuals(accum, compositeObj, archetype, ctx) {
+    const { compositeWeights, weightSet, probabilities, scoredPhases } = ctx;
+    const domains = Object.keys(compositeWeights.domains || DEFAULT_WEIGHTS.domains);
+    const base = {};
+    const reach = {};
+    domains.forEach(d => {
+      base[d] = Math.max(0, Math.min(1, Number(accum[d] || 0)));
+      reach[d] = domainReach(d, base[d], scoredPhases, weightSet);
+    });
+    const evaluate = values => computeCompositeFromDomainContributions(Object.assign({}, base, values), compositeWeights);
+    const build = (kind, target, values, composite) => {
+      const changes = Object.keys(values).map(domain => {
+        const currentScore = Number((base[domain] * 100).toFixed(2));
+        const requiredScore = Number((values[domain] * 100).toFixed(2));
+        return {
+          domain,
+          currentScore,
+          requiredScore,
+          change: Number((requiredScore - currentScore).toFixed(2)),
+          metrics: domainMetricLevers(domain, values[domain] - base[domain], scoredPhases, weightSet)
         };
+      });
+      const cf = { kind, target, changes, compositeScore: composite.compositeScore, tier: composite.tier };
+      cf.statement = describeCounterfactual(cf);
+      return cf;
+    };
+    const totalChange = cf => cf.changes.reduce((sum, c) => sum + Math.abs(c.change), 0);
+    // smallest value of `domain` (given the other overrides) reaching the target; the composite rises monotonically
+    const bisect = (domain, fixed, targetComposite) => {
+      let lo = base[domain], hi = reach[domain].ceiling;
+      for (let i = 0; i < 30; i++) {
+        const mid = (lo + hi) / 2;
+        if (evaluate(Object.assign({}, fixed, { [domain]: mid })).compositeScore >= targetComposite) hi = mid; else lo = mid;
+      }
+      return Math.min(reach[domain].ceiling, Math.ceil(hi * 10000) / 10000);
+    };
+
+    const out = [];
+    const next = nextTierTarget(compositeObj, compositeWeights);
+    if (next && compositeCeiling(accum, compositeWeights, weightSet, scoredPhases).compositeScore >= next.composite) {
+      const target = next.band ? `${next.tier} (${next.band} band, composite ${next.composite})` : `${next.tier} (composite ${next.composite})`;
+      const options = [];
+      domains.forEach(d => {
+        if (evaluate({ [d]: reach[d].ceiling }).compositeScore < next.composite) return;
+        const value = bisect(d, {}, next.composite);
+        options.push(build('tier', target, { [d]: value }, evaluate({ [d]: value })));
+      });
+      if (options.length === 0) {
+        // no single domain suffices: max out domains by weight until the last one can be bisected
+        const fixed = {};
+        const byWeight = domains.slice().sort((a, b) => (compositeWeights.domains[b] || 0) - (compositeWeights.domains[a] || 0) || base[a] - base[b]);
+        for (const d of byWeight) {
+          if (reach[d].ceiling <= base[d]) continue;
+          if (evaluate(Object.assign({}, fixed, { [d]: reach[d].ceiling })).compositeScore >= next.composite) {
+            fixed[d] = bisect(d, fixed, next.composite);
+            options.push(build('tier', target, fixed, evaluate(fixed)));
+            break;
+          }
+          fixed[d] = reach[d].ceiling;
+        }
       }
+      out.push(...options.sort((a, b) => totalChange(a) - totalChange(b)).slice(0, COUNTERFACTUAL_TIER_OPTIONS));
+    }
+
+    // archetype flips: scan each domain outward in both directions, keep the first flip per archetype
+    const current = archetype.selection && archetype.selection.gateOpen ? archetype.label : null;
+    const flips = {};
+    domains.forEach(d => {
+      [1, -1].forEach(direction => {
+        for (let value = base[d] + direction * COUNTERFACTUAL_STEP; value >= reach[d].floor && value <= reach[d].ceiling; value += direction * COUNTERFACTUAL_STEP) {
+          const composite = evaluate({ [d]: value });
+          const ranked = rankArchetypes(composite.domainScores, composite.compositeScore, weightSet, probabilities);
+          if (!ranked.gateOpen) continue;
+          const top = ranked.distribution[0];
+          if (top.label === current) continue;
+          const size = Math.abs(value - base[d]);
+          if (!flips[top.label] || size < flips[top.label].size) {
+            flips[top.label] = { size, name: top.name, domain: d, value: Number(value.toFixed(4)), composite };
+          }
+          break;
+        }
+      });
     });
+    Object.keys(flips)
+      .map(label => flips[label])
+      .sort((a, b) => a.size - b.size)
+      .forEach(f => out.push(build('archetype', f.name, { [f.domain]: f.value }, f.composite)));
+    return out;
+  }
 
-    // fallback: Balanced Strategist if domain variance small
-    const vals = Object.values(normalized);
-    const variance = vals.length > 1 ? vals.reduce((s, v) => s + ((v - avg(vals)) ** 2), 0) / vals.length : 0;
-    if (variance < 0.01 && best.score < 0.5) {
-      best = {
-        name: 'Balanced Strategist',
-        score: 0.75,
-        confidence: 0.75,
-        evidence: []
-      };
+  // -------------------------------
+  // Manifest integrity (weights.json integrity_checks)
+  //  - verify_sum_to_one: domain weights sum to 1; each phase's submetric weights sum to 1
+  //  - verify_domain_alignment: phase domains exist in `domains`; archetype signature keys are
+  //    domains or session probabilities, and dominant_domains are domains
+  //  - strict_mode: init() rejects a failing manifest; otherwise failures are returned as warnings
+  // -------------------------------
+  const INTEGRITY_TOLERANCE = 1e-3;
+
+  /**
+   * Check a weights manifest against its own integrity_checks (both checks run when the block is absent).
+   * @param {Object} weightSet
+   * @returns {{ weightsVersion: string|null, strict: boolean, passed: boolean, checks: string[],
+   *            failures: { check: string, path: string, message: string }[] }}
+   */
+  function checkWeightsIntegrity(weightSet = {}) {
+    const flags = Object.assign({ verify_sum_to_one: true, verify_domain_alignment: true, strict_mode: false }, weightSet.integrity_checks || {});
+    const failures = [];
+    const checks = [];
+    const domains = weightSet.domains && typeof weightSet.domains === 'object' ? weightSet.domains : null;
+    const phases = weightSet.phases && typeof weightSet.phases === 'object' ? weightSet.phases : {};
+    const sumOf = obj => Object.keys(obj).reduce((s, k) => s + Number(obj[k]), 0);
+    const fail = (check, path, message) => failures.push({ check, path, message });
+
+    if (!domains || Object.keys(domains).length === 0) fail('structure', 'domains', 'manifest declares no domains');
+
+    if (flags.verify_sum_to_one) {
+      checks.push('verify_sum_to_one');
+      if (domains) {
+        Object.keys(domains).forEach(d => {
+          if (!isFinite(Number(domains[d])) || Number(domains[d]) < 0) fail('verify_sum_to_one', `domains.${d}`, `weight ${JSON.stringify(domains[d])} is not a non-negative number`);
+        });
+        const total = sumOf(domains);
+        if (Math.abs(total - 1) > INTEGRITY_TOLERANCE) fail('verify_sum_to_one', 'domains', `domain weights sum to ${Number(total.toFixed(4))}, expected 1`);
+      }
+      Object.keys(phases).forEach(k => {
+        const sub = (phases[k] && phases[k].submetrics) || {};
+        Object.keys(sub).forEach(m => {
+          if (!isFinite(Number(sub[m])) || Number(sub[m]) < 0) fail('verify_sum_to_one', `phases.${k}.submetrics.${m}`, `weight ${JSON.stringify(sub[m])} is not a non-negative number`);
+        });
+        const total = sumOf(sub);
+        if (Math.abs(total - 1) > INTEGRITY_TOLERANCE) fail('verify_sum_to_one', `phases.${k}.submetrics`, `submetric weights sum to ${Number(total.toFixed(4))}, expected 1`);
+      });
     }
 
-    const archetypeObj = {
-      id: makeId('arch_'),
-      name: best.name,
-      confidence: best.confidence,
-      dominantDomains: best.evidence.map(e => e.domain),
-      evidence: best.evidence.map(e => ({ phaseId: null, quote: null, metricEvidence: { [e.domain]: e.value } }))
-    };
+    if (flags.verify_domain_alignment && domains) {
+      checks.push('verify_domain_alignment');
+      Object.keys(phases).forEach(k => {
+        ((phases[k] && phases[k].domains) || []).forEach(d => {
+          if (!Object.prototype.hasOwnProperty.call(domains, d)) fail('verify_domain_alignment', `phases.${k}.domains`, `unknown domain "${d}"`);
+        });
+      });
+      auditArchetypeMapping(weightSet)
+        .filter(issue => issue.field === 'signature_vector' || issue.field === 'dominant_domains')
+        .forEach(issue => fail('verify_domain_alignment', `archetype_mapping.${issue.archetype}.${issue.field}`, issue.reason));
+    }
 
-    return archetypeObj;
+    return {
+      weightsVersion: weightSet.version || null,
+      strict: !!flags.strict_mode,
+      passed: failures.length === 0,
+      checks,
+      failures
+    };
   }
 
   // -------------------------------
@@ -591,40 +1966,147 @@
 
   /**
    * Initialize engine with injected manifests (weights, prompts).
-   * @param {Object} opts { weights: Object, prompts: Object }
+   * Rebuilds phase definitions from weights.phases and returns the load-time report
+   * (see auditPhaseDefinitions, auditArchetypeMapping) so hosts can surface submetrics that lack a scorer
+   * and archetypes that fall outside the schema vocabulary.
+   * @param {Object} opts { weights: Object, prompts: Object, lexicons?: Object[], locale?: string,
+   *                       embeddings?: MCIFEmbeddings-compatible module,
+   *                       schema?: Object (mcif-schema.json; its Archetype.name enum becomes the archetype vocabulary),
+   *                       strict?: boolean (overrides weights.integrity_checks.strict_mode) }
+   * Throws when strict and the weights fail checkWeightsIntegrity (error.integrity holds the report);
+   * in lenient mode the failures are returned as loadReport.integrity.failures.
+   * @returns {{ phases: number[], unresolvedSubmetrics: Object[], promptIssues: Object[], archetypeIssues: Object[],
+   *            integrity: Object }}
    */
   function init(opts = {}) {
-    if (opts.weights) weightsManifest = opts.weights;
+    if (opts.weights) {
+      // checked before anything else changes, so a rejected manifest leaves the engine as it was
+      const integrity = checkWeightsIntegrity(opts.weights);
+      if (typeof opts.strict === 'boolean') integrity.strict = opts.strict;
+      if (integrity.strict && !integrity.passed) {
+        const err = new Error(`weights manifest ${integrity.weightsVersion || '(unversioned)'} failed integrity checks: ` +
+          integrity.failures.map(f => `${f.path}: ${f.message}`).join('; '));
+        err.integrity = integrity;
+        throw err;
+      }
+      weightsManifest = opts.weights;
+      integrityReport = integrity;
+    }
     if (opts.prompts) promptsManifest = opts.prompts;
+    if (Array.isArray(opts.lexicons)) opts.lexicons.forEach(pack => registerLexicon(pack));
+    if (opts.locale) defaultLocale = opts.locale;
+    if (opts.embeddings) embeddingsLib = opts.embeddings;
+    const schemaNames = opts.schema && opts.schema.definitions && opts.schema.definitions.Archetype &&
+      opts.schema.definitions.Archetype.properties && opts.schema.definitions.Archetype.properties.name &&
+      opts.schema.definitions.Archetype.properties.name.enum;
+    if (Array.isArray(schemaNames) && schemaNames.length) archetypeVocabulary = schemaNames.slice();
+    phaseDefinitions = buildPhaseDefinitions(weightsManifest || DEFAULT_WEIGHTS);
+    loadReport = buildLoadReport();
+    return loadReport;
+  }
+
+  function buildLoadReport() {
+    const weightSet = weightsManifest || DEFAULT_WEIGHTS;
+    if (!integrityReport) integrityReport = checkWeightsIntegrity(weightSet);
+    return Object.assign(auditPhaseDefinitions(weightSet, promptsManifest), {
+      archetypeIssues: auditArchetypeMapping(weightSet),
+      integrity: integrityReport
+    });
+  }
+
+  /**
+   * Phase definition for a phase id, built from the active weights manifest.
+   * @param {number|string} phaseId
+   * @returns {Object|null}
+   */
+  function getPhaseDefinition(phaseId) {
+    if (!phaseDefinitions) phaseDefinitions = buildPhaseDefinitions(weightsManifest || DEFAULT_WEIGHTS);
+    return phaseDefinitions[String(phaseId)] || null;
+  }
+
+  /**
+   * All phase definitions ordered by id.
+   */
+  function getPhaseDefinitions() {
+    if (!phaseDefinitions) phaseDefinitions = buildPhaseDefinitions(weightsManifest || DEFAULT_WEIGHTS);
+    return Object.keys(phaseDefinitions).map(k => phaseDefinitions[k]).sort((a, b) => a.id - b.id);
+  }
+
+  function getLoadReport() {
+    if (!loadReport) loadReport = buildLoadReport();
+    return loadReport;
   }
 
   /**
    * Score a single response object against a phase definition.
    * @param {Object} responseObj - ResponseObject from schema
-   * @param {Object} phaseDef - PhaseDefinition (should include .metrics and .domains and .submetrics)
-   * @param {Object} options - optional overrides { weightSet }
+   * @param {Object|number} phaseDef - PhaseDefinition (should include .metrics and .domains and .submetrics),
+   *                                    or a phase id resolved via getPhaseDefinition
+   * @param {Object} options - optional overrides { weightSet, prompt, locale, previousResponses }
+   *   prompt defaults to the prompts manifest entry whose id matches responseObj.promptId;
+   *   locale (session config.locale) selects the lexicon pack, recorded as result.lexicon;
+   *   previousResponses ([{ id, phaseId, promptId, text }]) feed coherenceAcrossPhases, and the
+   *   links found are returned as result.crossPhaseLinks (null when the phase does not score it);
+   *   with an embeddings provider, result.semanticSimilarity compares the response to its prompt
+   *   and to previousResponses (reusing their stored embeddings when the model tag matches)
    * @returns {Object} scoring result matching schema.analysis shape
    */
   async function scoreResponse(responseObj, phaseDef, options = {}) {
     const weightSet = options.weightSet || weightsManifest || DEFAULT_WEIGHTS;
-    const result = scoreResponseForPhase(responseObj, phaseDef, weightSet);
+    const prompt = options.prompt || findPrompt(responseObj && responseObj.promptId);
+    if (typeof phaseDef === 'number' || typeof phaseDef === 'string') {
+      // an explicit weight set (e.g. re-scoring under new weights) brings its own phase definitions
+      phaseDef = options.weightSet
+        ? (buildPhaseDefinitions(options.weightSet)[String(phaseDef)] || null)
+        : getPhaseDefinition(phaseDef);
+    }
+    // session locale selects the lexicon pack; a per-response meta.locale wins (e.g. mixed-language cohorts)
+    const locale = (responseObj && responseObj.meta && responseObj.meta.locale) || options.locale || null;
+    const lexicon = resolveLexicon(locale).pack;
+    const result = scoreResponseForPhase(responseObj, phaseDef, weightSet, prompt, {
+      locale: lexicon.id,
+      previousResponses: options.previousResponses || []
+    });
+    let semanticSimilarity = null;
+    try {
+      semanticSimilarity = await computeSemanticSimilarity(responseObj, prompt, earlierResponses(responseObj, phaseDef, options.previousResponses));
+    } catch (e) {
+      semanticSimilarity = null; // a failing local provider must not block scoring
+    }
 
     // produce mirror explanation (1-3 sentences) per prompts.ai_instructions guidance
     const mirror = generateMirrorExplanation(responseObj.text, phaseDef, result);
     // attach mirror into explanations array first
     const explanations = Array.isArray(result.explanations) ? [...result.explanations] : [];
     explanations.unshift({ metric: 'mirror', reason: mirror });
+    const semanticExplanation = describeSemanticSimilarity(semanticSimilarity);
+    if (semanticExplanation) explanations.push(semanticExplanation);
 
     // return per-schema expected fields
     return {
       rawMetrics: result.rawMetrics,
+      domainContributions: result.domainContributions,
       subScores: result.subScores,
       probabilities: result.probabilities,
       explanations,
+      keywords: result.keywords,
+      crossPhaseLinks: result.crossPhaseLinks,
+      semanticSimilarity,
+      lexicon: { id: lexicon.id, version: lexicon.version || null },
       psycholinguistic: result.psycholinguistic
     };
   }
 
+  /**
+   * Look up a prompt by id in the injected/loaded prompts manifest.
+   * @param {string} promptId
+   * @returns {Object|null}
+   */
+  function findPrompt(promptId) {
+    if (!promptId || !promptsManifest || !Array.isArray(promptsManifest.prompts)) return null;
+    return promptsManifest.prompts.find(p => p.id === promptId) || null;
+  }
+
   /**
    * Generate a short mirror explanation text for a response and phase
    * @param {string} text
@@ -649,12 +2131,36 @@
     }
   }
 
+  /**
+   * Flatten per-response crossPhaseLinks into report rows: [{ fromPhaseId, fromResponseId, toPhaseId,
+   * toResponseId, toPromptId, sharedConcepts }], ordered by the later phase.
+   */
+  function collectCrossPhaseLinks(scoredPhases = []) {
+    const rows = [];
+    scoredPhases.forEach(sp => {
+      (sp.responses || []).forEach(r => {
+        const links = r && r.analysis && r.analysis.crossPhaseLinks;
+        if (!Array.isArray(links)) return;
+        links.forEach(l => rows.push({
+          fromPhaseId: Number(sp.phaseId),
+          fromResponseId: r.id || null,
+          toPhaseId: l.phaseId,
+          toResponseId: l.responseId || null,
+          toPromptId: l.promptId || null,
+          sharedConcepts: (l.sharedConcepts || []).slice()
+        }));
+      });
+    });
+    return rows.sort((a, b) => a.fromPhaseId - b.fromPhaseId || a.toPhaseId - b.toPhaseId);
+  }
+
   /**
    * Compute session-level composite from an array of phase-level scored outputs.
    * Each scored output must include domainContributions (domain->0..1), probabilities.coherence, timestamps.
    *
    * @param {Object[]} scoredPhases - each item { phaseId, domainContributions: {domain:val}, probabilities, timestamps, responses: [..] }
-   * @param {Object} options { weightSet }
+   * @param {Object} options { weightSet, adaptiveScaling?: boolean (overrides weightSet.adaptive_scaling.enabled),
+   *                           reflectivePrior?: {mean, var} }
    */
   async function computeComposite(scoredPhases = [], options = {}) {
     const weightSet = options.weightSet || weightsManifest || DEFAULT_WEIGHTS;
@@ -670,10 +2176,37 @@
     const phaseCount = Math.max(1, scoredPhases.length);
     Object.keys(accum).forEach(k => accum[k] = accum[k] / phaseCount);
 
+    // Adaptive scaling: options.adaptiveScaling (true/false) overrides weightSet.adaptive_scaling.enabled
+    const scalingEnabled = typeof options.adaptiveScaling === 'boolean'
+      ? options.adaptiveScaling
+      : !!(weightSet.adaptive_scaling && weightSet.adaptive_scaling.enabled);
+    let adaptiveScaling = { enabled: false };
+    let compositeWeights = weightSet;
+    if (scalingEnabled && scoredPhases.length > 0) {
+      const scaled = adaptDomainWeights(scoredPhases, weightSet);
+      compositeWeights = Object.assign({}, weightSet, { domains: scaled.finalWeights });
+      adaptiveScaling = Object.assign({ enabled: true }, scaled, {
+        unscaledComposite: computeCompositeFromDomainContributions(accum, weightSet).compositeScore
+      });
+    }
+
     // Compute composite
-    const compositeObj = computeCompositeFromDomainContributions(accum, weightSet);
+    const compositeObj = computeCompositeFromDomainContributions(accum, compositeWeights);
     // compute archetype
-    const archetype = mapArchetype(compositeObj.domainScores, compositeObj.compositeScore, weightSet);
+    const probabilities = {
+      coherence: avg(scoredPhases.map(sp => (sp.probabilities || {}).coherence).filter(v => typeof v === 'number')),
+      novelty: avg(scoredPhases.map(sp => (sp.probabilities || {}).novelty).filter(v => typeof v === 'number'))
+    };
+    const archetype = mapArchetype(compositeObj.domainScores, compositeObj.compositeScore, weightSet, { probabilities, scoredPhases });
+    const counterfactuals = generateCounterfactuals(accum, compositeObj, archetype, { compositeWeights, weightSet, probabilities, scoredPhases });
+    // the averaged domain scale can cap the composite below the next tier whatever the answers
+    const ceiling = compositeCeiling(accum, compositeWeights, weightSet, scoredPhases);
+    const nextTier = nextTierTarget(compositeObj, compositeWeights);
+    const warnings = [];
+    if (nextTier && ceiling.compositeScore < nextTier.composite) {
+      warnings.push(`composite_scale: no answers can lift the composite above ${ceiling.compositeScore} of 700, ` +
+        `below ${nextTier.tier} at ${nextTier.composite}; domain contributions are averaged over all ${scoredPhases.length} phases`);
+    }
 
     // generate final report structure
     const finalReport = {
@@ -681,13 +2214,20 @@
       domainScores: compositeObj.domainScores,
       tier: compositeObj.tier,
       archetype,
-      insightSummary: generateInsightSummary(compositeObj, archetype),
+      insightSummary: generateInsightSummary(compositeObj, archetype, counterfactuals),
+      counterfactuals,
       evidence: generateEvidenceForReport(scoredPhases),
       coherenceWaveform: generateCoherenceWaveform(scoredPhases.map(sp => ({ timestamps: sp.timestamps || {}, probabilities: sp.probabilities || {} }))),
       insightDensity: computeInsightDensity(scoredPhases),
+      adaptiveScaling,
+      reflectiveStability: computeReflectiveStability(scoredPhases, options.reflectivePrior ? { prior: options.reflectivePrior } : {}),
+      crossPhaseLinks: collectCrossPhaseLinks(scoredPhases),
       generatedBy: {
         algorithmVersion: ALGORITHM_VERSION,
         weightsVersion: (weightSet.version || 'unknown'),
+        tierModulation: compositeObj.tierModulation,
+        compositeCeiling: { compositeScore: ceiling.compositeScore, tier: ceiling.tier },
+        warnings,
         timestamp: Date.now()
       }
     };
@@ -695,13 +2235,20 @@
     return finalReport;
   }
 
-  function generateInsightSummary(compositeObj, archetype) {
+  function generateInsightSummary(compositeObj, archetype, counterfactuals = []) {
     // Short human readable summary
     const highDomains = Object.keys(compositeObj.domainScores)
       .sort((a, b) => compositeObj.domainScores[b] - compositeObj.domainScores[a])
       .slice(0, 3);
     const hd = highDomains.map(d => `${d} (${compositeObj.domainScores[d]})`).join(', ');
-    return `Dominant domains: ${hd}. Archetype: ${archetype.name} (confidence ${Math.round(archetype.confidence * 100)}%).`;
+    const next = archetype.runnerUp
+      ? `; next closest: ${archetype.runnerUp.name} at ${Math.round(archetype.runnerUp.probability * 100)}%`
+      : '';
+    const size = cf => cf.changes.reduce((sum, c) => sum + Math.abs(c.change), 0);
+    const closest = counterfactuals.length
+      ? ` ${counterfactuals.reduce((best, cf) => (size(cf) < size(best) ? cf : best)).statement}`
+      : '';
+    return `Dominant domains: ${hd}. Archetype: ${archetype.name} (confidence ${Math.round(archetype.confidence * 100)}%${next}).${closest}`;
   }
 
   function generateEvidenceForReport(scoredPhases) {
@@ -741,7 +2288,9 @@
   // -------------------------------
   // Ledger creation (append-only)
   // -------------------------------
-  async function createLedgerEntry({ actor = ALGORITHM_VERSION, action = 'UNKNOWN', sessionId = null, payload = {}, rationale = '' }) {
+  // Pass the previous entry of the same session as `prev` to extend its hash chain
+  // (seq = prev.seq + 1, prevHash = prev.hash); omit it to start a new chain.
+  async function createLedgerEntry({ actor = ALGORITHM_VERSION, action = 'UNKNOWN', sessionId = null, payload = {}, rationale = '', prev = null }) {
     const id = makeId('ledger_');
     const timestamp = Date.now();
     const payloadSummary = typeof payload === 'string' ? payload : (payload && payload.summary) || JSON.stringify(Object.keys(payload || {}).slice(0, 5));
@@ -751,12 +2300,13 @@
       actor,
       action,
       sessionId,
+      seq: prev && typeof prev.seq === 'number' ? prev.seq + 1 : 0,
+      prevHash: (prev && prev.hash) || null,
       payload,
       payloadSummary: typeof payloadSummary === 'string' ? payloadSummary : JSON.stringify(payloadSummary),
-      rationale: rationale || '',
-      // hash to be filled in after content computed
-      hash: null
+      rationale: rationale || ''
     };
+    // hash covers every field above (including prevHash) so the chain can be re-verified
     const h = await hashPayload(entry);
     entry.hash = h;
     return entry;
@@ -767,6 +2317,14 @@
   // -------------------------------
   const API = {
     init,
+    getPhaseDefinition,
+    getPhaseDefinitions,
+    getLoadReport,
+    checkWeightsIntegrity,
+    registerMetric,
+    unregisterMetric,
+    registerLexicon,
+    listLexicons,
     scoreResponse,
     computeComposite,
     generateCoherenceWaveform,
@@ -777,7 +2335,29 @@
     _internals: {
       parsePsycholinguisticSignatures,
       scoreResponseForPhase,
+      keywordCoverage,
+      buildPhaseDefinitions,
+      auditPhaseDefinitions,
+      promptPhase,
+      auditArchetypeMapping,
+      resolveScorerId,
+      listMetrics,
+      findCrossPhaseLinks,
+      computeSemanticSimilarity,
+      extractConcepts: (text, locale) => extractConcepts(text, resolveLexicon(locale)),
+      resolveLexicon,
       bayesianUpdateReflective,
+      computeReflectiveStability,
+      computeCompositeFromDomainContributions,
+      resolveTierBand,
+      modulateComposite,
+      rankArchetypes,
+      generateCounterfactuals,
+      domainReach,
+      compositeCeiling,
+      nextTierTarget,
+      domainMetricLevers,
+      adaptDomainWeights,
       normalize,
       similarityScore
     }
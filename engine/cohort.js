@@ -0,0 +1,243 @@
+/**
+ * engine/cohort.js
+ * MCIF 7.1 — Cohort Analytics (aggregates stored finalReports)
+ *
+ * Responsibilities:
+ *  - load the finalReport of every completed session from a DataLayer
+ *  - summarize the composite and each domain: n, mean, standard deviation, min/max, percentiles, histogram
+ *  - count archetypes and tiers, and correlate domains across participants (Pearson matrix)
+ *
+ * Reports scored with different weights or algorithm versions are not directly comparable; the summary lists the
+ * versions it covers and loadCohort/analyzeCohort accept { weightsVersion, algorithmVersion } filters.
+ *
+ * Usage:
+ *  - In browser: <script src="engine/cohort.js"></script> exposes MCIFCohort
+ *      const summary = await MCIFCohort.analyzeCohort(MCIFData)
+ *  - In Node: const MCIFCohort = require('./cohort')
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MCIFCohort = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  const DEFAULT_PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+  const DEFAULT_BINS = 10;
+  // correlations over fewer participants than this are reported as null
+  const MIN_CORRELATION_N = 3;
+
+  // -----------------------------
+  // Statistics
+  // -----------------------------
+
+  function round(v, digits = 4) {
+    return Number(v.toFixed(digits));
+  }
+
+  function mean(values) {
+    return values.reduce((s, v) => s + v, 0) / values.length;
+  }
+
+  // sample standard deviation (n - 1); 0 for a single value
+  function standardDeviation(values, m = mean(values)) {
+    if (values.length < 2) return 0;
+    return Math.sqrt(values.reduce((s, v) => s + (v - m) * (v - m), 0) / (values.length - 1));
+  }
+
+  /**
+   * Percentile by linear interpolation between closest ranks (the "R-7" / spreadsheet definition).
+   * @param {number[]} sorted - ascending
+   * @param {number} p - 0..100
+   */
+  function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const pos = (sorted.length - 1) * (p / 100);
+    const lo = Math.floor(pos);
+    const hi = Math.ceil(pos);
+    return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+  }
+
+  /**
+   * Equal-width histogram over [min, max] of the values; the last bin is closed on the right.
+   * @returns {{ from: number, to: number, count: number }[]}
+   */
+  function histogram(sorted, bins = DEFAULT_BINS) {
+    if (sorted.length === 0) return [];
+    const min = sorted[0];
+    const max = sorted[sorted.length - 1];
+    if (min === max) return [{ from: round(min), to: round(max), count: sorted.length }];
+    const width = (max - min) / bins;
+    const out = [];
+    for (let i = 0; i < bins; i++) out.push({ from: round(min + i * width), to: round(i === bins - 1 ? max : min + (i + 1) * width), count: 0 });
+    sorted.forEach(v => { out[Math.min(bins - 1, Math.floor((v - min) / width))].count += 1; });
+    return out;
+  }
+
+  /**
+   * Distribution summary of a list of numbers (non-numbers are ignored).
+   * @returns {{ n, mean, sd, min, max, percentiles: { p5, ..., p95 }, histogram }}
+   */
+  function describe(values, options = {}) {
+    const sorted = values.filter(v => typeof v === 'number' && Number.isFinite(v)).sort((a, b) => a - b);
+    const percentiles = {};
+    (options.percentiles || DEFAULT_PERCENTILES).forEach(p => {
+      const v = percentile(sorted, p);
+      percentiles['p' + p] = v === null ? null : round(v);
+    });
+    if (sorted.length === 0) {
+      return { n: 0, mean: null, sd: null, min: null, max: null, percentiles, histogram: [] };
+    }
+    const m = mean(sorted);
+    return {
+      n: sorted.length,
+      mean: round(m),
+      sd: round(standardDeviation(sorted, m)),
+      min: sorted[0],
+      max: sorted[sorted.length - 1],
+      percentiles,
+      histogram: histogram(sorted, options.bins || DEFAULT_BINS)
+    };
+  }
+
+  /**
+   * Pearson correlation of paired values; null when either side is constant or n < MIN_CORRELATION_N.
+   */
+  function pearson(xs, ys) {
+    const n = xs.length;
+    if (n < MIN_CORRELATION_N || n !== ys.length) return null;
+    const mx = mean(xs);
+    const my = mean(ys);
+    let sxy = 0, sxx = 0, syy = 0;
+    for (let i = 0; i < n; i++) {
+      sxy += (xs[i] - mx) * (ys[i] - my);
+      sxx += (xs[i] - mx) * (xs[i] - mx);
+      syy += (ys[i] - my) * (ys[i] - my);
+    }
+    if (!sxx || !syy) return null;
+    return round(Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy))));
+  }
+
+  /**
+   * Domain correlation matrix; each pair uses the reports that score both domains.
+   * @returns {{ domains: string[], matrix: (number|null)[][], n: number[][] }}
+   */
+  function correlationMatrix(reports, domains) {
+    const matrix = domains.map(() => domains.map(() => null));
+    const counts = domains.map(() => domains.map(() => 0));
+    domains.forEach((a, i) => {
+      domains.forEach((b, j) => {
+        if (j < i) {
+          matrix[i][j] = matrix[j][i];
+          counts[i][j] = counts[j][i];
+          return;
+        }
+        const xs = [], ys = [];
+        reports.forEach(r => {
+          const x = r.domainScores[a], y = r.domainScores[b];
+          if (typeof x === 'number' && typeof y === 'number') { xs.push(x); ys.push(y); }
+        });
+        counts[i][j] = xs.length;
+        matrix[i][j] = i === j ? (xs.length ? 1 : null) : pearson(xs, ys);
+      });
+    });
+    return { domains, matrix, n: counts };
+  }
+
+  // [{ name, count, share }] by descending count, then name
+  function frequencies(names) {
+    const counts = new Map();
+    names.forEach(n => counts.set(n, (counts.get(n) || 0) + 1));
+    return Array.from(counts.entries())
+      .map(([name, count]) => ({ name, count, share: round(count / names.length) }))
+      .sort((a, b) => b.count - a.count || String(a.name).localeCompare(String(b.name)));
+  }
+
+  // -----------------------------
+  // Cohort
+  // -----------------------------
+
+  function matchesFilter(report, filter) {
+    const gen = report.generatedBy || {};
+    if (filter.weightsVersion && gen.weightsVersion !== filter.weightsVersion) return false;
+    if (filter.algorithmVersion && gen.algorithmVersion !== filter.algorithmVersion) return false;
+    return true;
+  }
+
+  /**
+   * Load the finalReport of every completed session.
+   * @param {Object} dataLayer - MCIFData (listSessions, getSession)
+   * @param {Object} [filter] { weightsVersion, algorithmVersion }
+   * @returns {Promise<{ sessionId: string, report: Object }[]>}
+   */
+  async function loadCohort(dataLayer, filter = {}) {
+    if (!dataLayer || typeof dataLayer.listSessions !== 'function') throw new Error('DataLayer with listSessions required');
+    const ids = await dataLayer.listSessions();
+    const out = [];
+    for (const id of ids) {
+      const doc = await dataLayer.getSession(id);
+      const s = doc && doc.session;
+      if (!s || s.status !== 'completed' || !s.finalReport || !s.finalReport.domainScores) continue;
+      if (!matchesFilter(s.finalReport, filter)) continue;
+      out.push({ sessionId: id, report: s.finalReport });
+    }
+    return out;
+  }
+
+  /**
+   * Summarize a list of finalReports (or { report } items as returned by loadCohort).
+   * @param {Object[]} reports
+   * @param {Object} [options] { percentiles: number[], bins: number }
+   * @returns {{ n, composite, domains: { [domain]: describe() }, archetypes, tiers, correlations, versions }}
+   */
+  function summarizeCohort(reports = [], options = {}) {
+    const list = reports.map(r => (r && r.report ? r.report : r)).filter(r => r && r.domainScores);
+    const domains = [];
+    list.forEach(r => Object.keys(r.domainScores).forEach(d => { if (!domains.includes(d)) domains.push(d); }));
+
+    const domainStats = {};
+    domains.forEach(d => { domainStats[d] = describe(list.map(r => r.domainScores[d]), options); });
+
+    return {
+      n: list.length,
+      composite: describe(list.map(r => r.compositeScore), options),
+      domains: domainStats,
+      archetypes: frequencies(list.map(r => (r.archetype && r.archetype.name) || 'Other')),
+      tiers: frequencies(list.map(r => r.tier || 'unknown')),
+      correlations: correlationMatrix(list, domains),
+      versions: frequencies(list.map(r => {
+        const gen = r.generatedBy || {};
+        return `${gen.algorithmVersion || 'unknown'} / weights ${gen.weightsVersion || 'unknown'}`;
+      }))
+    };
+  }
+
+  /**
+   * loadCohort + summarizeCohort. The summary carries the session ids it covers and the filter used.
+   */
+  async function analyzeCohort(dataLayer, options = {}) {
+    const filter = { weightsVersion: options.weightsVersion || null, algorithmVersion: options.algorithmVersion || null };
+    const cohort = await loadCohort(dataLayer, filter);
+    return Object.assign(summarizeCohort(cohort, options), {
+      sessionIds: cohort.map(c => c.sessionId),
+      filter
+    });
+  }
+
+  return {
+    loadCohort,
+    summarizeCohort,
+    analyzeCohort,
+    describe,
+    _internals: {
+      percentile,
+      histogram,
+      pearson,
+      correlationMatrix,
+      frequencies
+    }
+  };
+});
@@ -1,14 +1,20 @@
 /**
- * src/data/data.js
+ * engine/data.js
  * MCIF 7.1 — Data Layer (Hybrid-Ready)
  *
  * Responsibilities:
  *  - Session storage (create, read, update, delete)
+ *  - Versioned session documents: ordered migration steps upgrade older documents on getSession/init (dry-run supported)
+ *  - Resumable sessions: status lifecycle (initialized → in_progress → completed | abandoned), persisted prompt order and current phase
  *  - Response persistence and validation
- *  - Append-only Ledger management with hash pointers
+ *  - Append-only Ledger management with hash pointers, hash-chained per session (verifyLedger)
  *  - Export / GDPR delete flows (exportSessionAsJSON, deleteSession)
- *  - Adapters: localStorage (browser), IndexedDB (browser), file adapter (Node), remote adapter (stub)
- *  - Optional schema validator injection (e.g., AJV) for strict enforcement
+ *  - Named, versioned weight sets stored through the adapter; sessions are scored with the set they were created under
+ *  - Re-scoring stored sessions under a new algorithm or weights, with a report diff (rescoreSession)
+ *  - Adapters: localStorage (browser), IndexedDB (browser), file adapter (Node), REST remote adapter with an offline write queue
+ *  - Encrypted-at-rest wrapper for any adapter: AES-GCM data keys wrapped by a PBKDF2 passphrase key, with lock/unlock and key rotation
+ *  - Optional schema validator injection (bundled engine/validator.js, or e.g. AJV) for strict enforcement
+ *  - Optional embeddings injection (engine/embeddings.js) to fill ResponseObject.embeddings on save
  *
  * Design notes:
  *  - Privacy-first defaults: storePersonalData=false by default.
@@ -19,6 +25,9 @@
  * Usage:
  *  - In browser: DataLayer.init({ adapter: 'indexeddb' or 'localstorage', validator: optionalValidator })
  *  - In Node: DataLayer.init({ adapter: 'fs', basePath: './data', validator })
+ *  - Lab server: DataLayer.init({ adapter: 'remote', adapterOptions: { endpoint: 'https://lab.example/api', authToken } })
+ *  - Encrypted: DataLayer.init({ adapter: 'encrypted', adapterOptions: { inner: 'indexeddb', passphrase } })
+ *    (omit passphrase to start locked, then DataLayer.unlockStorage(passphrase))
  *
  * Exports global DataLayer object for browser; module.exports for Node.
  */
@@ -67,6 +76,250 @@
 
   function deepClone(obj) { return JSON.parse(JSON.stringify(obj)); }
 
+  // -----------------------------
+  // Session lifecycle
+  // -----------------------------
+  // initialized → in_progress (first progress update or response) → completed (computeAndPersistReport).
+  // Unfinished sessions idle longer than ABANDON_AFTER_MS are flagged idle when listed and become 'abandoned'
+  // only through an explicit sweepAbandonedSessions(); resumeSession (or a new response) moves an abandoned
+  // session back to in_progress.
+  const UNFINISHED_STATUSES = ['initialized', 'in_progress'];
+  const ABANDON_AFTER_MS = 7 * 24 * 60 * 60 * 1000;
+  const PHASE_COUNT = 6;
+
+  function lastActiveAt(s) {
+    return (s.progress && s.progress.lastActiveAt) || s.updatedAt || s.createdAt;
+  }
+
+  // first phase without an answer (PHASE_COUNT when all are answered)
+  function nextUnansweredPhase(answeredPhases = []) {
+    for (let p = 1; p <= PHASE_COUNT; p++) if (!answeredPhases.includes(p)) return p;
+    return PHASE_COUNT;
+  }
+
+  // -----------------------------
+  // Session document migrations
+  // -----------------------------
+  // SessionDocument.version is the shape of the stored document (scoring changes are tracked separately by
+  // the engine's ALGORITHM_VERSION). Each step upgrades one version to the next; getSession and init run the
+  // chain from a document's version up to SESSION_DOC_VERSION. Documents without a version predate the
+  // field and are treated as 7.1.0, the first shape DataLayer wrote. The pre-migration document is kept at
+  // `sessionBackup:<id>@<version>` (removed by deleteSession).
+  const SESSION_DOC_VERSION = '7.2.0';
+  const LEGACY_DOC_VERSION = '7.1.0';
+  const SESSION_BACKUP_PREFIX = 'sessionBackup:';
+  const DOC_VERSION = /^\d+\.\d+\.\d+$/;
+
+  // numeric compare of dotted versions ('7.10.0' > '7.9.0')
+  function compareVersions(a, b) {
+    const pa = String(a).split('.').map(Number);
+    const pb = String(b).split('.').map(Number);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+      const d = (pa[i] || 0) - (pb[i] || 0);
+      if (d) return d < 0 ? -1 : 1;
+    }
+    return 0;
+  }
+
+  function docVersion(doc) {
+    return (doc && doc.version) || LEGACY_DOC_VERSION;
+  }
+
+  const BUILTIN_MIGRATIONS = [
+    {
+      from: '7.1.0',
+      to: '7.2.0',
+      description: 'Add session.progress (prompt order and current phase) so unfinished sessions can be resumed',
+      migrate(doc) {
+        const s = doc.session;
+        const answered = (s.phaseProgress || []).filter(p => (p.responses || []).length > 0);
+        if (!s.status) s.status = s.finalReport ? 'completed' : (answered.length ? 'in_progress' : 'initialized');
+        if (!s.progress) {
+          s.progress = {
+            promptOrder: answered
+              .filter(p => p.responses[0].promptId)
+              .map(p => ({ phaseId: Number(p.phaseId), promptId: String(p.responses[0].promptId) }))
+              .sort((a, b) => a.phaseId - b.phaseId),
+            currentPhase: nextUnansweredPhase(answered.map(p => Number(p.phaseId))),
+            lastActiveAt: s.updatedAt || s.createdAt
+          };
+        }
+        return doc;
+      }
+    }
+  ];
+
+  /**
+   * Paths that differ between two JSON documents: [{ path, op: 'added'|'removed'|'changed', before?, after? }].
+   * Added or removed subtrees are reported once at their root; values are included for primitives only.
+   */
+  function diffDocuments(before, after, pathPrefix = '', out = []) {
+    const isObj = v => v !== null && typeof v === 'object';
+    const entry = (op, b, a) => {
+      const e = { path: pathPrefix || '/', op };
+      if (b !== undefined && !isObj(b)) e.before = b;
+      if (a !== undefined && !isObj(a)) e.after = a;
+      out.push(e);
+    };
+    if (isObj(before) && isObj(after) && Array.isArray(before) === Array.isArray(after)) {
+      const keys = new Set(Object.keys(before).concat(Object.keys(after)));
+      keys.forEach(k => {
+        const p = `${pathPrefix}/${k}`;
+        if (!(k in after)) diffDocuments(before[k], undefined, p, out);
+        else if (!(k in before)) diffDocuments(undefined, after[k], p, out);
+        else diffDocuments(before[k], after[k], p, out);
+      });
+    } else if (before === undefined) {
+      entry('added', undefined, after);
+    } else if (after === undefined) {
+      entry('removed', before, undefined);
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+      entry('changed', before, after);
+    }
+    return out;
+  }
+
+  // -----------------------------
+  // Weight-set registry keys
+  // -----------------------------
+  // Registered weight sets are immutable documents at `weightset:<name>@<version>`; sessions pin
+  // config.weightSet to 'name@version' at creation so later registrations never change their scoring.
+  const WEIGHTSET_PREFIX = 'weightset:';
+  const WEIGHTSET_NAME = /^[a-zA-Z0-9_\-]+$/;
+  const WEIGHTSET_VERSION = /^[a-zA-Z0-9._\-+]+$/;
+
+  function parseWeightSetRef(ref) {
+    const [name, version] = String(ref || '').split('@');
+    return { name, version: version || null };
+  }
+
+  // -----------------------------
+  // Report diffing (rescoreSession)
+  // -----------------------------
+  const DIFF_EPSILON = 0.005; // score changes below this are rounding noise
+
+  function archetypeSummary(a) {
+    return a ? { name: a.name, label: a.label || a.name, confidence: a.confidence } : null;
+  }
+
+  /**
+   * diffReports(before, after) — structured comparison of two finalReports.
+   * before may be null (session never reported). Returns
+   * { changed, from, to, compositeDelta, domainDeltas: { domain: { before, after, delta } },
+   *   tierChange: { from, to } | null, archetypeChange: { from, to } | null, phaseDeltas: [{ phaseId, before, after, delta }] }
+   */
+  function diffReports(before, after, phaseScoresBefore = {}, phaseScoresAfter = {}) {
+    const versions = r => (r ? {
+      algorithmVersion: (r.generatedBy && r.generatedBy.algorithmVersion) || null,
+      weightsVersion: (r.generatedBy && r.generatedBy.weightsVersion) || null,
+      compositeScore: r.compositeScore,
+      tier: r.tier,
+      archetype: archetypeSummary(r.archetype)
+    } : null);
+    const delta = (a, b) => (typeof a === 'number' && typeof b === 'number' ? Number((b - a).toFixed(2)) : null);
+
+    const domainDeltas = {};
+    const domains = new Set([...Object.keys((before && before.domainScores) || {}), ...Object.keys(after.domainScores || {})]);
+    domains.forEach(d => {
+      const b = before && before.domainScores ? before.domainScores[d] : undefined;
+      const a = after.domainScores ? after.domainScores[d] : undefined;
+      domainDeltas[d] = { before: b === undefined ? null : b, after: a === undefined ? null : a, delta: delta(b, a) };
+    });
+    const phaseDeltas = Object.keys(Object.assign({}, phaseScoresBefore, phaseScoresAfter)).map(phaseId => ({
+      phaseId: Number(phaseId),
+      before: phaseScoresBefore[phaseId] === undefined ? null : phaseScoresBefore[phaseId],
+      after: phaseScoresAfter[phaseId] === undefined ? null : phaseScoresAfter[phaseId],
+      delta: delta(phaseScoresBefore[phaseId], phaseScoresAfter[phaseId])
+    }));
+
+    const beforeTier = before ? before.tier : null;
+    const beforeArch = before && before.archetype ? (before.archetype.label || before.archetype.name) : null;
+    const afterArch = after.archetype ? (after.archetype.label || after.archetype.name) : null;
+    const compositeDelta = delta(before && before.compositeScore, after.compositeScore);
+    const tierChange = beforeTier !== after.tier ? { from: beforeTier, to: after.tier } : null;
+    const archetypeChange = beforeArch !== afterArch ? { from: beforeArch, to: afterArch } : null;
+    const moved = v => v === null || Math.abs(v) >= DIFF_EPSILON;
+
+    return {
+      changed: !before || !!tierChange || !!archetypeChange || moved(compositeDelta) ||
+        Object.keys(domainDeltas).some(d => moved(domainDeltas[d].delta)),
+      from: versions(before),
+      to: versions(after),
+      compositeDelta,
+      domainDeltas,
+      tierChange,
+      archetypeChange,
+      phaseDeltas
+    };
+  }
+
+  // -----------------------------
+  // Ledger hash chain
+  // -----------------------------
+  // Every ledger entry carries `seq` (position in its session chain) and `prevHash`
+  // (hash of the previous entry in the same chain, null for the first). Both are
+  // covered by the entry hash, so deleting, reordering or editing entries breaks the chain.
+  // The newest entry is recorded twice: in `ledgerHead:<chain>` and, for session chains, in the session document
+  // (session.ledgerHead), so deleting the newest entries together with the head key still shows up.
+  const GLOBAL_CHAIN = '_global'; // chain used for entries without a sessionId
+
+  function chainKey(sessionId) { return sessionId || GLOBAL_CHAIN; }
+
+  /**
+   * verifyChain(entries, head, anchor) — walk ledger entries of a single chain (any order).
+   * head: the `ledgerHead:` record; anchor: the session document's copy of it (null when there is none).
+   * Returns { valid, count, headHash, legacy, issues: [{ type, entryId, seq, expected, actual }] }
+   * issue types: 'hash_mismatch' | 'broken_link' | 'missing_entry' | 'head_mismatch' | 'missing_head' | 'anchor_mismatch'
+   * legacy: ids of entries written before the chain existed (no seq). They cannot be verified, so they are listed
+   * apart and do not make the chain invalid.
+   */
+  async function verifyChain(entries = [], head = null, anchor = null) {
+    const issues = [];
+    const chained = [];
+    const legacy = [];
+    entries.forEach(e => {
+      if (typeof e.seq !== 'number') legacy.push(e.id);
+      else chained.push(e);
+    });
+    chained.sort((a, b) => (a.seq - b.seq) || (a.timestamp - b.timestamp));
+
+    let prev = null;
+    for (const e of chained) {
+      const { hash, ...body } = e;
+      const recomputed = await hashPayload(body);
+      if (recomputed !== hash) {
+        issues.push({ type: 'hash_mismatch', entryId: e.id, seq: e.seq, expected: recomputed, actual: hash });
+      }
+      const expectedSeq = prev ? prev.seq + 1 : 0;
+      if (e.seq !== expectedSeq) {
+        issues.push({ type: 'missing_entry', entryId: e.id, seq: e.seq, expected: expectedSeq, actual: e.seq });
+      }
+      const expectedPrev = prev ? prev.hash : null;
+      if ((e.prevHash || null) !== expectedPrev) {
+        issues.push({ type: 'broken_link', entryId: e.id, seq: e.seq, expected: expectedPrev, actual: e.prevHash || null });
+      }
+      prev = e;
+    }
+
+    const headHash = prev ? prev.hash : null;
+    // head pointer guards against truncation of the newest entries
+    if (head && head.hash !== headHash) {
+      issues.push({ type: 'head_mismatch', entryId: head.id || null, seq: head.seq, expected: head.hash, actual: headHash });
+    }
+    if (!head && prev) {
+      issues.push({ type: 'missing_head', entryId: null, seq: null, expected: null, actual: headHash });
+    }
+    // the anchored entry must still be stored, so the head and the newest entries cannot be removed together
+    if (anchor) {
+      const anchored = chained.find(e => e.id === anchor.id);
+      if (!anchored || anchored.seq !== anchor.seq || anchored.hash !== anchor.hash) {
+        issues.push({ type: 'anchor_mismatch', entryId: anchor.id, seq: anchor.seq, expected: anchor.hash, actual: anchored ? anchored.hash : null });
+      }
+    }
+
+    return { valid: issues.length === 0, count: entries.length, headHash, legacy, issues };
+  }
+
   // Simple promise-based sleep (for tests)
   function delay(ms) { return new Promise(res => setTimeout(res, ms)); }
 
@@ -265,30 +518,663 @@
     }
   };
 
-  // ---- Remote Adapter (Stub) - must implement same interface; example shows fetch-based integration ----
-  const RemoteAdapterStub = {
+  // ---- Remote Adapter (REST, offline write queue) ----
+  // Endpoint contract (JSON bodies; keys are URL-encoded; Authorization: Bearer <authToken> when configured):
+  //   GET    {endpoint}/keys?prefix=<p>   200 { keys: string[] }
+  //   GET    {endpoint}/items/<key>       200 { key, rev, value } | 404
+  //   PUT    {endpoint}/items/<key>       body { value, baseRev } → 200 { key, rev }
+  //                                       409 { error: 'conflict', key, rev, value } when baseRev is not the stored rev
+  //                                       (baseRev null = the client has not seen the document; conflicts if it exists)
+  //   DELETE {endpoint}/items/<key>       200 { key, deleted } | 404 (both count as deleted)
+  //   GET    {endpoint}/export            200 { items: { [key]: value } } (optional; 404 → listKeys + get)
+  // bin/mcif-server.js is a reference implementation (fs storage, schema validation, append-only ledger).
+  // `rev` is an opaque string the server changes on every write. The adapter remembers the rev of every document it
+  // read or wrote and sends it as baseRev, so a write based on a stale copy is rejected instead of overwriting.
+  // Writes that cannot reach the server (network error, 408, 429, 5xx) go into a durable queue (localStorage in
+  // the browser, or opts.queueAdapter) and are replayed in order with exponential backoff. Reads see queued
+  // values first, and fall back to the last synced copy of a document while the server is unreachable. Queued writes that conflict are parked in syncStatus().conflicts until resolveConflict() is called
+  // (or opts.onConflict resolves them). Other 4xx responses are errors and are not queued.
+  const REMOTE_QUEUE_KEY = 'remoteQueue';
+  const REMOTE_RETRY_BASE_MS = 1000;
+  const REMOTE_RETRY_MAX_MS = 5 * 60 * 1000;
+
+  function remoteError(message, code, extra = {}) {
+    const err = new Error(message);
+    err.code = code;
+    return Object.assign(err, extra);
+  }
+
+  function isTransientStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  // Queue persistence: { load() => queueState|null, save(queueState) }
+  function remoteQueueStore(endpoint, queueAdapter) {
+    if (queueAdapter) {
+      return {
+        load: () => queueAdapter.get(REMOTE_QUEUE_KEY),
+        save: q => queueAdapter.set(REMOTE_QUEUE_KEY, q)
+      };
+    }
+    const lsKey = `mcif:${REMOTE_QUEUE_KEY}:${endpoint}`;
+    if (typeof localStorage !== 'undefined') {
+      return {
+        async load() { try { return JSON.parse(localStorage.getItem(lsKey) || 'null'); } catch (e) { return null; } },
+        async save(q) { localStorage.setItem(lsKey, JSON.stringify(q)); }
+      };
+    }
+    // no durable store available (Node without queueAdapter): queue lives for this process only
+    let mem = null;
+    return { async load() { return mem; }, async save(q) { mem = deepClone(q); } };
+  }
+
+  const RemoteAdapter = {
     name: 'remote',
+    /**
+     * opts: { endpoint, authToken, fetch (defaults to global fetch), queueAdapter, onConflict(conflict) => value|undefined,
+     *         onSync(event), retryBaseMs, retryMaxMs, timeoutMs }
+     */
     async init(opts = {}) {
-      this.endpoint = opts.endpoint || null;
+      this.endpoint = opts.endpoint ? String(opts.endpoint).replace(/\/+$/, '') : null;
       if (!this.endpoint) throw new Error('Remote adapter requires endpoint config');
       this.authToken = opts.authToken || null;
+      this.fetch = opts.fetch || (typeof fetch === 'function' ? fetch.bind(globalThis) : null);
+      if (!this.fetch) throw new Error('Remote adapter requires fetch (pass opts.fetch in this environment)');
+      this.onConflict = typeof opts.onConflict === 'function' ? opts.onConflict : null;
+      this.onSync = typeof opts.onSync === 'function' ? opts.onSync : null;
+      this.retryBaseMs = opts.retryBaseMs || REMOTE_RETRY_BASE_MS;
+      this.retryMaxMs = opts.retryMaxMs || REMOTE_RETRY_MAX_MS;
+      this.timeoutMs = opts.timeoutMs || 15000;
+      this.known = new Map(); // key -> { rev, value } last read from / written to the server
+      this.store = remoteQueueStore(this.endpoint, opts.queueAdapter || null);
+      this.queue = (await this.store.load()) || { pending: [], conflicts: [] };
+      this.lastError = null;
+      this.nextAttemptAt = null;
+      if (this._timer) clearTimeout(this._timer);
+      this._timer = null;
+      this._flushing = null;
+      if (typeof window !== 'undefined' && window.addEventListener && !this._onlineListener) {
+        this._onlineListener = () => { this.flush().catch(() => {}); };
+        window.addEventListener('online', this._onlineListener);
+      }
+      if (this.queue.pending.length) this._scheduleFlush(0);
+      return true;
+    },
+
+    _itemUrl(key) {
+      return `${this.endpoint}/items/${encodeURIComponent(key)}`;
+    },
+
+    // fetch + JSON; resolves { status, body } or throws MCIF_OFFLINE when the server cannot be reached
+    async _request(method, url, body) {
+      const headers = { Accept: 'application/json' };
+      if (body !== undefined) headers['Content-Type'] = 'application/json';
+      if (this.authToken) headers.Authorization = `Bearer ${this.authToken}`;
+      const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      const timer = controller ? setTimeout(() => controller.abort(), this.timeoutMs) : null;
+      let res;
+      try {
+        res = await this.fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body), signal: controller ? controller.signal : undefined });
+      } catch (e) {
+        throw remoteError(`Remote store unreachable (${method} ${url}): ${e.message}`, 'MCIF_OFFLINE');
+      } finally {
+        if (timer) clearTimeout(timer);
+      }
+      let parsed = null;
+      const text = await res.text();
+      if (text) {
+        try { parsed = JSON.parse(text); } catch (e) { parsed = { error: text }; }
+      }
+      if (isTransientStatus(res.status)) {
+        throw remoteError(`Remote store unavailable (${method} ${url}): HTTP ${res.status}`, 'MCIF_OFFLINE', { status: res.status });
+      }
+      return { status: res.status, body: parsed };
+    },
+
+    _emit(event) {
+      if (this.onSync) {
+        try { this.onSync(event); } catch (e) { /* listeners must not break sync */ }
+      }
+    },
+
+    // latest queued write for key: { op, value } or null
+    _queued(key) {
+      for (let i = this.queue.pending.length - 1; i >= 0; i--) {
+        if (this.queue.pending[i].key === key) return this.queue.pending[i];
+      }
+      return null;
+    },
+
+    async _enqueue(op, key, value) {
+      const last = this.queue.pending.length ? this.queue.pending[this.queue.pending.length - 1] : null;
+      if (op === 'set' && last && last.key === key && last.op === 'set') {
+        // consecutive writes of one key: only the newest value needs to reach the server
+        last.value = value;
+        last.enqueuedAt = now();
+      } else {
+        this.queue.pending.push({ id: makeId('q_'), op, key, value: op === 'set' ? value : null, attempts: 0, enqueuedAt: now() });
+      }
+      await this.store.save(this.queue);
+      this._emit({ type: 'queued', op, key, pending: this.queue.pending.length });
+    },
+
+    _scheduleFlush(delayMs) {
+      if (this._timer) clearTimeout(this._timer);
+      this.nextAttemptAt = now() + delayMs;
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this.flush().catch(() => {});
+      }, delayMs);
+      // a pending retry must not keep a Node process alive
+      if (this._timer && typeof this._timer.unref === 'function') this._timer.unref();
+    },
+
+    // a write was just queued: retry after the base delay unless a retry or replay is already under way
+    _ensureFlushScheduled() {
+      if (!this._timer && !this._flushing) this._scheduleFlush(this.lastError ? this.retryBaseMs : 0);
+    },
+
+    // send one write; returns 'ok' | 'conflict' (with remote state) and throws MCIF_OFFLINE / HTTP errors
+    async _send(entry) {
+      if (entry.op === 'delete') {
+        const { status, body } = await this._request('DELETE', this._itemUrl(entry.key));
+        if (status !== 200 && status !== 204 && status !== 404) {
+          throw remoteError(`Remote delete of ${entry.key} failed: HTTP ${status} ${body && body.error ? body.error : ''}`.trim(), 'MCIF_REMOTE', { status });
+        }
+        this.known.delete(entry.key);
+        return { result: 'ok' };
+      }
+      const baseRev = entry.baseRev !== undefined ? entry.baseRev : (this.known.has(entry.key) ? this.known.get(entry.key).rev : null);
+      const { status, body } = await this._request('PUT', this._itemUrl(entry.key), { value: entry.value, baseRev });
+      if (status === 409) return { result: 'conflict', remote: { rev: body && body.rev, value: body ? body.value : undefined } };
+      if (status !== 200 && status !== 201) {
+        throw remoteError(`Remote write of ${entry.key} failed: HTTP ${status} ${body && body.error ? body.error : ''}`.trim(), 'MCIF_REMOTE', { status });
+      }
+      this.known.set(entry.key, { rev: body && body.rev, value: deepClone(entry.value) });
+      return { result: 'ok' };
+    },
+
+    /**
+     * Replay queued writes in order. Stops at the first network failure and schedules a retry with exponential
+     * backoff. Returns syncStatus().
+     */
+    async flush() {
+      if (this._flushing) return this._flushing;
+      this._flushing = (async () => {
+        while (this.queue.pending.length) {
+          const entry = this.queue.pending[0];
+          let outcome;
+          try {
+            outcome = await this._send(entry);
+          } catch (e) {
+            if (e.code !== 'MCIF_OFFLINE') {
+              // permanent rejection: park it with the conflicts so it is visible and can be retried or dropped
+              this.queue.pending.shift();
+              this.queue.conflicts.push(Object.assign({}, entry, { reason: 'rejected', error: e.message }));
+              await this.store.save(this.queue);
+              this._emit({ type: 'rejected', key: entry.key, error: e.message });
+              continue;
+            }
+            entry.attempts += 1;
+            this.lastError = e.message;
+            await this.store.save(this.queue);
+            const backoff = Math.min(this.retryMaxMs, this.retryBaseMs * Math.pow(2, entry.attempts - 1));
+            const delayMs = Math.round(backoff * (0.75 + Math.random() * 0.5)); // jitter
+            this._scheduleFlush(delayMs);
+            this._emit({ type: 'retry', key: entry.key, attempts: entry.attempts, delayMs, error: e.message });
+            return this.syncStatus();
+          }
+          if (outcome.result === 'conflict') {
+            const conflict = Object.assign({}, entry, { reason: 'conflict', remoteRev: outcome.remote.rev, remoteValue: outcome.remote.value });
+            const resolved = this.onConflict ? await this.onConflict({ key: entry.key, localValue: entry.value, remoteValue: outcome.remote.value, remoteRev: outcome.remote.rev }) : undefined;
+            if (resolved !== undefined) {
+              // retry immediately on top of the server's revision with the resolved value
+              entry.value = resolved;
+              entry.baseRev = outcome.remote.rev;
+              continue;
+            }
+            this.queue.pending.shift();
+            this.queue.conflicts.push(conflict);
+            await this.store.save(this.queue);
+            this._emit({ type: 'conflict', key: entry.key, remoteRev: outcome.remote.rev });
+            continue;
+          }
+          this.queue.pending.shift();
+          await this.store.save(this.queue);
+        }
+        this.lastError = null;
+        this.nextAttemptAt = null;
+        this._emit({ type: 'flushed', conflicts: this.queue.conflicts.length });
+        return this.syncStatus();
+      })();
+      try {
+        return await this._flushing;
+      } finally {
+        this._flushing = null;
+      }
+    },
+
+    syncStatus() {
+      return {
+        pending: this.queue.pending.length,
+        conflicts: this.queue.conflicts.map(c => ({ id: c.id, key: c.key, reason: c.reason, remoteRev: c.remoteRev || null, error: c.error || null })),
+        lastError: this.lastError,
+        nextAttemptAt: this.nextAttemptAt
+      };
+    },
+
+    /**
+     * resolveConflict(id, choice) — 'local' re-queues the local value on top of the server's revision,
+     * 'remote' discards the local write and keeps the server copy.
+     */
+    async resolveConflict(id, choice) {
+      const idx = this.queue.conflicts.findIndex(c => c.id === id);
+      if (idx < 0) throw new Error('Unknown conflict: ' + id);
+      if (choice !== 'local' && choice !== 'remote') throw new Error("resolveConflict choice must be 'local' or 'remote'");
+      const [c] = this.queue.conflicts.splice(idx, 1);
+      if (choice === 'local') {
+        this.queue.pending.push({ id: c.id, op: c.op, key: c.key, value: c.value, baseRev: c.remoteRev === undefined ? null : c.remoteRev, attempts: 0, enqueuedAt: now() });
+      } else if (c.remoteRev !== undefined) {
+        this.known.set(c.key, { rev: c.remoteRev, value: c.remoteValue });
+      }
+      await this.store.save(this.queue);
+      if (choice === 'local') return this.flush();
+      return this.syncStatus();
+    },
+
+    async get(key) {
+      const queued = this._queued(key);
+      if (queued) return queued.op === 'set' ? deepClone(queued.value) : null;
+      let response;
+      try {
+        response = await this._request('GET', this._itemUrl(key));
+      } catch (e) {
+        if (e.code === 'MCIF_OFFLINE' && this.known.has(key)) return deepClone(this.known.get(key).value);
+        throw e;
+      }
+      const { status, body } = response;
+      if (status === 404) {
+        this.known.delete(key);
+        return null;
+      }
+      if (status !== 200) throw remoteError(`Remote read of ${key} failed: HTTP ${status}`, 'MCIF_REMOTE', { status });
+      this.known.set(key, { rev: body.rev, value: deepClone(body.value) });
+      return body.value;
+    },
+
+    async set(key, value) {
+      // keep write order: while anything is queued, new writes queue behind it
+      if (!this.queue.pending.length) {
+        try {
+          const outcome = await this._send({ op: 'set', key, value });
+          if (outcome.result === 'conflict') {
+            const resolved = this.onConflict ? await this.onConflict({ key, localValue: value, remoteValue: outcome.remote.value, remoteRev: outcome.remote.rev }) : undefined;
+            if (resolved === undefined) {
+              throw remoteError(`Conflict writing ${key}: the server has revision ${outcome.remote.rev}`, 'MCIF_CONFLICT', { key, remoteRev: outcome.remote.rev, remoteValue: outcome.remote.value });
+            }
+            const retry = await this._send({ op: 'set', key, value: resolved, baseRev: outcome.remote.rev });
+            if (retry.result === 'conflict') {
+              throw remoteError(`Conflict writing ${key}: the server has revision ${retry.remote.rev}`, 'MCIF_CONFLICT', { key, remoteRev: retry.remote.rev, remoteValue: retry.remote.value });
+            }
+          }
+          return true;
+        } catch (e) {
+          if (e.code !== 'MCIF_OFFLINE') throw e;
+          this.lastError = e.message;
+        }
+      }
+      await this._enqueue('set', key, deepClone(value));
+      this._ensureFlushScheduled();
       return true;
     },
-    // adapter must implement get/set/delete/listKeys; here we throw unless user supplies functions
-    async get(key) { throw new Error('Remote adapter get() not implemented - provide a custom adapter'); },
-    async set(key, value) { throw new Error('Remote adapter set() not implemented - provide a custom adapter'); },
-    async delete(key) { throw new Error('Remote adapter delete() not implemented - provide a custom adapter'); },
-    async listKeys() { throw new Error('Remote adapter listKeys() not implemented - provide a custom adapter'); },
-    async exportAll() { throw new Error('Remote adapter exportAll() not implemented - provide a custom adapter'); }
+
+    async delete(key) {
+      if (!this.queue.pending.length) {
+        try {
+          await this._send({ op: 'delete', key });
+          return true;
+        } catch (e) {
+          if (e.code !== 'MCIF_OFFLINE') throw e;
+          this.lastError = e.message;
+        }
+      }
+      await this._enqueue('delete', key, null);
+      this._ensureFlushScheduled();
+      return true;
+    },
+
+    // server keys plus queued writes not yet replayed (queued deletes removed)
+    _overlayKeys(keys, prefix = '') {
+      const set = new Set(keys);
+      this.queue.pending.forEach(q => {
+        if (!q.key.startsWith(prefix)) return;
+        if (q.op === 'set') set.add(q.key);
+        else set.delete(q.key);
+      });
+      return Array.from(set);
+    },
+
+    async listKeys(prefix = '') {
+      const { status, body } = await this._request('GET', `${this.endpoint}/keys?prefix=${encodeURIComponent(prefix)}`);
+      if (status !== 200) throw remoteError(`Remote key listing failed: HTTP ${status}`, 'MCIF_REMOTE', { status });
+      return this._overlayKeys((body && body.keys) || [], prefix);
+    },
+
+    async exportAll() {
+      const { status, body } = await this._request('GET', `${this.endpoint}/export`);
+      let items;
+      if (status === 200 && body && body.items) {
+        items = body.items;
+      } else if (status === 404) {
+        items = {};
+        for (const k of await this.listKeys()) items[k] = await this.get(k);
+      } else {
+        throw remoteError(`Remote export failed: HTTP ${status}`, 'MCIF_REMOTE', { status });
+      }
+      this.queue.pending.forEach(q => {
+        if (q.op === 'set') items[q.key] = deepClone(q.value);
+        else delete items[q.key];
+      });
+      return items;
+    }
   };
 
+  // ---- Encrypted wrapper (any adapter) ----
+  // Values are stored as AES-GCM envelopes { mcifEncrypted: 1, keyId, iv, ct } bound to their storage key
+  // (additional data), so an envelope copied to another key fails to decrypt. Each value is encrypted with a
+  // random data key; data keys are kept in a clear-text keyring (ENCRYPTION_KEYRING_KEY), each wrapped by a
+  // key derived from the passphrase with PBKDF2. Changing the passphrase rewraps the data keys; rotateKey()
+  // re-encrypts every value under a new data key and drops the old ones once nothing uses them.
+  // Keys, the keyring and CLEAR_PREFIXES (ledger entries/heads, registered weight sets) stay in the clear so
+  // listing, ledger verification and deletion work while locked; reading or writing anything else throws a
+  // locked error (err.code === 'MCIF_LOCKED').
+  const ENCRYPTION_KEYRING_KEY = 'encryption:keyring';
+  const CLEAR_PREFIXES = ['ledger:', 'ledgerHead:', WEIGHTSET_PREFIX];
+  const PBKDF2_ITERATIONS = 600000;
+
+  function getSubtle() {
+    const c = (cryptoLib && cryptoLib.webcrypto) || (typeof globalThis !== 'undefined' ? globalThis.crypto : null);
+    if (!c || !c.subtle) throw new Error('WebCrypto (crypto.subtle) is required for encrypted storage');
+    return c;
+  }
+
+  function toBase64(bytes) {
+    const u8 = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    if (typeof Buffer !== 'undefined') return Buffer.from(u8).toString('base64');
+    let bin = '';
+    for (let i = 0; i < u8.length; i++) bin += String.fromCharCode(u8[i]);
+    return btoa(bin);
+  }
+
+  function fromBase64(str) {
+    if (typeof Buffer !== 'undefined') return new Uint8Array(Buffer.from(str, 'base64'));
+    const bin = atob(str);
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out;
+  }
+
+  function isEnvelope(v) {
+    return !!v && typeof v === 'object' && v.mcifEncrypted === 1 && typeof v.ct === 'string';
+  }
+
+  function lockedError() {
+    const err = new Error('Encrypted storage is locked — unlock it with the passphrase');
+    err.code = 'MCIF_LOCKED';
+    return err;
+  }
+
+  async function deriveWrappingKey(passphrase, kdf) {
+    const c = getSubtle();
+    const material = await c.subtle.importKey('raw', new TextEncoder().encode(String(passphrase)), 'PBKDF2', false, ['deriveKey']);
+    return c.subtle.deriveKey(
+      { name: 'PBKDF2', hash: kdf.hash, salt: fromBase64(kdf.salt), iterations: kdf.iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async function aesEncrypt(key, bytes, aad) {
+    const c = getSubtle();
+    const iv = c.getRandomValues(new Uint8Array(12));
+    const ct = await c.subtle.encrypt({ name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(aad) }, key, bytes);
+    return { iv: toBase64(iv), ct: toBase64(ct) };
+  }
+
+  async function aesDecrypt(key, iv, ct, aad) {
+    const c = getSubtle();
+    return new Uint8Array(await c.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv), additionalData: new TextEncoder().encode(aad) }, key, fromBase64(ct)));
+  }
+
+  function makeKdf(iterations) {
+    return { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(getSubtle().getRandomValues(new Uint8Array(16))) };
+  }
+
+  /**
+   * createEncryptedAdapter(inner, options)
+   * Wraps any adapter (object implementing the adapter interface). options: { clearPrefixes, iterations }.
+   * init(opts) initializes the inner adapter with opts.innerOptions and unlocks when opts.passphrase is given.
+   */
+  function createEncryptedAdapter(inner, options = {}) {
+    if (!inner || typeof inner.get !== 'function' || typeof inner.set !== 'function') throw new Error('createEncryptedAdapter requires an adapter');
+    const clearPrefixes = options.clearPrefixes || CLEAR_PREFIXES;
+    const iterations = options.iterations || PBKDF2_ITERATIONS;
+    let keyring = null; // persisted keyring document
+    let dataKeys = null; // Map keyId -> CryptoKey while unlocked
+
+    const isClear = key => key === ENCRYPTION_KEYRING_KEY || clearPrefixes.some(p => key.startsWith(p));
+
+    async function wrapDataKey(wrappingKey, keyId, raw) {
+      return Object.assign({ id: keyId, createdAt: now() }, await aesEncrypt(wrappingKey, raw, `keyring:${keyId}`));
+    }
+
+    async function newDataKey() {
+      const c = getSubtle();
+      const raw = c.getRandomValues(new Uint8Array(32));
+      const key = await c.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+      return { id: makeId('k_'), raw, key };
+    }
+
+    async function encryptValue(key, value) {
+      const keyId = keyring.activeKeyId;
+      const sealed = await aesEncrypt(dataKeys.get(keyId), new TextEncoder().encode(JSON.stringify(value)), key);
+      return { mcifEncrypted: 1, alg: 'AES-GCM', keyId, iv: sealed.iv, ct: sealed.ct };
+    }
+
+    async function decryptValue(key, env) {
+      const dataKey = dataKeys.get(env.keyId);
+      if (!dataKey) throw new Error(`No data key ${env.keyId} in the keyring for ${key}`);
+      let bytes;
+      try {
+        bytes = await aesDecrypt(dataKey, env.iv, env.ct, key);
+      } catch (e) {
+        throw new Error(`Cannot decrypt ${key}: ciphertext was modified or moved`);
+      }
+      return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    return {
+      name: 'encrypted',
+      inner,
+      async init(opts = {}) {
+        if (inner.init) await inner.init(opts.innerOptions || {});
+        keyring = await inner.get(ENCRYPTION_KEYRING_KEY);
+        dataKeys = null;
+        if (opts.passphrase !== undefined) await this.unlock(opts.passphrase);
+        return true;
+      },
+
+      isLocked() {
+        return dataKeys === null;
+      },
+
+      isInitialized() {
+        return !!keyring;
+      },
+
+      /**
+       * Unlock with the passphrase. The first unlock of an empty store creates the keyring under this passphrase.
+       * Throws (and stays locked) on a wrong passphrase.
+       */
+      async unlock(passphrase) {
+        if (!passphrase) throw new Error('A passphrase is required to unlock encrypted storage');
+        if (!keyring) {
+          const kdf = makeKdf(iterations);
+          const wrappingKey = await deriveWrappingKey(passphrase, kdf);
+          const dk = await newDataKey();
+          keyring = { type: 'keyring', version: 1, kdf, activeKeyId: dk.id, keys: [await wrapDataKey(wrappingKey, dk.id, dk.raw)] };
+          await inner.set(ENCRYPTION_KEYRING_KEY, keyring);
+          dataKeys = new Map([[dk.id, dk.key]]);
+          return true;
+        }
+        const wrappingKey = await deriveWrappingKey(passphrase, keyring.kdf);
+        const keys = new Map();
+        for (const k of keyring.keys) {
+          let raw;
+          try {
+            raw = await aesDecrypt(wrappingKey, k.iv, k.ct, `keyring:${k.id}`);
+          } catch (e) {
+            throw new Error('Wrong passphrase for encrypted storage');
+          }
+          keys.set(k.id, await getSubtle().subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']));
+        }
+        dataKeys = keys;
+        return true;
+      },
+
+      // forget the data keys; values stay encrypted at rest
+      lock() {
+        dataKeys = null;
+        return true;
+      },
+
+      /**
+       * Rewrap the data keys under a new passphrase (values are not re-encrypted).
+       */
+      async changePassphrase(oldPassphrase, newPassphrase) {
+        if (!keyring) throw new Error('Encrypted storage has no keyring yet — unlock it first');
+        if (!newPassphrase) throw new Error('A new passphrase is required');
+        const oldKey = await deriveWrappingKey(oldPassphrase, keyring.kdf);
+        const kdf = makeKdf(iterations);
+        const newKey = await deriveWrappingKey(newPassphrase, kdf);
+        const keys = [];
+        for (const k of keyring.keys) {
+          let raw;
+          try {
+            raw = await aesDecrypt(oldKey, k.iv, k.ct, `keyring:${k.id}`);
+          } catch (e) {
+            throw new Error('Wrong passphrase for encrypted storage');
+          }
+          keys.push(Object.assign(await wrapDataKey(newKey, k.id, raw), { createdAt: k.createdAt }));
+        }
+        keyring = Object.assign({}, keyring, { kdf, keys });
+        await inner.set(ENCRYPTION_KEYRING_KEY, keyring);
+        return true;
+      },
+
+      /**
+       * Re-encrypt every stored value (including values written before encryption was enabled) under a new data
+       * key, then drop the old data keys. An interrupted rotation leaves the old keys in the keyring, so every
+       * value stays readable and rotateKey can simply be run again.
+       * @returns {Promise<{ keyId: string, reencrypted: number, retiredKeys: string[] }>}
+       */
+      async rotateKey(passphrase) {
+        if (this.isLocked()) throw lockedError();
+        const wrappingKey = await deriveWrappingKey(passphrase, keyring.kdf);
+        // verify the passphrase against an existing wrapped key before adding a new one
+        try {
+          await aesDecrypt(wrappingKey, keyring.keys[0].iv, keyring.keys[0].ct, `keyring:${keyring.keys[0].id}`);
+        } catch (e) {
+          throw new Error('Wrong passphrase for encrypted storage');
+        }
+        const dk = await newDataKey();
+        const retiredKeys = keyring.keys.map(k => k.id);
+        keyring = Object.assign({}, keyring, { activeKeyId: dk.id, keys: keyring.keys.concat([await wrapDataKey(wrappingKey, dk.id, dk.raw)]) });
+        await inner.set(ENCRYPTION_KEYRING_KEY, keyring);
+        dataKeys.set(dk.id, dk.key);
+
+        let reencrypted = 0;
+        for (const key of await inner.listKeys()) {
+          if (isClear(key)) continue;
+          const stored = await inner.get(key);
+          if (stored === null || stored === undefined) continue;
+          const value = isEnvelope(stored) ? await decryptValue(key, stored) : stored;
+          await inner.set(key, await encryptValue(key, value));
+          reencrypted += 1;
+        }
+
+        keyring = Object.assign({}, keyring, { keys: keyring.keys.filter(k => k.id === dk.id) });
+        await inner.set(ENCRYPTION_KEYRING_KEY, keyring);
+        retiredKeys.forEach(id => dataKeys.delete(id));
+        return { keyId: dk.id, reencrypted, retiredKeys };
+      },
+
+      async get(key) {
+        const stored = await inner.get(key);
+        if (isClear(key) || stored === null || stored === undefined) return stored;
+        // plain values written before encryption was enabled stay readable until rotateKey re-encrypts them
+        if (!isEnvelope(stored)) return stored;
+        if (this.isLocked()) throw lockedError();
+        return decryptValue(key, stored);
+      },
+
+      async set(key, value) {
+        if (isClear(key)) return inner.set(key, value);
+        if (this.isLocked()) throw lockedError();
+        return inner.set(key, await encryptValue(key, value));
+      },
+
+      // deleting needs no key, so erasure (deleteSession) works while locked
+      async delete(key) {
+        return inner.delete(key);
+      },
+
+      async listKeys(prefix = '') {
+        return inner.listKeys(prefix);
+      },
+
+      async exportAll() {
+        const out = {};
+        for (const k of await inner.listKeys()) out[k] = await this.get(k);
+        return out;
+      }
+    };
+  }
+
+  // name -> adapter object (init opts.adapter)
+  function resolveAdapter(name) {
+    if (typeof name === 'object' && name !== null) {
+      // custom adapter object provided directly
+      if (!name.init) name.init = async () => true;
+      return name;
+    }
+    if (name === 'indexeddb') return typeof indexedDB !== 'undefined' ? IndexedDBAdapter : LocalStorageAdapter; // fallback
+    if (name === 'localstorage') return LocalStorageAdapter;
+    if (name === 'fs') return FSAdapter;
+    if (name === 'remote') return RemoteAdapter;
+    // unknown - default to localStorage if available, else throw
+    if (typeof localStorage !== 'undefined') return LocalStorageAdapter;
+    if (fs) return FSAdapter;
+    throw new Error('No suitable adapter found for this environment');
+  }
+
   // -----------------------------
   // Main Data Layer
   // -----------------------------
   const DataLayer = {
     _adapter: null,
     _validator: null, // function(obj, schemaFragment) -> {valid: bool, errors: []}
+    _embeddings: null, // MCIFEmbeddings-compatible { embed(text) => { vector, model } }
+    _analysisEngine: null, // MCIFAnalysis-compatible engine used by rescoreSession
     _inMemoryCache: new Map(),
+    _ledgerLocks: new Map(), // chainKey -> Promise of the last pending append
+    SESSION_DOC_VERSION,
+    // ledger helpers for servers that accept entries written by remote clients (bin/mcif-server.js)
+    _internals: { hashPayload, chainKey, verifyChain },
+    _migrations: BUILTIN_MIGRATIONS.slice(), // ordered session document migration steps (registerMigration)
+    lastMigration: null, // migrateSessions() report from the most recent init
     _opts: {
       adapter: 'indexeddb', // default in-browser; fallback to localstorage if not available
       // Node uses 'fs' adapter by default
@@ -299,39 +1185,138 @@
 
     /**
      * Initialize DataLayer
-     * opts: { adapter: 'indexeddb'|'localstorage'|'fs'|'remote'|customAdapter, adapterOptions, validator }
+     * opts: { adapter: 'indexeddb'|'localstorage'|'fs'|'remote'|customAdapter, adapterOptions, validator, embeddings, analysisEngine,
+     *         migrate: true (default) | false | 'dry-run' — upgrade stored session documents (report in lastMigration) }
      */
     async init(opts = {}) {
-      this._opts = Object.assign({}, this._opts, opts || {});
+      // migrate applies to this call only: a dry-run init must not make the next init or unlock a dry run too
+      const { migrate, ...rest } = opts || {};
+      this._opts = Object.assign({}, this._opts, rest);
       if (opts.validator) this._validator = opts.validator;
+      if (opts.embeddings) this._embeddings = opts.embeddings;
+      if (opts.analysisEngine) this._analysisEngine = opts.analysisEngine;
 
-      // choose adapter
+      // choose adapter; 'encrypted' wraps adapterOptions.inner (name or adapter object, default 'indexeddb')
       const name = this._opts.adapter;
-      if (typeof name === 'object' && name !== null) {
-        // custom adapter object provided directly
-        this._adapter = name;
-        if (!this._adapter.init) this._adapter.init = async () => true;
-      } else if (name === 'indexeddb') {
-        if (typeof indexedDB !== 'undefined') this._adapter = IndexedDBAdapter;
-        else this._adapter = LocalStorageAdapter; // fallback
-      } else if (name === 'localstorage') {
-        this._adapter = LocalStorageAdapter;
-      } else if (name === 'fs') {
-        this._adapter = FSAdapter;
-      } else if (name === 'remote') {
-        this._adapter = RemoteAdapterStub; // user should override with real remote adapter
+      if (name === 'encrypted') {
+        const adapterOptions = this._opts.adapterOptions || {};
+        this._adapter = createEncryptedAdapter(resolveAdapter(adapterOptions.inner || 'indexeddb'), adapterOptions);
       } else {
-        // unknown - default to localStorage if available, else throw
-        if (typeof localStorage !== 'undefined') this._adapter = LocalStorageAdapter;
-        else if (fs) this._adapter = FSAdapter;
-        else throw new Error('No suitable adapter found for this environment');
+        this._adapter = resolveAdapter(name);
       }
 
       // init adapter
       await this._adapter.init(this._opts.adapterOptions || {});
+
+      // locked encrypted storage is migrated by unlockStorage instead
+      if (migrate !== false && !this.isStorageLocked()) {
+        try {
+          this.lastMigration = await this.migrateSessions({ dryRun: migrate === 'dry-run', actor: 'dataLayer:init' });
+        } catch (e) {
+          // adapters that cannot list keys right now (remote store offline) migrate lazily in getSession
+          this.lastMigration = { target: SESSION_DOC_VERSION, error: e.message };
+        }
+      }
       return true;
     },
 
+    // -------------------------
+    // Encrypted storage (adapter: 'encrypted' or a createEncryptedAdapter() wrapper)
+    // -------------------------
+    createEncryptedAdapter,
+
+    isStorageLocked() {
+      return !!(this._adapter && typeof this._adapter.isLocked === 'function' && this._adapter.isLocked());
+    },
+
+    /**
+     * unlockStorage(passphrase, { migrate })
+     * Unlocks encrypted storage (creating the keyring on first use), then migrates stored sessions
+     * that could not be read while locked. migrate: true (default) | false | 'dry-run', as for init.
+     */
+    async unlockStorage(passphrase, options = {}) {
+      if (!this._adapter || typeof this._adapter.unlock !== 'function') throw new Error('Storage adapter is not encrypted');
+      await this._adapter.unlock(passphrase);
+      if (options.migrate !== false) {
+        this.lastMigration = await this.migrateSessions({ dryRun: options.migrate === 'dry-run', actor: 'dataLayer:unlock' });
+      }
+      return true;
+    },
+
+    /**
+     * lockStorage() — forgets the keys and drops decrypted documents from the in-memory cache.
+     */
+    lockStorage() {
+      if (!this._adapter || typeof this._adapter.lock !== 'function') throw new Error('Storage adapter is not encrypted');
+      this._adapter.lock();
+      this._inMemoryCache.clear();
+      return true;
+    },
+
+    /**
+     * rotateStorageKey(passphrase) — re-encrypts every stored value under a new data key (see createEncryptedAdapter)
+     * and records ENCRYPTION_KEY_ROTATE on the global ledger chain (key ids only).
+     */
+    async rotateStorageKey(passphrase) {
+      if (!this._adapter || typeof this._adapter.rotateKey !== 'function') throw new Error('Storage adapter is not encrypted');
+      const result = await this._adapter.rotateKey(passphrase);
+      await this.appendLedgerEntry({
+        actor: 'dataLayer',
+        action: 'ENCRYPTION_KEY_ROTATE',
+        sessionId: null,
+        payload: result,
+        rationale: 'Stored values re-encrypted under a new data key'
+      }, { storePersonalData: false, retainLedgerHashOnly: false });
+      return result;
+    },
+
+    async changeStoragePassphrase(oldPassphrase, newPassphrase) {
+      if (!this._adapter || typeof this._adapter.changePassphrase !== 'function') throw new Error('Storage adapter is not encrypted');
+      await this._adapter.changePassphrase(oldPassphrase, newPassphrase);
+      await this.appendLedgerEntry({
+        actor: 'dataLayer',
+        action: 'ENCRYPTION_PASSPHRASE_CHANGE',
+        sessionId: null,
+        payload: {},
+        rationale: 'Data keys rewrapped under a new passphrase'
+      }, { storePersonalData: false, retainLedgerHashOnly: false });
+      return true;
+    },
+
+    // -------------------------
+    // Remote sync (adapter: 'remote', also when wrapped by the encrypted adapter)
+    // -------------------------
+    _remoteAdapter() {
+      const a = this._adapter;
+      if (a && typeof a.flush === 'function') return a;
+      if (a && a.inner && typeof a.inner.flush === 'function') return a.inner;
+      return null;
+    },
+
+    /**
+     * getSyncStatus() — { pending, conflicts: [{ id, key, reason, remoteRev, error }], lastError, nextAttemptAt },
+     * or null when storage is not remote.
+     */
+    getSyncStatus() {
+      const remote = this._remoteAdapter();
+      return remote ? remote.syncStatus() : null;
+    },
+
+    // replay queued remote writes now (e.g. from a "Sync now" button)
+    async flushSync() {
+      const remote = this._remoteAdapter();
+      if (!remote) throw new Error('Storage adapter is not remote');
+      return remote.flush();
+    },
+
+    async resolveSyncConflict(id, choice) {
+      const remote = this._remoteAdapter();
+      if (!remote) throw new Error('Storage adapter is not remote');
+      const status = await remote.resolveConflict(id, choice);
+      this._inMemoryCache.clear(); // 'remote' choices make cached documents stale
+      return status;
+    },
+
     /**
      * Inject a validator function (signature: async validate(obj, schemaFragment) => { valid: bool, errors: [] })
      */
@@ -339,27 +1324,67 @@
       this._validator = validatorFn;
     },
 
+    /**
+     * Inject an embeddings module (engine/embeddings.js). embedResponse (and so saveResponse) then fills
+     * ResponseObject.embeddings / embeddingModel for responses that arrive without them.
+     */
+    injectEmbeddings(embeddings) {
+      this._embeddings = embeddings || null;
+    },
+
+    /**
+     * embedResponse(responseObj) — fills responseObj.embeddings / embeddingModel in place when an embeddings module
+     * is injected and the response has none yet. Embeddings are optional: a failure leaves the response without
+     * them. Call it before analysis to let the engine compare against earlier answers; saveResponse calls it too.
+     * Returns responseObj.
+     */
+    async embedResponse(responseObj) {
+      if (!this._embeddings || (Array.isArray(responseObj.embeddings) && responseObj.embeddings.length > 0)) return responseObj;
+      try {
+        const { vector, model } = await this._embeddings.embed(responseObj.text || '');
+        responseObj.embeddings = vector;
+        responseObj.embeddingModel = model;
+      } catch (e) {
+        // embeddings are optional; keep the response without them
+      }
+      return responseObj;
+    },
+
+    /**
+     * Inject the analysis engine (engine/analysis.js) used when no engine is passed to rescoreSession.
+     */
+    injectAnalysisEngine(analysisEngine) {
+      this._analysisEngine = analysisEngine || null;
+    },
+
     // -------------------------
     // Session management
     // -------------------------
     /**
      * createSession(config)
-     * config: { ownerId (optional), tier: 'Explorer'|'Architect'|'Visionary', mode: 'guided'|'self-paced'|'mentor', weightSet, privacy }
+     * config: { ownerId (optional), tier: 'Explorer'|'Architect'|'Visionary', mode: 'guided'|'self-paced'|'mentor', weightSet, locale, privacy }
+     * weightSet names a registered weight set ('name' = its latest version, or 'name@version') and is pinned
+     * to 'name@version'; an unregistered 'default' keeps the active manifest (init opts.weights / engine).
      */
     async createSession(config = {}) {
       const sessionId = makeId('s_');
       const nowTs = now();
 
+      const requestedWeightSet = config.weightSet || 'default';
+      const weightSetRecord = await this.getWeightSet(requestedWeightSet);
+      if (!weightSetRecord && requestedWeightSet !== 'default') throw new Error('Unknown weight set: ' + requestedWeightSet);
+
       const defaultConfig = {
-        weightSet: (config.weightSet || 'default'),
+        weightSet: weightSetRecord ? `${weightSetRecord.name}@${weightSetRecord.version}` : requestedWeightSet,
         mode: (config.mode || 'guided'),
+        locale: (config.locale || 'en'),
         accessibility: (config.accessibility || { font: null, pacing: 'normal', voiceEnabled: false }),
         privacy: Object.assign({ storePersonalData: false, retainLedgerHashOnly: true }, (config.privacy || {}))
       };
 
       const session = {
         type: 'session',
-        version: '7.1.0',
+        version: SESSION_DOC_VERSION,
         session: {
           id: sessionId,
           owner: config.ownerId || null,
@@ -368,6 +1393,7 @@
           tier: config.tier || 'Explorer',
           status: 'initialized',
           phaseProgress: [],
+          progress: { promptOrder: [], currentPhase: 1, lastActiveAt: nowTs },
           config: defaultConfig,
           coherenceWaveform: [],
           finalReport: null,
@@ -395,7 +1421,7 @@
         sessionId,
         payload: { sessionId, createdAt: nowTs },
         rationale: 'Initial session created'
-      }, session.config.privacy);
+      }, session.session.config.privacy);
 
       // store ledger hash pointer in session (opaque)
       if (session.session.config.privacy && session.session.config.privacy.retainLedgerHashOnly) {
@@ -410,14 +1436,125 @@
 
     /**
      * getSession(sessionId)
+     * Documents older than SESSION_DOC_VERSION are migrated (and persisted) before they are returned.
      */
     async getSession(sessionId) {
       if (this._inMemoryCache.has(sessionId)) return deepClone(this._inMemoryCache.get(sessionId));
-      const s = await this._adapter.get(`session:${sessionId}`);
+      let s = await this._adapter.get(`session:${sessionId}`);
+      if (s && compareVersions(docVersion(s), SESSION_DOC_VERSION) < 0) {
+        s = (await this._upgradeSession(sessionId, s, {})).document;
+      }
       if (s) this._inMemoryCache.set(sessionId, s);
       return deepClone(s);
     },
 
+    // -------------------------
+    // Session document migrations
+    // -------------------------
+    /**
+     * registerMigration({ from, to, description, migrate(doc) => doc })
+     * Adds a step to the chain. Versions are 'major.minor.patch'; `to` must be newer than `from` and no newer than
+     * the current document version, and each `from` may have only one step. migrate receives a copy of the document
+     * (its version is set to `to` afterwards).
+     */
+    registerMigration(step = {}) {
+      const { from, to, migrate } = step;
+      if (!DOC_VERSION.test(String(from)) || !DOC_VERSION.test(String(to))) throw new Error(`Migration versions must be major.minor.patch (got ${from} -> ${to})`);
+      if (compareVersions(from, to) >= 0) throw new Error(`Migration ${from} -> ${to} must upgrade to a newer version`);
+      if (compareVersions(to, SESSION_DOC_VERSION) > 0) throw new Error(`Migration ${from} -> ${to} targets a version newer than ${SESSION_DOC_VERSION}`);
+      if (typeof migrate !== 'function') throw new Error(`Migration ${from} -> ${to} requires migrate(doc)`);
+      if (this._migrations.some(m => m.from === from)) throw new Error(`A migration from ${from} is already registered`);
+      this._migrations.push({ from, to, description: step.description || '', migrate });
+      this._migrations.sort((a, b) => compareVersions(a.from, b.from));
+      return this.listMigrations();
+    },
+
+    listMigrations() {
+      return this._migrations.map(m => ({ from: m.from, to: m.to, description: m.description }));
+    },
+
+    /**
+     * migrateSessionDocument(doc)
+     * Runs the migration chain on a copy of doc (nothing is persisted).
+     * Returns { from, to, steps: [{ from, to, description }], changes: diffDocuments(), document }.
+     * Throws when no chain of steps leads from the document's version to SESSION_DOC_VERSION.
+     */
+    migrateSessionDocument(doc) {
+      const from = docVersion(doc);
+      let current = deepClone(doc);
+      let version = from;
+      const steps = [];
+      while (compareVersions(version, SESSION_DOC_VERSION) < 0) {
+        const step = this._migrations.find(m => m.from === version);
+        if (!step) throw new Error(`No migration from session document version ${version} (target ${SESSION_DOC_VERSION})`);
+        current = step.migrate(current) || current;
+        current.version = step.to;
+        steps.push({ from: step.from, to: step.to, description: step.description });
+        version = step.to;
+      }
+      return { from, to: version, steps, changes: diffDocuments(doc, current), document: current };
+    },
+
+    /**
+     * Migrate one stored document; unless dryRun, validate it, keep a backup of the original, persist it and
+     * write a MIGRATION ledger entry. Returns the migrateSessionDocument result plus { sessionId, backupKey }.
+     */
+    async _upgradeSession(sessionId, doc, options = {}) {
+      const result = Object.assign({ sessionId }, this.migrateSessionDocument(doc));
+      if (this._validator) {
+        const v = await this._validator(result.document, 'SessionDocument').catch(e => ({ valid: false, errors: [e] }));
+        if (!v || !v.valid) {
+          throw new Error(`Migrated session ${sessionId} (${result.from} -> ${result.to}) failed validation: ` + JSON.stringify(v && v.errors ? v.errors : v));
+        }
+      }
+      if (options.dryRun) return result;
+
+      result.backupKey = `${SESSION_BACKUP_PREFIX}${sessionId}@${result.from}`;
+      await this._adapter.set(result.backupKey, doc);
+      await this._adapter.set(`session:${sessionId}`, result.document);
+      this._inMemoryCache.set(sessionId, result.document);
+
+      await this.appendLedgerEntry({
+        actor: options.actor || 'dataLayer',
+        action: 'MIGRATION',
+        sessionId,
+        payload: {
+          from: result.from,
+          to: result.to,
+          steps: result.steps.map(st => `${st.from}->${st.to}`),
+          changedPaths: result.changes.map(c => c.path),
+          backupKey: result.backupKey
+        },
+        rationale: 'Stored session document upgraded to the current version'
+      }, (result.document.session && result.document.session.config && result.document.session.config.privacy) || undefined);
+      return result;
+    },
+
+    /**
+     * migrateSessions({ dryRun })
+     * Checks every stored session document. Returns
+     * { target, dryRun, checked, migrated: [{ sessionId, from, to, steps, changes }], failed: [{ sessionId, from, error }],
+     *   newer: [sessionId] } — newer documents were written by a later version and are left untouched.
+     */
+    async migrateSessions(options = {}) {
+      const report = { target: SESSION_DOC_VERSION, dryRun: !!options.dryRun, checked: 0, migrated: [], failed: [], newer: [] };
+      for (const id of await this.listSessions()) {
+        const doc = await this._adapter.get(`session:${id}`);
+        if (!doc) continue;
+        report.checked += 1;
+        const cmp = compareVersions(docVersion(doc), SESSION_DOC_VERSION);
+        if (cmp > 0) report.newer.push(id);
+        if (cmp >= 0) continue;
+        try {
+          const r = await this._upgradeSession(id, doc, options);
+          report.migrated.push({ sessionId: id, from: r.from, to: r.to, steps: r.steps, changes: r.changes });
+        } catch (e) {
+          report.failed.push({ sessionId: id, from: docVersion(doc), error: e.message });
+        }
+      }
+      return report;
+    },
+
     /**
      * saveResponse(sessionId, responseObj)
      * responseObj must conform roughly to ResponseObject in schema
@@ -439,6 +1576,9 @@
         }
       }
 
+      // fill embeddings at submit time when the client did not provide them
+      await this.embedResponse(responseObj);
+
       // validate response if validator provided
       if (this._validator) {
         const v = await this._validator(responseObj, 'ResponseObject').catch(e => ({ valid: false, errors: [e] }));
@@ -475,6 +1615,8 @@
 
       // optional: update phase-level metrics placeholder (analysis will fill real metrics)
       pp.metrics = pp.metrics || {};
+      if (session.session.status !== 'completed') session.session.status = 'in_progress';
+      if (session.session.progress) session.session.progress.lastActiveAt = now();
       // persist session
       session.session.updatedAt = now();
       await this._adapter.set(`session:${sessionId}`, session);
@@ -500,9 +1642,141 @@
       return { ok: true, session, ledgerEntry };
     },
 
+    /**
+     * updateSessionProgress(sessionId, { promptOrder, currentPhase })
+     * Persists where the participant is (prompt order as [{ phaseId, promptId }] and the phase on screen)
+     * so the session can be resumed after a reload. Moves an initialized session to in_progress.
+     */
+    async updateSessionProgress(sessionId, update = {}) {
+      const session = await this.getSession(sessionId);
+      if (!session) throw new Error('Session not found: ' + sessionId);
+      if (session.session.status === 'completed') throw new Error('Session already completed: ' + sessionId);
+      const progress = session.session.progress || { promptOrder: [], currentPhase: 1 };
+      if (Array.isArray(update.promptOrder)) {
+        progress.promptOrder = update.promptOrder.map(p => ({ phaseId: Number(p.phaseId), promptId: String(p.promptId) }));
+      }
+      if (update.currentPhase !== undefined) progress.currentPhase = Number(update.currentPhase);
+      progress.lastActiveAt = now();
+      session.session.progress = progress;
+      if (session.session.status === 'initialized') session.session.status = 'in_progress';
+      session.session.updatedAt = now();
+
+      if (this._validator) {
+        const v = await this._validator(session, 'SessionDocument').catch(e => ({ valid: false, errors: [e] }));
+        if (!v || !v.valid) throw new Error('Session validation failed: ' + JSON.stringify(v && v.errors ? v.errors : v));
+      }
+      await this._adapter.set(`session:${sessionId}`, session);
+      this._inMemoryCache.set(sessionId, session);
+      return deepClone(session);
+    },
+
+    /**
+     * listUnfinishedSessions({ abandonAfterMs })
+     * Sessions that can be continued (initialized / in_progress), most recently active first:
+     * [{ sessionId, status, tier, createdAt, updatedAt, currentPhase, answeredPhases, idle }].
+     * idle: no activity for longer than abandonAfterMs (default 7 days). Listing changes nothing;
+     * see sweepAbandonedSessions.
+     */
+    async listUnfinishedSessions(options = {}) {
+      const abandonAfterMs = options.abandonAfterMs !== undefined ? Number(options.abandonAfterMs) : ABANDON_AFTER_MS;
+      const out = [];
+      for (const id of await this.listSessions()) {
+        const doc = await this.getSession(id);
+        const s = doc && doc.session;
+        if (!s || !UNFINISHED_STATUSES.includes(s.status || 'initialized')) continue;
+        const active = lastActiveAt(s);
+        const answeredPhases = (s.phaseProgress || []).filter(p => (p.responses || []).length > 0).map(p => p.phaseId).sort((a, b) => a - b);
+        out.push({
+          sessionId: id,
+          status: s.status || 'initialized',
+          tier: s.tier,
+          createdAt: s.createdAt,
+          updatedAt: active,
+          currentPhase: (s.progress && s.progress.currentPhase) || nextUnansweredPhase(answeredPhases),
+          answeredPhases,
+          idle: now() - active > abandonAfterMs
+        });
+      }
+      return out.sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+
+    /**
+     * sweepAbandonedSessions({ abandonAfterMs })
+     * Marks unfinished sessions with no activity for longer than abandonAfterMs (default 7 days) abandoned,
+     * one SESSION_ABANDON ledger entry each. For hosts that expire sessions on a schedule; nothing calls it
+     * implicitly. Returns the ids of the sessions it abandoned.
+     */
+    async sweepAbandonedSessions(options = {}) {
+      const abandonAfterMs = options.abandonAfterMs !== undefined ? Number(options.abandonAfterMs) : ABANDON_AFTER_MS;
+      const abandoned = [];
+      for (const s of await this.listUnfinishedSessions({ abandonAfterMs })) {
+        if (!s.idle) continue;
+        await this.abandonSession(s.sessionId, { reason: 'inactive' });
+        abandoned.push(s.sessionId);
+      }
+      return abandoned;
+    },
+
+    /**
+     * resumeSession(sessionId)
+     * Moves an unfinished or abandoned session back to in_progress and records SESSION_RESUME.
+     * Returns the session document; its progress holds the prompt order and current phase to restore.
+     */
+    async resumeSession(sessionId) {
+      const session = await this.getSession(sessionId);
+      if (!session) throw new Error('Session not found: ' + sessionId);
+      if (session.session.status === 'completed') throw new Error('Session already completed: ' + sessionId);
+      const fromStatus = session.session.status || 'initialized';
+      const progress = session.session.progress || { promptOrder: [], currentPhase: null };
+      if (!progress.currentPhase) {
+        progress.currentPhase = nextUnansweredPhase((session.session.phaseProgress || []).filter(p => (p.responses || []).length > 0).map(p => p.phaseId));
+      }
+      progress.lastActiveAt = now();
+      session.session.progress = progress;
+      session.session.status = 'in_progress';
+      session.session.updatedAt = now();
+      await this._adapter.set(`session:${sessionId}`, session);
+      this._inMemoryCache.set(sessionId, session);
+
+      await this.appendLedgerEntry({
+        actor: 'dataLayer',
+        action: 'SESSION_RESUME',
+        sessionId,
+        payload: { fromStatus, currentPhase: progress.currentPhase },
+        rationale: 'Unfinished session resumed'
+      }, session.session.config.privacy);
+      return deepClone(session);
+    },
+
+    /**
+     * abandonSession(sessionId, { reason })
+     * Marks an unfinished session abandoned (reason e.g. 'discarded' by the participant or 'inactive').
+     * Responses are kept; deleteSession removes them.
+     */
+    async abandonSession(sessionId, options = {}) {
+      const session = await this.getSession(sessionId);
+      if (!session) throw new Error('Session not found: ' + sessionId);
+      if (session.session.status === 'completed') throw new Error('Session already completed: ' + sessionId);
+      if (session.session.status === 'abandoned') return deepClone(session);
+      const reason = options.reason || 'discarded';
+      session.session.status = 'abandoned';
+      session.session.updatedAt = now();
+      await this._adapter.set(`session:${sessionId}`, session);
+      this._inMemoryCache.set(sessionId, session);
+
+      await this.appendLedgerEntry({
+        actor: 'dataLayer',
+        action: 'SESSION_ABANDON',
+        sessionId,
+        payload: { reason },
+        rationale: reason === 'inactive' ? 'Unfinished session marked abandoned after inactivity' : 'Participant discarded unfinished session'
+      }, session.session.config.privacy);
+      return deepClone(session);
+    },
+
     /**
      * getSessionState(sessionId) returns a compact state for UI:
-     * { sessionId, tier, status, phaseProgress: [{phaseId, startedAt, completedAt, responsesCount, metrics}] }
+     * { sessionId, tier, status, progress, phaseProgress: [{phaseId, startedAt, completedAt, responsesCount, metrics}] }
      */
     async getSessionState(sessionId) {
       const session = await this.getSession(sessionId);
@@ -511,6 +1785,7 @@
         sessionId: session.session.id,
         tier: session.session.tier,
         status: session.session.status,
+        progress: session.session.progress || null,
         phaseProgress: (session.session.phaseProgress || []).map(p => ({
           phaseId: p.phaseId,
           startedAt: p.startedAt,
@@ -530,14 +1805,31 @@
      * - if privacyConfig.retainLedgerHashOnly true, payload may be stored hashed or minimized
      */
     async appendLedgerEntry(entry, privacyConfig = { storePersonalData: false, retainLedgerHashOnly: true }) {
+      // serialize appends per chain so concurrent writers cannot fork it
+      const key = chainKey(entry.sessionId);
+      const pending = this._ledgerLocks.get(key) || Promise.resolve();
+      const next = pending.catch(() => {}).then(() => this._appendChained(entry, privacyConfig));
+      this._ledgerLocks.set(key, next);
+      try {
+        return await next;
+      } finally {
+        if (this._ledgerLocks.get(key) === next) this._ledgerLocks.delete(key);
+      }
+    },
+
+    async _appendChained(entry, privacyConfig) {
       const id = makeId('ledger_');
       const timestamp = now();
+      const headKey = `ledgerHead:${chainKey(entry.sessionId)}`;
+      const head = await this._adapter.get(headKey);
       const base = {
         id,
         timestamp,
         actor: entry.actor || 'unknown',
         action: entry.action || 'UNKNOWN',
         sessionId: entry.sessionId || null,
+        seq: head ? head.seq + 1 : 0,
+        prevHash: head ? head.hash : null,
         payload: null,
         payloadSummary: null,
         rationale: entry.rationale || ''
@@ -554,26 +1846,210 @@
       const hash = await hashPayload(base);
       base.hash = hash;
 
-      // persist
+      // persist entry first, then advance the chain head
       await this._adapter.set(`ledger:${id}`, base);
-      // optional: also persist session->ledger pointer (done by caller)
+      await this._adapter.set(headKey, { id, seq: base.seq, hash });
+      if (base.sessionId) await this._anchorLedgerHead(base.sessionId, { id, seq: base.seq, hash });
       return base;
     },
 
+    // copy the chain head into the session document (see verifyChain); sessions already deleted have nothing to anchor
+    async _anchorLedgerHead(sessionId, head) {
+      let doc = this._inMemoryCache.get(sessionId);
+      if (!doc) {
+        try {
+          doc = await this._adapter.get(`session:${sessionId}`);
+        } catch (e) {
+          if (e.code === 'MCIF_LOCKED') return;
+          throw e;
+        }
+      }
+      if (!doc || !doc.session) return;
+      doc.session.ledgerHead = head;
+      await this._adapter.set(`session:${sessionId}`, doc);
+      if (this._inMemoryCache.has(sessionId)) this._inMemoryCache.set(sessionId, doc);
+    },
+
     /**
-     * computeAndPersistReport(sessionId, analysisEngine)
-     * - pulls session
-     * - calls analysisEngine.computeComposite (or computeComposite(scoredPhases))
-     * - persists finalReport and archetype into session document
-     * - appends ledger entry for COMPOSITE_COMPUTE
+     * recordManifestCheck(integrity, options)
+     * Ledger entry (global chain) for a weights manifest integrity check — see MCIFAnalysis.checkWeightsIntegrity.
+     * options: { source: where the manifest came from (e.g. 'schema/weights.json'), actor }
+     * The payload holds no personal data, so it is stored in full.
      */
-    async computeAndPersistReport(sessionId, analysisEngine, options = {}) {
-      if (!analysisEngine || typeof analysisEngine.computeComposite !== 'function') throw new Error('analysisEngine with computeComposite required');
-      const session = await this.getSession(sessionId);
-      if (!session) throw new Error('session not found');
+    async recordManifestCheck(integrity, options = {}) {
+      if (!integrity || typeof integrity.passed !== 'boolean') throw new Error('recordManifestCheck requires an integrity report');
+      const outcome = integrity.passed ? 'accepted' : (integrity.strict ? 'rejected' : 'accepted_with_warnings');
+      return this.appendLedgerEntry({
+        actor: options.actor || 'analysisEngine',
+        action: 'MANIFEST_CHECK',
+        sessionId: null,
+        payload: {
+          summary: `weights ${integrity.weightsVersion || '(unversioned)'}: ${outcome}` +
+            (integrity.failures.length ? ` (${integrity.failures.length} integrity failure${integrity.failures.length === 1 ? '' : 's'})` : ''),
+          source: options.source || null,
+          weightsVersion: integrity.weightsVersion,
+          strict: integrity.strict,
+          outcome,
+          checks: integrity.checks,
+          failures: integrity.failures
+        },
+        rationale: integrity.passed ? 'Weights manifest passed integrity checks' : 'Weights manifest failed integrity checks'
+      }, { storePersonalData: false, retainLedgerHashOnly: false });
+    },
+
+    // -------------------------
+    // Weight-set registry
+    // -------------------------
+    /**
+     * registerWeightSet(name, weights, options)
+     * Stores a weights manifest as `name@weights.version`. Re-registering identical content is a no-op;
+     * different content under an existing name@version is rejected (bump weights.version instead).
+     * When an analysis engine is available the manifest must pass checkWeightsIntegrity (strict mode rejects).
+     * options: { description, actor, analysisEngine }
+     * Returns the stored record { type, name, version, description, registeredAt, hash, weights }
+     */
+    async registerWeightSet(name, weights, options = {}) {
+      if (!WEIGHTSET_NAME.test(String(name || ''))) throw new Error('Invalid weight set name: ' + name);
+      if (!weights || typeof weights !== 'object') throw new Error('registerWeightSet requires a weights manifest object');
+      if (!WEIGHTSET_VERSION.test(String(weights.version || ''))) {
+        throw new Error(`Weight set ${name} needs a version (weights.version) made of letters, digits and . _ - +`);
+      }
+      const analysisEngine = options.analysisEngine || this._analysisEngine;
+      if (analysisEngine && typeof analysisEngine.checkWeightsIntegrity === 'function') {
+        const integrity = analysisEngine.checkWeightsIntegrity(weights);
+        if (!integrity.passed) await this.recordManifestCheck(integrity, { source: `weightset:${name}` });
+        if (integrity.strict && !integrity.passed) {
+          throw new Error(`Weight set ${name}@${weights.version} failed integrity checks: ` +
+            integrity.failures.map(f => `${f.path}: ${f.message}`).join('; '));
+        }
+      }
+
+      const key = `${WEIGHTSET_PREFIX}${name}@${weights.version}`;
+      const hash = await hashPayload(weights);
+      const existing = await this._adapter.get(key);
+      if (existing) {
+        if (existing.hash === hash) return deepClone(existing);
+        throw new Error(`Weight set ${name}@${weights.version} is already registered with different content — bump weights.version`);
+      }
+      const record = {
+        type: 'weightSet',
+        name,
+        version: weights.version,
+        description: options.description || weights.description || '',
+        registeredAt: now(),
+        hash,
+        weights: deepClone(weights)
+      };
+      if (this._validator) {
+        const v = await this._validator(record, 'WeightSetRecord').catch(e => ({ valid: false, errors: [e] }));
+        if (!v || !v.valid) throw new Error('Weight set validation failed: ' + JSON.stringify(v && v.errors ? v.errors : v));
+      }
+      await this._adapter.set(key, record);
+      await this.appendLedgerEntry({
+        actor: options.actor || 'dataLayer',
+        action: 'WEIGHTSET_REGISTER',
+        sessionId: null,
+        payload: { summary: `weight set ${name}@${record.version} registered`, name, version: record.version, hash },
+        rationale: 'Weight set added to the registry'
+      }, { storePersonalData: false, retainLedgerHashOnly: false });
+      return deepClone(record);
+    },
+
+    /**
+     * getWeightSet(ref)
+     * ref: 'name@version', or 'name' for the most recently registered version. Returns the record or null.
+     */
+    async getWeightSet(ref) {
+      const { name, version } = parseWeightSetRef(ref);
+      if (!WEIGHTSET_NAME.test(String(name || ''))) return null;
+      if (version) return deepClone(await this._adapter.get(`${WEIGHTSET_PREFIX}${name}@${version}`));
+      const keys = await this._adapter.listKeys(`${WEIGHTSET_PREFIX}${name}@`);
+      let latest = null;
+      for (const k of keys) {
+        const rec = await this._adapter.get(k);
+        if (rec && (!latest || rec.registeredAt > latest.registeredAt)) latest = rec;
+      }
+      return deepClone(latest);
+    },
+
+    /**
+     * listWeightSets()
+     * Summaries (without the manifests) ordered by name, newest version first.
+     */
+    async listWeightSets() {
+      const keys = await this._adapter.listKeys(WEIGHTSET_PREFIX);
+      const out = [];
+      for (const k of keys) {
+        const rec = await this._adapter.get(k);
+        if (rec) out.push({ name: rec.name, version: rec.version, description: rec.description, registeredAt: rec.registeredAt, hash: rec.hash });
+      }
+      return out.sort((a, b) => a.name.localeCompare(b.name) || b.registeredAt - a.registeredAt);
+    },
 
-      // assemble scoredPhases array: for each phaseProgress, take response.analysis if present, else call analysisEngine.scoreResponse for each response.
+    /**
+     * _resolveSessionWeights(session)
+     * Weights manifest the session was created under; falls back to init opts.weights (undefined lets the
+     * engine use its active manifest).
+     */
+    async _resolveSessionWeights(session) {
+      const ref = session && session.session && session.session.config && session.session.config.weightSet;
+      const record = ref ? await this.getWeightSet(ref) : null;
+      if (record) return record.weights;
+      if (ref && ref.includes('@')) throw new Error(`Weight set ${ref} used by session ${session.session.id} is not registered`);
+      return (this._opts && this._opts.weights) || undefined;
+    },
+
+    /**
+     * listLedgerEntries(sessionId)
+     * Returns the session's ledger entries ordered by chain position.
+     */
+    async listLedgerEntries(sessionId) {
+      const keys = await this._adapter.listKeys('ledger:');
+      const out = [];
+      for (const k of keys) {
+        const v = await this._adapter.get(k);
+        if (v && (v.sessionId || null) === (sessionId || null)) out.push(v);
+      }
+      return out.sort((a, b) => ((a.seq ?? Infinity) - (b.seq ?? Infinity)) || (a.timestamp - b.timestamp));
+    },
+
+    /**
+     * verifyLedger(sessionId)
+     * Walks the session's hash chain and reports tampering, cross-checking the head against the copy in the session
+     * document (skipped while encrypted storage is locked, and for the global chain).
+     * Returns { sessionId, valid, count, headHash, legacy, issues: [{ type, entryId, seq, expected, actual }] } (see verifyChain)
+     */
+    async verifyLedger(sessionId) {
+      const entries = await this.listLedgerEntries(sessionId);
+      const head = await this._adapter.get(`ledgerHead:${chainKey(sessionId)}`);
+      let anchor = null;
+      if (sessionId) {
+        try {
+          const doc = await this._adapter.get(`session:${sessionId}`);
+          anchor = (doc && doc.session && doc.session.ledgerHead) || null;
+        } catch (e) {
+          if (e.code !== 'MCIF_LOCKED') throw e;
+        }
+      }
+      const result = await verifyChain(entries, head, anchor);
+      return Object.assign({ sessionId: sessionId || null }, result);
+    },
+
+    /**
+     * _scorePhases(session, analysisEngine, options)
+     * Assemble the scoredPhases array for computeComposite: for each phaseProgress, take response.analysis
+     * if present (unless options.rescore), else call analysisEngine.scoreResponse for each response.
+     * Scored responses get their analysis attached in place (session is the caller's copy).
+     * options: { rescore: boolean, weightSet: Object }
+     */
+    async _scorePhases(session, analysisEngine, options = {}) {
       const scoredPhases = [];
+      // every response in the session; the engine keeps only earlier phases for cross-phase coherence
+      const sessionResponses = (session.session.phaseProgress || []).reduce((acc, pp) => acc.concat(
+        (pp.responses || []).map(r => ({
+          id: r.id, phaseId: pp.phaseId, promptId: r.promptId, text: r.text, embeddings: r.embeddings, embeddingModel: r.embeddingModel
+        }))
+      ), []);
       for (const pp of (session.session.phaseProgress || [])) {
         const responses = pp.responses || [];
         const phaseScored = {
@@ -585,22 +2061,28 @@
           timestamps: { startedAt: pp.startedAt, completedAt: pp.completedAt }
         };
         for (const r of responses) {
-          let analysisResult = r.analysis;
+          let analysisResult = options.rescore ? null : r.analysis;
           if (!analysisResult) {
             // try to score via analysisEngine
             try {
-              // fetch phaseDef from prompts if possible for richer scoring
+              // phase definitions come from the engine's weights manifest (weights.json phases)
               let phaseDef = null;
               try {
-                if (analysisEngine._prompts && Array.isArray(analysisEngine._prompts.prompts)) {
-                  phaseDef = analysisEngine._prompts.prompts.find(p => p.phaseId === pp.phaseId || p.id === r.promptId);
+                if (typeof analysisEngine.getPhaseDefinition === 'function') {
+                  phaseDef = analysisEngine.getPhaseDefinition(pp.phaseId);
                 }
               } catch (e) { phaseDef = null; }
               if (!phaseDef) {
                 // fallback minimal phaseDef
                 phaseDef = { id: pp.phaseId, metrics: Object.keys(r.analysis && r.analysis.rawMetrics || {}).map(k => ({ id: k, name: k })) };
               }
-              analysisResult = await analysisEngine.scoreResponse(r, phaseDef, { weightSet: (session.session.config && session.session.config.weightSet) || undefined });
+              const sessionConfig = session.session.config || {};
+              // an explicit weight set scores against its own phase definitions (engine resolves the phase id)
+              analysisResult = await analysisEngine.scoreResponse(r, options.weightSet ? pp.phaseId : phaseDef, {
+                weightSet: options.weightSet || undefined,
+                locale: sessionConfig.locale,
+                previousResponses: sessionResponses
+              });
               // attach to response and persist
               r.analysis = analysisResult;
               // persist updated response into session
@@ -639,8 +2121,28 @@
         scoredPhases.push(phaseScored);
       } // phaseProgress loop
 
+      return scoredPhases;
+    },
+
+    /**
+     * computeAndPersistReport(sessionId, analysisEngine)
+     * - pulls session
+     * - calls analysisEngine.computeComposite (or computeComposite(scoredPhases))
+     * - persists finalReport and archetype into session document
+     * - appends ledger entry for COMPOSITE_COMPUTE
+     * options.rescore: ignore analyses stored with the responses and score every response again
+     * (a server scoring authoritatively does not trust analyses computed by clients)
+     */
+    async computeAndPersistReport(sessionId, analysisEngine, options = {}) {
+      if (!analysisEngine || typeof analysisEngine.computeComposite !== 'function') throw new Error('analysisEngine with computeComposite required');
+      const session = await this.getSession(sessionId);
+      if (!session) throw new Error('session not found');
+
+      const weights = await this._resolveSessionWeights(session);
+      const scoredPhases = await this._scorePhases(session, analysisEngine, { rescore: !!options.rescore, weightSet: weights });
+
       // call analysisEngine.computeComposite
-      const finalReport = await analysisEngine.computeComposite(scoredPhases, { weightSet: (this._opts && this._opts.weights) || undefined });
+      const finalReport = await analysisEngine.computeComposite(scoredPhases, { weightSet: weights });
       // persist finalReport
       session.session.finalReport = finalReport;
       session.session.archetype = finalReport.archetype || null;
@@ -669,6 +2171,83 @@
       return { finalReport, ledgerEntry };
     },
 
+    /**
+     * rescoreSession(sessionId, options)
+     * Re-runs every stored response through the analysis engine (ignoring stored analysis), computes a
+     * fresh composite and diffs it against the persisted finalReport (see diffReports).
+     * - options.weights: weights manifest to score under (default: the session's weight set); checked with
+     *   analysisEngine.checkWeightsIntegrity — a strict failure is recorded (MANIFEST_CHECK) and rejected
+     * - options.analysisEngine: engine to use (default: injected via init/injectAnalysisEngine)
+     * - options.persist: store the re-scored analyses and report on the session (default false)
+     * Always appends a RESCORE ledger entry.
+     * Returns { diff, finalReport, ledgerEntry, persisted, integrity }
+     */
+    async rescoreSession(sessionId, options = {}) {
+      const analysisEngine = options.analysisEngine || this._analysisEngine;
+      if (!analysisEngine || typeof analysisEngine.computeComposite !== 'function') {
+        throw new Error('rescoreSession requires an analysisEngine (pass options.analysisEngine or call injectAnalysisEngine)');
+      }
+      const session = await this.getSession(sessionId);
+      if (!session) throw new Error('session not found');
+      let integrity = null;
+      if (options.weights && typeof analysisEngine.checkWeightsIntegrity === 'function') {
+        integrity = analysisEngine.checkWeightsIntegrity(options.weights);
+        if (integrity.strict && !integrity.passed) {
+          await this.recordManifestCheck(integrity, { source: 'rescoreSession' });
+          throw new Error(`weights ${integrity.weightsVersion || '(unversioned)'} failed integrity checks: ` +
+            integrity.failures.map(f => `${f.path}: ${f.message}`).join('; '));
+        }
+      }
+      const previous = session.session.finalReport || null;
+      const phaseScores = phases => phases.reduce((acc, sp) => {
+        const v = sp.subScores ? sp.subScores[sp.phaseId] : undefined;
+        if (typeof v === 'number') acc[sp.phaseId] = v;
+        return acc;
+      }, {});
+
+      const sessionWeights = await this._resolveSessionWeights(session);
+      const weights = options.weights || sessionWeights;
+      const storedPhases = previous ? await this._scorePhases(deepClone(session), analysisEngine, { weightSet: sessionWeights }) : [];
+      const scoredPhases = await this._scorePhases(session, analysisEngine, { rescore: true, weightSet: weights });
+      const finalReport = await analysisEngine.computeComposite(scoredPhases, { weightSet: weights });
+      const diff = diffReports(previous, finalReport, phaseScores(storedPhases), phaseScores(scoredPhases));
+
+      const persisted = !!options.persist;
+      if (persisted) {
+        // _scorePhases attached the fresh analyses to the session's responses
+        session.session.finalReport = finalReport;
+        session.session.archetype = finalReport.archetype || null;
+        session.session.updatedAt = now();
+        await this._adapter.set(`session:${sessionId}`, session);
+        this._inMemoryCache.set(sessionId, session);
+      }
+
+      const ledgerEntry = await this.appendLedgerEntry({
+        actor: 'analysisEngine',
+        action: 'RESCORE',
+        sessionId,
+        payload: {
+          from: diff.from ? { algorithmVersion: diff.from.algorithmVersion, weightsVersion: diff.from.weightsVersion } : null,
+          to: { algorithmVersion: diff.to.algorithmVersion, weightsVersion: diff.to.weightsVersion },
+          compositeDelta: diff.compositeDelta,
+          tierChange: diff.tierChange,
+          archetypeChange: diff.archetypeChange,
+          changed: diff.changed,
+          integrity: integrity ? { passed: integrity.passed, failures: integrity.failures.length } : null,
+          persisted
+        },
+        rationale: persisted ? 'Session re-scored and report replaced' : 'Session re-scored for comparison (stored report unchanged)'
+      }, session.session.config.privacy);
+
+      if (persisted && session.session.config.privacy && session.session.config.privacy.retainLedgerHashOnly) {
+        session.session.auditHashes = session.session.auditHashes || [];
+        session.session.auditHashes.push(ledgerEntry.hash);
+        await this._adapter.set(`session:${sessionId}`, session);
+      }
+
+      return { diff, finalReport, ledgerEntry, persisted, integrity };
+    },
+
     /**
      * exportSessionAsJSON(sessionId, options)
      * options: { includeLedger: bool (default false), anonymize: bool (default true) }
@@ -722,12 +2301,24 @@
      * Behavior: removes session data; ledger entries are retained by default as hashed pointers for audit unless removeLedgerEntries=true
      */
     async deleteSession(sessionId, options = { removeLedgerEntries: false }) {
-      const session = await this.getSession(sessionId);
-      if (!session) return { ok: false, reason: 'not_found' };
+      // raw read: a document that cannot be migrated, or is encrypted while storage is locked, must still be deletable
+      let exists = this._inMemoryCache.has(sessionId);
+      if (!exists) {
+        try {
+          exists = !!(await this._adapter.get(`session:${sessionId}`));
+        } catch (e) {
+          if (e.code !== 'MCIF_LOCKED') throw e;
+          exists = true;
+        }
+      }
+      if (!exists) return { ok: false, reason: 'not_found' };
 
-      // remove session object
+      // remove session object and any pre-migration backups
       await this._adapter.delete(`session:${sessionId}`);
       this._inMemoryCache.delete(sessionId);
+      for (const k of await this._adapter.listKeys()) {
+        if (k.startsWith(`${SESSION_BACKUP_PREFIX}${sessionId}@`)) await this._adapter.delete(k);
+      }
 
       if (options.removeLedgerEntries) {
         // attempt to delete ledger keys matching sessionId (best-effort)
@@ -738,6 +2329,7 @@
               await this._adapter.delete(k);
             }
           }
+          await this._adapter.delete(`ledgerHead:${chainKey(sessionId)}`);
         } catch (e) {
           // ignore
         }
@@ -0,0 +1,246 @@
+/**
+ * engine/embeddings.js
+ * MCIF 7.1 — Local Text Embeddings (offline, dependency-free)
+ *
+ * Responsibilities:
+ *  - define the embedding provider contract
+ *  - ship a default offline provider (signed feature hashing of word and character n-grams)
+ *  - embed texts for ResponseObject.embeddings and compare vectors (cosine similarity)
+ *
+ * Provider contract (any object with):
+ *   id: string                      — stable model id, e.g. 'hashed-ngram'
+ *   version: string                 — bump whenever vectors for the same text change
+ *   dimensions: number              — length of every returned vector
+ *   async embed(texts: string[], options?: { locale }) => number[][]
+ * Providers must run locally: no network access. A heavier model (e.g. ONNX/WASM) can be registered
+ * with registerProvider() and selected with setProvider(); vectors are tagged with modelTag() so
+ * vectors from different providers are never compared.
+ *
+ * Usage:
+ *  - In browser: <script src="engine/embeddings.js"></script> exposes MCIFEmbeddings
+ *  - In Node: const MCIFEmbeddings = require('./embeddings')
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.MCIFEmbeddings = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+  'use strict';
+
+  // -----------------------------
+  // Helpers
+  // -----------------------------
+
+  // 32-bit FNV-1a
+  function fnv1a(str, seed = 0x811c9dc5) {
+    let h = seed >>> 0;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193) >>> 0;
+    }
+    return h >>> 0;
+  }
+
+  function tokenize(text) {
+    return (String(text || '').toLowerCase().replace(/[‘’]/g, "'").match(/[\p{L}\p{N}']+/gu) || [])
+      .map(t => t.replace(/^'+|'+$/g, ''))
+      .filter(Boolean);
+  }
+
+  function l2normalize(vec) {
+    let sum = 0;
+    for (let i = 0; i < vec.length; i++) sum += vec[i] * vec[i];
+    const mag = Math.sqrt(sum);
+    if (!mag) return vec;
+    for (let i = 0; i < vec.length; i++) vec[i] = Number((vec[i] / mag).toFixed(5));
+    return vec;
+  }
+
+  /**
+   * Cosine similarity of two equal-length vectors in [-1, 1]; null when they cannot be compared.
+   */
+  function cosineSimilarity(a, b) {
+    if (!Array.isArray(a) || !Array.isArray(b) || a.length === 0 || a.length !== b.length) return null;
+    let dot = 0, ma = 0, mb = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      ma += a[i] * a[i];
+      mb += b[i] * b[i];
+    }
+    if (!ma || !mb) return 0;
+    return Math.max(-1, Math.min(1, dot / Math.sqrt(ma * mb)));
+  }
+
+  /**
+   * Semantic similarity in [0, 1] (negative cosine means unrelated and maps to 0).
+   */
+  function similarity(a, b) {
+    const cos = cosineSimilarity(a, b);
+    return cos === null ? null : Number(Math.max(0, cos).toFixed(4));
+  }
+
+  // -----------------------------
+  // Default provider: hashed n-grams
+  // -----------------------------
+
+  // Bundled vocabulary of high-frequency function words (en/es/de); down-weighted so shared
+  // grammar does not dominate similarity between unrelated answers.
+  const FUNCTION_WORDS = [
+    'the', 'a', 'an', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'for', 'with', 'by', 'from', 'as', 'is', 'are',
+    'was', 'were', 'be', 'been', 'it', 'its', "it's", 'this', 'that', 'these', 'those', 'i', 'me', 'my', 'we', 'our',
+    'you', 'your', 'they', 'them', 'their', 'he', 'she', 'his', 'her', 'not', 'no', 'so', 'if', 'then', 'than', 'do',
+    'does', 'did', 'have', 'has', 'had', 'what', 'which', 'who', 'when', 'how', 'can', 'will', 'would', 'could',
+    'el', 'la', 'los', 'las', 'un', 'una', 'y', 'o', 'pero', 'de', 'del', 'en', 'con', 'por', 'para', 'que', 'es',
+    'son', 'fue', 'lo', 'se', 'me', 'mi', 'yo', 'su', 'sus', 'al', 'como', 'más', 'muy',
+    'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'und', 'oder', 'aber', 'von', 'zu', 'im', 'mit',
+    'auf', 'für', 'ist', 'sind', 'war', 'ich', 'mich', 'mir', 'wir', 'es', 'sie', 'er', 'nicht', 'dass', 'auch', 'wie'
+  ];
+
+  /**
+   * Create the default offline provider.
+   * Features: word unigrams (1.0), word bigrams (0.5) and character trigrams of each word (0.35),
+   * sublinear term frequency, signed hashing into `dimensions` buckets, L2-normalized.
+   * @param {Object} [opts] { dimensions = 256, functionWords = FUNCTION_WORDS, functionWordWeight = 0.1 }
+   */
+  function createHashedNgramProvider(opts = {}) {
+    const dimensions = Math.max(16, Math.floor(Number(opts.dimensions) || 256));
+    const functionWords = new Set((opts.functionWords || FUNCTION_WORDS).map(w => String(w).toLowerCase()));
+    const functionWordWeight = opts.functionWordWeight !== undefined ? Number(opts.functionWordWeight) : 0.1;
+
+    function features(text) {
+      const counts = new Map(); // feature key -> { count, weight }
+      const add = (key, weight) => {
+        const f = counts.get(key);
+        if (f) f.count += 1;
+        else counts.set(key, { count: 1, weight });
+      };
+      const tokens = tokenize(text);
+      tokens.forEach((tok, i) => {
+        const wordWeight = functionWords.has(tok) ? functionWordWeight : 1;
+        add('w:' + tok, wordWeight);
+        if (i > 0) add('b:' + tokens[i - 1] + ' ' + tok, 0.5 * Math.max(wordWeight, functionWords.has(tokens[i - 1]) ? functionWordWeight : 1));
+        if (wordWeight === 1) {
+          const padded = '#' + tok + '#';
+          for (let j = 0; j + 3 <= padded.length; j++) add('c:' + padded.slice(j, j + 3), 0.35);
+        }
+      });
+      return counts;
+    }
+
+    function embedOne(text) {
+      const vec = new Array(dimensions).fill(0);
+      features(text).forEach(({ count, weight }, key) => {
+        const h = fnv1a(key);
+        const sign = (fnv1a(key, 0x9e3779b9) & 1) ? 1 : -1;
+        vec[h % dimensions] += sign * weight * (1 + Math.log(count));
+      });
+      return l2normalize(vec);
+    }
+
+    return {
+      id: 'hashed-ngram',
+      version: '1.0.0',
+      dimensions,
+      async embed(texts = []) {
+        return (Array.isArray(texts) ? texts : [texts]).map(t => embedOne(t));
+      }
+    };
+  }
+
+  // -----------------------------
+  // Provider registry
+  // -----------------------------
+  const providers = new Map();
+  let activeProviderId = null;
+
+  function assertProvider(provider) {
+    if (!provider || typeof provider !== 'object') throw new Error('Embedding provider must be an object');
+    if (typeof provider.id !== 'string' || !provider.id) throw new Error('Embedding provider requires a string id');
+    if (typeof provider.version !== 'string' || !provider.version) throw new Error(`Embedding provider "${provider.id}" requires a version`);
+    if (!Number.isInteger(provider.dimensions) || provider.dimensions <= 0) {
+      throw new Error(`Embedding provider "${provider.id}" requires integer dimensions`);
+    }
+    if (typeof provider.embed !== 'function') throw new Error(`Embedding provider "${provider.id}" requires embed(texts)`);
+  }
+
+  /**
+   * Register (or replace) a provider. The first registered provider becomes active.
+   * @param {Object} provider - see contract in the header
+   * @param {Object} [opts] { activate: boolean }
+   */
+  function registerProvider(provider, opts = {}) {
+    assertProvider(provider);
+    providers.set(provider.id, provider);
+    if (!activeProviderId || opts.activate) activeProviderId = provider.id;
+    return modelTag(provider);
+  }
+
+  function setProvider(id) {
+    if (!providers.has(id)) throw new Error(`Unknown embedding provider: ${id}`);
+    activeProviderId = id;
+    return modelTag(providers.get(id));
+  }
+
+  function getProvider() {
+    return providers.get(activeProviderId) || null;
+  }
+
+  function listProviders() {
+    return Array.from(providers.values()).map(p => ({ id: p.id, version: p.version, dimensions: p.dimensions, active: p.id === activeProviderId }));
+  }
+
+  /**
+   * Tag stored with vectors (ResponseObject.embeddingModel), e.g. 'hashed-ngram@1.0.0/256'.
+   */
+  function modelTag(provider = getProvider()) {
+    return provider ? `${provider.id}@${provider.version}/${provider.dimensions}` : null;
+  }
+
+  /**
+   * Embed one text with the active provider.
+   * @returns {Promise<{ vector: number[], model: string }>}
+   */
+  async function embed(text, options = {}) {
+    const provider = getProvider();
+    if (!provider) throw new Error('No embedding provider registered');
+    const [vector] = await provider.embed([String(text || '')], options);
+    if (!Array.isArray(vector) || vector.length !== provider.dimensions) {
+      throw new Error(`Embedding provider "${provider.id}" returned a vector of the wrong length`);
+    }
+    return { vector, model: modelTag(provider) };
+  }
+
+  /**
+   * Embed several texts in one provider call.
+   * @returns {Promise<{ vectors: number[][], model: string }>}
+   */
+  async function embedMany(texts = [], options = {}) {
+    const provider = getProvider();
+    if (!provider) throw new Error('No embedding provider registered');
+    const vectors = await provider.embed(texts.map(t => String(t || '')), options);
+    return { vectors, model: modelTag(provider) };
+  }
+
+  registerProvider(createHashedNgramProvider());
+
+  return {
+    registerProvider,
+    setProvider,
+    getProvider,
+    listProviders,
+    modelTag,
+    embed,
+    embedMany,
+    similarity,
+    cosineSimilarity,
+    createHashedNgramProvider,
+    _internals: {
+      fnv1a,
+      tokenize,
+      FUNCTION_WORDS
+    }
+  };
+});
@@ -0,0 +1,301 @@
+/**
+ * engine/validator.js
+ * MCIF 7.1 — Schema Validator (dependency-free, JSON Schema draft-07 subset)
+ *
+ * Responsibilities:
+ *  - load schema/mcif-schema.json (Node) or accept an injected schema (browser)
+ *  - resolve local "#/definitions/..." refs
+ *  - validate objects by definition name (SessionDocument, ResponseObject, LedgerEntry, AnalysisReport, ...)
+ *  - report errors with JSON-pointer paths into the validated object
+ *
+ * Supported keywords: $ref (local), type, enum, const, required, properties, additionalProperties,
+ * patternProperties, items (schema or tuple), additionalItems, minItems, maxItems, uniqueItems,
+ * minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf, minLength, maxLength, pattern,
+ * allOf, anyOf, oneOf, not. Annotation keywords (description, format, examples, ...) are ignored.
+ *
+ * The validator returned by createValidator() matches the DataLayer contract:
+ *   async validate(obj, definitionName) => { valid: bool, errors: [{ path, schemaPath, keyword, message }] }
+ *
+ * Usage:
+ *  - In browser: DataLayer.injectValidator(MCIFValidator.createValidator(schemaJson))
+ *  - In Node: DataLayer.init({ adapter: 'fs', validator: require('./validator').validate })
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    let schema = null;
+    try { schema = require('../schema/mcif-schema.json'); } catch (e) { /* inject via createValidator */ }
+    module.exports = factory(schema);
+  } else {
+    root.MCIFValidator = factory(null);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (defaultSchema) {
+  'use strict';
+
+  // -----------------------------
+  // Helpers
+  // -----------------------------
+
+  // RFC 6901 token escaping
+  function escapePointer(token) {
+    return String(token).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+  }
+
+  function deepEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== typeof b || a === null || b === null || typeof a !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const ka = Object.keys(a);
+    const kb = Object.keys(b);
+    if (ka.length !== kb.length) return false;
+    return ka.every(k => deepEqual(a[k], b[k]));
+  }
+
+  /**
+   * Resolve a local JSON pointer ref ("#/definitions/Foo") against the root schema.
+   */
+  function resolveRef(rootSchema, ref) {
+    if (typeof ref !== 'string' || ref.charAt(0) !== '#') {
+      throw new Error('Only local $ref values are supported: ' + ref);
+    }
+    const parts = ref.slice(1).split('/').filter(Boolean)
+      .map(p => decodeURIComponent(p).replace(/~1/g, '/').replace(/~0/g, '~'));
+    let node = rootSchema;
+    for (const p of parts) {
+      if (!node || typeof node !== 'object' || !(p in node)) throw new Error('Unresolvable $ref: ' + ref);
+      node = node[p];
+    }
+    return node;
+  }
+
+  // -----------------------------
+  // Core validation walk
+  // -----------------------------
+  // ctx: { root, errors }
+  // Returns true when valid; pushes errors into ctx.errors otherwise.
+  function validateNode(value, schema, path, schemaPath, ctx) {
+    if (schema === true || schema === undefined) return true;
+    if (schema === false) {
+      ctx.errors.push({ path: path || '/', schemaPath, keyword: 'false', message: 'no value is allowed here' });
+      return false;
+    }
+    const startErrors = ctx.errors.length;
+    const fail = (keyword, message) => ctx.errors.push({ path: path || '/', schemaPath: schemaPath + '/' + keyword, keyword, message });
+
+    // draft-07: $ref overrides sibling keywords
+    if (schema.$ref) {
+      return validateNode(value, resolveRef(ctx.root, schema.$ref), path, schema.$ref, ctx);
+    }
+
+    if (schema.type !== undefined) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(t => matchesType(value, t))) {
+        fail('type', `must be ${types.join(' or ')} (got ${typeOf(value)})`);
+        return false; // further checks are meaningless on the wrong type
+      }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(e => deepEqual(e, value))) {
+      fail('enum', `must be one of ${JSON.stringify(schema.enum)}`);
+    }
+    if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+      fail('const', `must equal ${JSON.stringify(schema.const)}`);
+    }
+
+    // numbers
+    if (typeof value === 'number') {
+      if (typeof schema.minimum === 'number' && value < schema.minimum) fail('minimum', `must be >= ${schema.minimum}`);
+      if (typeof schema.maximum === 'number' && value > schema.maximum) fail('maximum', `must be <= ${schema.maximum}`);
+      if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) fail('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+      if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) fail('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+      if (typeof schema.multipleOf === 'number' && schema.multipleOf > 0) {
+        const q = value / schema.multipleOf;
+        if (Math.abs(q - Math.round(q)) > 1e-9) fail('multipleOf', `must be a multiple of ${schema.multipleOf}`);
+      }
+    }
+
+    // strings
+    if (typeof value === 'string') {
+      const len = Array.from(value).length; // count code points, per spec
+      if (typeof schema.minLength === 'number' && len < schema.minLength) fail('minLength', `must have at least ${schema.minLength} characters`);
+      if (typeof schema.maxLength === 'number' && len > schema.maxLength) fail('maxLength', `must have at most ${schema.maxLength} characters`);
+      if (typeof schema.pattern === 'string' && !new RegExp(schema.pattern, 'u').test(value)) fail('pattern', `must match pattern ${schema.pattern}`);
+    }
+
+    // arrays
+    if (Array.isArray(value)) {
+      if (typeof schema.minItems === 'number' && value.length < schema.minItems) fail('minItems', `must have at least ${schema.minItems} items`);
+      if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) fail('maxItems', `must have at most ${schema.maxItems} items`);
+      if (schema.uniqueItems === true) {
+        for (let i = 0; i < value.length; i++) {
+          for (let j = i + 1; j < value.length; j++) {
+            if (deepEqual(value[i], value[j])) { fail('uniqueItems', `items ${i} and ${j} are identical`); i = value.length; break; }
+          }
+        }
+      }
+      if (Array.isArray(schema.items)) {
+        schema.items.forEach((s, i) => {
+          if (i < value.length) validateNode(value[i], s, `${path}/${i}`, `${schemaPath}/items/${i}`, ctx);
+        });
+        if (schema.additionalItems !== undefined) {
+          for (let i = schema.items.length; i < value.length; i++) {
+            validateNode(value[i], schema.additionalItems, `${path}/${i}`, `${schemaPath}/additionalItems`, ctx);
+          }
+        }
+      } else if (schema.items !== undefined) {
+        value.forEach((item, i) => validateNode(item, schema.items, `${path}/${i}`, `${schemaPath}/items`, ctx));
+      }
+    }
+
+    // objects
+    if (typeOf(value) === 'object') {
+      (schema.required || []).forEach(k => {
+        if (!Object.prototype.hasOwnProperty.call(value, k)) {
+          ctx.errors.push({ path: `${path}/${escapePointer(k)}`, schemaPath: schemaPath + '/required', keyword: 'required', message: `missing required property '${k}'` });
+        }
+      });
+      const props = schema.properties || {};
+      const patterns = Object.keys(schema.patternProperties || {}).map(p => ({ re: new RegExp(p, 'u'), src: p }));
+      Object.keys(value).forEach(k => {
+        const childPath = `${path}/${escapePointer(k)}`;
+        let matched = false;
+        if (Object.prototype.hasOwnProperty.call(props, k)) {
+          matched = true;
+          validateNode(value[k], props[k], childPath, `${schemaPath}/properties/${escapePointer(k)}`, ctx);
+        }
+        patterns.forEach(p => {
+          if (p.re.test(k)) {
+            matched = true;
+            validateNode(value[k], schema.patternProperties[p.src], childPath, `${schemaPath}/patternProperties/${escapePointer(p.src)}`, ctx);
+          }
+        });
+        if (!matched && schema.additionalProperties !== undefined) {
+          if (schema.additionalProperties === false) {
+            ctx.errors.push({ path: childPath, schemaPath: schemaPath + '/additionalProperties', keyword: 'additionalProperties', message: `unexpected property '${k}'` });
+          } else {
+            validateNode(value[k], schema.additionalProperties, childPath, `${schemaPath}/additionalProperties`, ctx);
+          }
+        }
+      });
+    }
+
+    // combinators — sub-errors are collected in a scratch context and only surfaced when useful
+    if (Array.isArray(schema.allOf)) {
+      schema.allOf.forEach((s, i) => validateNode(value, s, path, `${schemaPath}/allOf/${i}`, ctx));
+    }
+    if (Array.isArray(schema.anyOf)) {
+      const branchErrors = [];
+      const ok = schema.anyOf.some((s, i) => {
+        const sub = { root: ctx.root, errors: [] };
+        const v = validateNode(value, s, path, `${schemaPath}/anyOf/${i}`, sub);
+        branchErrors.push(...sub.errors);
+        return v;
+      });
+      if (!ok) {
+        fail('anyOf', 'must match at least one schema in anyOf');
+        ctx.errors.push(...branchErrors);
+      }
+    }
+    if (Array.isArray(schema.oneOf)) {
+      const branchErrors = [];
+      let passCount = 0;
+      schema.oneOf.forEach((s, i) => {
+        const sub = { root: ctx.root, errors: [] };
+        if (validateNode(value, s, path, `${schemaPath}/oneOf/${i}`, sub)) passCount++;
+        else branchErrors.push(...sub.errors);
+      });
+      if (passCount === 0) {
+        fail('oneOf', 'must match exactly one schema in oneOf (matched none)');
+        ctx.errors.push(...branchErrors);
+      } else if (passCount > 1) {
+        fail('oneOf', `must match exactly one schema in oneOf (matched ${passCount})`);
+      }
+    }
+    if (schema.not !== undefined) {
+      const sub = { root: ctx.root, errors: [] };
+      if (validateNode(value, schema.not, path, `${schemaPath}/not`, sub)) fail('not', 'must not match the schema in not');
+    }
+
+    return ctx.errors.length === startErrors;
+  }
+
+  // -----------------------------
+  // Public API
+  // -----------------------------
+
+  /**
+   * createValidator(schema)
+   * Returns async validate(obj, definitionName?) => { valid, errors }
+   * definitionName selects schema.definitions[definitionName]; omit it to validate against the root schema.
+   */
+  function createValidator(schema = defaultSchema) {
+    if (!schema || typeof schema !== 'object') throw new Error('createValidator requires a schema object');
+    const definitions = schema.definitions || {};
+
+    async function validate(obj, definitionName) {
+      return validateSync(obj, definitionName);
+    }
+
+    function validateSync(obj, definitionName) {
+      let target = schema;
+      let schemaPath = '#';
+      if (definitionName) {
+        if (!Object.prototype.hasOwnProperty.call(definitions, definitionName)) {
+          throw new Error('Unknown schema definition: ' + definitionName);
+        }
+        target = definitions[definitionName];
+        schemaPath = '#/definitions/' + escapePointer(definitionName);
+      }
+      const ctx = { root: schema, errors: [] };
+      validateNode(obj, target, '', schemaPath, ctx);
+      return { valid: ctx.errors.length === 0, errors: ctx.errors };
+    }
+
+    validate.sync = validateSync;
+    validate.definitions = Object.keys(definitions);
+    return validate;
+  }
+
+  let defaultValidator = defaultSchema ? createValidator(defaultSchema) : null;
+
+  /**
+   * Inject the schema (browser) or replace the default one.
+   * @param {Object} opts { schema: Object }
+   */
+  function init(opts = {}) {
+    if (opts.schema) defaultValidator = createValidator(opts.schema);
+    return !!defaultValidator;
+  }
+
+  /**
+   * Validate against the default (bundled or injected) schema.
+   */
+  async function validate(obj, definitionName) {
+    if (!defaultValidator) throw new Error('No schema loaded — call MCIFValidator.init({ schema }) first');
+    return defaultValidator(obj, definitionName);
+  }
+
+  return {
+    init,
+    createValidator,
+    validate,
+    _internals: {
+      resolveRef,
+      typeOf,
+      deepEqual
+    }
+  };
+});
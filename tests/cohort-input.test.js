@@ -0,0 +1,106 @@
+/**
+ * tests/cohort-input.test.js
+ * mcif --cohort input: CSV quoting, line endings and embedded newlines, participants with missing phases,
+ * and NDJSON errors that name the offending line.
+ * Run: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { parseCSV, scoreCohort } = require('../bin/mcif.js');
+const MCIFAnalysis = require('../engine/analysis.js');
+const weights = require('../schema/weights.json');
+const prompts = require('../schema/prompts.json');
+
+const ctx = { weights, prompts, locale: 'en' };
+let dir;
+
+test.before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcif-cohort-'));
+  MCIFAnalysis.init({ weights, prompts });
+});
+
+test.after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function cohortFile(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+// scoreCohort reports per-participant problems on stderr
+async function withStderr(fn) {
+  const lines = [];
+  const write = process.stderr.write;
+  process.stderr.write = chunk => { lines.push(String(chunk)); return true; };
+  try {
+    return { result: await fn(), stderr: lines.join('') };
+  } finally {
+    process.stderr.write = write;
+  }
+}
+
+test('parseCSV handles quoted commas, doubled quotes, CRLF and line breaks inside quotes', () => {
+  const text = '\uFEFFparticipant_id,phase,text\r\n' +
+    'p1,1,"Light, warm and calm"\r\n' +
+    '\r\n' +
+    'p1,2,"She said ""because"",\r\nthen paused"\r\n' +
+    'p2,3,"first line\nsecond line"\n' +
+    'p2,4,plain';
+  assert.deepEqual(parseCSV(text), [
+    ['participant_id', 'phase', 'text'],
+    ['p1', '1', 'Light, warm and calm'],
+    ['p1', '2', 'She said "because",\r\nthen paused'],
+    ['p2', '3', 'first line\nsecond line'],
+    ['p2', '4', 'plain']
+  ]);
+  assert.throws(() => parseCSV('a,b\r\n1,"open'), /Unterminated quoted field/);
+});
+
+test('a CRLF cohort CSV scores each participant once, leaving unanswered phases empty', async () => {
+  const file = cohortFile('pilot.csv', [
+    'participant_id,phase,text',
+    'p1,1,"I noticed the warm light on the window, and felt calm."',
+    'p2,2,"If the cause is pressure, then the effect is stress;\r\ntherefore I map the system as a loop."',
+    'p1,2,"Each step depends on the previous one, because causes chain."',
+    'p2,9,out of range',
+    ''
+  ].join('\r\n'));
+  const { result: rows, stderr } = await withStderr(() => scoreCohort(file, ctx));
+
+  assert.deepEqual(rows.map(r => [r.participantId, r.responses, r.phases]), [['p1', 2, 2], ['p2', 1, 1]]);
+  const [p1, p2] = rows;
+  assert.equal(p1.error, null);
+  assert.equal(typeof p1.compositeScore, 'number');
+  assert.equal(typeof p1.phase1_subScore, 'number');
+  assert.equal(typeof p1.phase2_subScore, 'number');
+  [3, 4, 5, 6].forEach(p => assert.equal(p1[`phase${p}_subScore`], undefined, `phase ${p}`));
+  assert.match(stderr, /participant p1 has no answer for phase 3, 4, 5, 6/);
+
+  // the quoted line break stays inside p2's answer: rows count records, so the bad phase is row 5
+  assert.equal(p2.error, 'pilot.csv row 5: phase must be 1-6 (got 9)');
+  assert.equal(p2.compositeScore, undefined);
+  assert.match(stderr, /participant p2: pilot\.csv row 5/);
+});
+
+test('NDJSON errors name the line, counting blank lines', async () => {
+  const good = JSON.stringify({ participantId: 'p1', phaseId: 1, text: 'The light felt calm.' });
+  const file = cohortFile('pilot.ndjson', `${good}\r\n\r\n{"participantId": "p2", "phaseId": 2,\r\n${good}\r\n`);
+  await assert.rejects(scoreCohort(file, ctx), /pilot\.ndjson:3: invalid JSON/);
+
+  const missingText = cohortFile('missing.jsonl', `${good}\n${JSON.stringify({ participant_id: 'p2', phase: 2 })}\n`);
+  await assert.rejects(scoreCohort(missingText, ctx), /missing\.jsonl:2: missing text/);
+
+  const valid = cohortFile('valid.ndjson', `${good}\r\n\r\n${JSON.stringify({ participant_id: 'p2', prompt_id: prompts.prompts.find(p => p.phaseId === 3).id, text: 'A river of lanterns.' })}\r\n`);
+  const { result: rows } = await withStderr(() => scoreCohort(valid, ctx));
+  assert.deepEqual(rows.map(r => [r.participantId, r.phases, r.error]), [['p1', 1, null], ['p2', 1, null]]);
+  assert.equal(typeof rows[1].phase3_subScore, 'number');
+});
@@ -0,0 +1,131 @@
+/**
+ * tests/counterfactuals.test.js
+ * "What would change my result": every proposed change names a reachable lever; tiers out of reach are flagged instead.
+ * Run: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MCIFAnalysis = require('../engine/analysis.js');
+const weights = require('../schema/weights.json');
+const prompts = require('../schema/prompts.json');
+const schema = require('../schema/mcif-schema.json');
+const MCIFValidator = require('../engine/validator.js');
+
+const { domainMetricLevers, domainReach, nextTierTarget, computeCompositeFromDomainContributions } = MCIFAnalysis._internals;
+
+const ANSWERS = {
+  1: 'I noticed the warm light on the window and felt calm, a small detail that made me think about how attention shapes feeling.',
+  2: 'If the cause is pressure then the effect is stress, because each step depends on the previous one; therefore I map the system as a loop.',
+  3: 'My mind is a river of lanterns, each idea a spark that branches into strange new symbols and unexpected connections.',
+  4: 'I understand why my friend felt hurt, because I ignored her; I can tolerate not knowing exactly how she feels, and I care.',
+  5: 'I notice that I think in loops; when I reflect on my reasoning I check whether my assumptions still hold, and I revise them.',
+  6: 'Meaning comes from integrating care, beauty and honesty; I want my choices to be consistent with values that transform me.'
+};
+
+async function scoredSession() {
+  MCIFAnalysis.init({ weights, prompts });
+  const phases = [];
+  const previous = [];
+  for (let phaseId = 1; phaseId <= 6; phaseId++) {
+    const prompt = prompts.prompts.find(p => p.phaseId === phaseId);
+    const response = { id: `r${phaseId}`, sessionId: 's_test', phaseId, promptId: prompt.id, text: ANSWERS[phaseId], timestamps: { startedAt: 0, endedAt: 1 } };
+    const analysis = await MCIFAnalysis.scoreResponse(response, phaseId, { previousResponses: previous });
+    previous.push({ id: response.id, phaseId, promptId: prompt.id, text: response.text });
+    phases.push({
+      phaseId,
+      domainContributions: analysis.domainContributions,
+      subScores: analysis.subScores,
+      probabilities: analysis.probabilities,
+      responses: [{ id: response.id, text: response.text, analysis }],
+      timestamps: {}
+    });
+  }
+  return phases;
+}
+
+function contributionsAt(value) {
+  const contributions = {};
+  Object.keys(weights.domains).forEach(d => { contributions[d] = value; });
+  return contributions;
+}
+
+// phase 1 (perception + emotion) alone, its submetrics at known values
+function singlePhase(current) {
+  return [{
+    phaseId: 1,
+    domainContributions: { perception: 0.25, emotion: 0.25 },
+    responses: [{ analysis: { rawMetrics: current } }]
+  }];
+}
+
+test('a small change is covered by a single submetric', () => {
+  const levers = domainMetricLevers('perception', 0.02, singlePhase({ detail: 0.5, sensoryEmotionLink: 0.5, conceptDepth: 0.5 }), weights);
+  assert.ok(levers.length > 0);
+  assert.ok(!levers[0].spread);
+  assert.equal(levers[0].metricId, 'detail');
+  assert.ok(levers[0].required > 0.5 && levers[0].required <= 1);
+});
+
+test('a change no single submetric covers is spread over the phase', () => {
+  const levers = domainMetricLevers('perception', 0.2, singlePhase({ detail: 0.5, sensoryEmotionLink: 0.5, conceptDepth: 0.5 }), weights);
+  assert.equal(levers.length, 3);
+  levers.forEach(l => {
+    assert.equal(l.spread, true);
+    assert.ok(l.required >= l.current && l.required <= 1, `${l.metricId} ${l.required}`);
+  });
+});
+
+test('a change beyond every submetric at its maximum has no lever', () => {
+  const phases = singlePhase({ detail: 0.5, sensoryEmotionLink: 0.5, conceptDepth: 0.5 });
+  assert.deepEqual(domainMetricLevers('perception', 0.4, phases, weights), []);
+  const reach = domainReach('perception', 0.25, phases, weights);
+  assert.equal(reach.floor, 0);
+  assert.equal(reach.ceiling, 0.5);
+});
+
+test('report counterfactuals stay within reach and name a lever', async () => {
+  const phases = await scoredSession();
+  const report = await MCIFAnalysis.computeComposite(phases, {});
+  assert.ok(report.counterfactuals.length > 0);
+  report.counterfactuals.forEach(cf => {
+    assert.ok(cf.changes.length > 0, cf.statement);
+    cf.changes.forEach(change => {
+      const reach = domainReach(change.domain, report.domainScores[change.domain] / 100, phases, weights);
+      assert.ok(change.requiredScore <= reach.ceiling * 100 + 0.01, `${change.domain} ${change.requiredScore} > ${reach.ceiling * 100}`);
+      assert.ok(change.requiredScore >= reach.floor * 100 - 0.01, `${change.domain} ${change.requiredScore} < ${reach.floor * 100}`);
+    });
+    const levers = cf.changes[0].metrics;
+    assert.ok(levers.length > 0, cf.statement);
+    levers.forEach(l => assert.ok(l.required !== null && l.required >= 0 && l.required <= 1, cf.statement));
+  });
+  const v = await MCIFValidator.createValidator(schema)(report, 'AnalysisReport');
+  assert.deepEqual(v.errors.filter(e => e.path.startsWith('/counterfactuals')), []);
+});
+
+test('the tier target skips bands of the current tier', () => {
+  // seed band: growth above it is still Explorer, so the target is the first Architect band
+  const seed = computeCompositeFromDomainContributions(contributionsAt(0.2), weights);
+  assert.equal(seed.tierModulation.tierBand, 'seed');
+  const next = nextTierTarget(seed, weights);
+  assert.equal(next.tier, 'Architect');
+  assert.equal(next.band, 'refinement');
+  assert.notEqual(next.tier, seed.tier);
+  assert.equal(next.composite, weights.tier_modulation[next.band].range[0]);
+});
+
+test('a tier above the composite ceiling gets a warning, not a counterfactual', async () => {
+  const phases = await scoredSession();
+  const report = await MCIFAnalysis.computeComposite(phases, {});
+  const ceiling = report.generatedBy.compositeCeiling;
+  assert.ok(ceiling.compositeScore >= report.compositeScore && ceiling.compositeScore < 700);
+  const next = nextTierTarget({ tier: report.tier, tierModulation: report.generatedBy.tierModulation, compositeScore: report.compositeScore }, weights);
+  // averaging over all six phases caps the composite far below Architect whatever the answers
+  assert.ok(ceiling.compositeScore < next.composite, `${ceiling.compositeScore} >= ${next.composite}`);
+  assert.equal(report.counterfactuals.filter(cf => cf.kind === 'tier').length, 0);
+  assert.equal(report.generatedBy.warnings.length, 1);
+  assert.match(report.generatedBy.warnings[0], /^composite_scale: /);
+});
@@ -0,0 +1,54 @@
+/**
+ * tests/embeddings.test.js
+ * One embedding path: embedResponse fills a response once, saveResponse keeps the vector it already has.
+ * Run: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MCIFData = require('../engine/data.js');
+const MCIFEmbeddings = require('../engine/embeddings.js');
+const { memoryAdapter } = require('./helpers.js');
+
+function countingEmbeddings(fail = false) {
+  return {
+    calls: 0,
+    async embed(text) {
+      this.calls++;
+      if (fail) throw new Error('model unavailable');
+      return MCIFEmbeddings.embed(text);
+    }
+  };
+}
+
+function response(sessionId) {
+  return { id: 'r_1', sessionId, phaseId: 1, promptId: 'p_perception_001', text: 'The light on the window felt calm.', timestamps: { startedAt: 0, endedAt: 1 } };
+}
+
+test('a response embedded before analysis is not embedded again on save', async () => {
+  const embeddings = countingEmbeddings();
+  await MCIFData.init({ adapter: memoryAdapter(), embeddings, migrate: false });
+  const id = (await MCIFData.createSession({})).session.id;
+
+  const r = await MCIFData.embedResponse(response(id));
+  assert.ok(Array.isArray(r.embeddings) && r.embeddings.length > 0);
+  assert.equal(typeof r.embeddingModel, 'string');
+  await MCIFData.saveResponse(id, r);
+  assert.equal(embeddings.calls, 1);
+
+  const stored = (await MCIFData.getSession(id)).session.phaseProgress[0].responses[0];
+  assert.deepEqual(stored.embeddings, r.embeddings);
+});
+
+test('an embedding failure leaves the response without a vector and does not block saving', async () => {
+  await MCIFData.init({ adapter: memoryAdapter(), embeddings: countingEmbeddings(true), migrate: false });
+  const id = (await MCIFData.createSession({})).session.id;
+
+  const r = await MCIFData.embedResponse(response(id));
+  assert.equal(r.embeddings, undefined);
+  await MCIFData.saveResponse(id, r);
+  assert.equal((await MCIFData.getSession(id)).session.phaseProgress[0].responses.length, 1);
+});
@@ -0,0 +1,84 @@
+/**
+ * tests/encrypted-adapter.test.js
+ * Encrypted-at-rest wrapper: a wrong passphrase never unlocks, and stored values survive key rotation.
+ * Run: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MCIFData = require('../engine/data.js');
+const { memoryAdapter } = require('./helpers.js');
+
+const PASSPHRASE = 'correct horse battery staple';
+// low PBKDF2 cost keeps the tests fast; the default is for real storage
+const OPTIONS = { iterations: 1000 };
+
+// a fresh wrapper over the same inner store, as after a restart
+async function reopen(inner) {
+  const adapter = MCIFData.createEncryptedAdapter(inner, OPTIONS);
+  await adapter.init();
+  return adapter;
+}
+
+test('a wrong passphrase is rejected and the store stays locked', async () => {
+  const inner = memoryAdapter();
+  let adapter = await reopen(inner);
+  await adapter.unlock(PASSPHRASE);
+  await adapter.set('session:s_1', { secret: 'plain words' });
+  assert.equal(JSON.stringify(await inner.get('session:s_1')).includes('plain words'), false);
+
+  adapter = await reopen(inner);
+  await assert.rejects(adapter.unlock('not the passphrase'), /Wrong passphrase/);
+  assert.equal(adapter.isLocked(), true);
+  await assert.rejects(adapter.get('session:s_1'), err => err.code === 'MCIF_LOCKED');
+  await assert.rejects(adapter.changePassphrase('not the passphrase', 'new'), /Wrong passphrase/);
+
+  await adapter.unlock(PASSPHRASE);
+  assert.deepEqual(await adapter.get('session:s_1'), { secret: 'plain words' });
+});
+
+test('values stay readable after key rotation and a restart', async () => {
+  const inner = memoryAdapter();
+  await inner.set('session:s_old', { written: 'before encryption' });
+  let adapter = await reopen(inner);
+  await adapter.unlock(PASSPHRASE);
+  await adapter.set('session:s_1', { n: 1 });
+  await adapter.set('response:r_1', { n: 2 });
+  const oldKeyId = (await inner.get('session:s_1')).keyId;
+
+  await assert.rejects(adapter.rotateKey('not the passphrase'), /Wrong passphrase/);
+  const result = await adapter.rotateKey(PASSPHRASE);
+  assert.equal(result.reencrypted, 3);
+  assert.deepEqual(result.retiredKeys, [oldKeyId]);
+
+  for (const key of ['session:s_old', 'session:s_1', 'response:r_1']) {
+    assert.equal((await inner.get(key)).keyId, result.keyId, key);
+  }
+  assert.deepEqual((await inner.get('encryption:keyring')).keys.map(k => k.id), [result.keyId]);
+
+  adapter = await reopen(inner);
+  await adapter.unlock(PASSPHRASE);
+  assert.deepEqual(await adapter.get('session:s_old'), { written: 'before encryption' });
+  assert.deepEqual(await adapter.get('session:s_1'), { n: 1 });
+  assert.deepEqual(await adapter.get('response:r_1'), { n: 2 });
+});
+
+test('rotateStorageKey keeps sessions readable and records the rotation on the ledger', async () => {
+  const inner = memoryAdapter();
+  await MCIFData.init({ adapter: 'encrypted', adapterOptions: Object.assign({ inner, passphrase: PASSPHRASE }, OPTIONS), migrate: false });
+  const id = (await MCIFData.createSession({})).session.id;
+
+  const result = await MCIFData.rotateStorageKey(PASSPHRASE);
+  MCIFData.lockStorage();
+  await assert.rejects(MCIFData.unlockStorage('not the passphrase'), /Wrong passphrase/);
+  await MCIFData.unlockStorage(PASSPHRASE);
+  assert.equal((await MCIFData.getSession(id)).session.id, id);
+
+  const rotations = (await MCIFData.listLedgerEntries(null)).filter(e => e.action === 'ENCRYPTION_KEY_ROTATE');
+  assert.equal(rotations.length, 1);
+  assert.equal(rotations[0].payload.keyId, result.keyId);
+  assert.equal((await MCIFData.verifyLedger(null)).valid, true);
+});
@@ -0,0 +1,28 @@
+/**
+ * tests/helpers.js
+ * Fixtures shared by the Node tests (not a test file itself).
+ */
+
+'use strict';
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * In-memory storage adapter (DataLayer adapter interface). Values are stored as copies;
+ * `writes` counts set and delete calls.
+ */
+function memoryAdapter() {
+  const items = new Map();
+  return {
+    name: 'memory',
+    writes: 0,
+    async init() { return true; },
+    async get(key) { return items.has(key) ? clone(items.get(key)) : null; },
+    async set(key, value) { this.writes++; items.set(key, clone(value)); return true; },
+    async delete(key) { this.writes++; items.delete(key); return true; },
+    async listKeys(prefix = '') { return [...items.keys()].filter(k => k.startsWith(prefix)); },
+    async exportAll() { return Object.fromEntries([...items].map(([k, v]) => [k, clone(v)])); }
+  };
+}
+
+module.exports = { memoryAdapter };
@@ -0,0 +1,114 @@
+/**
+ * tests/ledger.test.js
+ * Hash-chained ledger: verifyLedger finds edited and reordered entries.
+ * Run: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MCIFData = require('../engine/data.js');
+
+const { hashPayload } = MCIFData._internals;
+
+let dir;
+
+test.beforeEach(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcif-ledger-'));
+  await MCIFData.init({ adapter: 'fs', adapterOptions: { basePath: dir }, migrate: false });
+});
+
+test.afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// a session chain of at least four entries, in seq order
+async function chain() {
+  const sessionId = (await MCIFData.createSession({})).session.id;
+  for (const step of ['a', 'b', 'c']) {
+    await MCIFData.appendLedgerEntry({ actor: 'test', action: 'NOTE', sessionId, payload: { step }, rationale: 'test entry' });
+  }
+  const entries = (await MCIFData.listLedgerEntries(sessionId)).sort((a, b) => a.seq - b.seq);
+  assert.ok(entries.length >= 4);
+  return { sessionId, entries };
+}
+
+const issueTypes = result => [...new Set(result.issues.map(i => i.type))].sort();
+
+test('an untouched chain verifies', async () => {
+  const { sessionId, entries } = await chain();
+  const result = await MCIFData.verifyLedger(sessionId);
+  assert.equal(result.valid, true);
+  assert.equal(result.count, entries.length);
+  assert.equal(result.headHash, entries[entries.length - 1].hash);
+});
+
+test('an edited entry is reported as a hash mismatch', async () => {
+  const { sessionId, entries } = await chain();
+  const edited = Object.assign({}, entries[2], { payload: { step: 'rewritten' } });
+  await MCIFData._adapter.set(`ledger:${edited.id}`, edited);
+
+  const result = await MCIFData.verifyLedger(sessionId);
+  assert.equal(result.valid, false);
+  assert.deepEqual(issueTypes(result), ['hash_mismatch']);
+  assert.equal(result.issues[0].entryId, edited.id);
+});
+
+test('swapping two entries breaks the chain even when their hashes are recomputed', async () => {
+  const { sessionId, entries } = await chain();
+  const [first, second] = [entries[1], entries[2]];
+  const swapped = [
+    Object.assign({}, first, { seq: second.seq }),
+    Object.assign({}, second, { seq: first.seq })
+  ];
+  for (const e of swapped) {
+    const { hash, ...body } = e;
+    e.hash = await hashPayload(body);
+    await MCIFData._adapter.set(`ledger:${e.id}`, e);
+  }
+
+  const result = await MCIFData.verifyLedger(sessionId);
+  assert.equal(result.valid, false);
+  assert.ok(issueTypes(result).includes('broken_link'), JSON.stringify(result.issues));
+  assert.ok(!issueTypes(result).includes('hash_mismatch'));
+});
+
+test('removing the newest entry together with the chain head is detected', async () => {
+  const { sessionId, entries } = await chain();
+  const newest = entries[entries.length - 1];
+  await MCIFData._adapter.delete(`ledger:${newest.id}`);
+  await MCIFData._adapter.delete(`ledgerHead:${sessionId}`);
+
+  const result = await MCIFData.verifyLedger(sessionId);
+  assert.equal(result.valid, false);
+  assert.deepEqual(issueTypes(result), ['anchor_mismatch', 'missing_head']);
+  assert.equal(result.issues.find(i => i.type === 'anchor_mismatch').entryId, newest.id);
+});
+
+test('rewinding the chain head over a removed entry is detected', async () => {
+  const { sessionId, entries } = await chain();
+  const [previous, newest] = entries.slice(-2);
+  await MCIFData._adapter.delete(`ledger:${newest.id}`);
+  await MCIFData._adapter.set(`ledgerHead:${sessionId}`, { id: previous.id, seq: previous.seq, hash: previous.hash });
+
+  const result = await MCIFData.verifyLedger(sessionId);
+  assert.equal(result.valid, false);
+  assert.deepEqual(issueTypes(result), ['anchor_mismatch']);
+});
+
+test('entries written before the chain existed are listed as legacy, not as tampering', async () => {
+  const { sessionId, entries } = await chain();
+  const legacy = { id: 'ledger_legacy_1', timestamp: entries[0].timestamp - 1000, actor: 'dataLayer', action: 'SESSION_CREATE', sessionId, payload: {}, payloadSummary: '', rationale: '' };
+  legacy.hash = await hashPayload(legacy);
+  await MCIFData._adapter.set(`ledger:${legacy.id}`, legacy);
+
+  const result = await MCIFData.verifyLedger(sessionId);
+  assert.equal(result.valid, true, JSON.stringify(result.issues));
+  assert.deepEqual(result.legacy, [legacy.id]);
+  assert.equal(result.count, entries.length + 1);
+});
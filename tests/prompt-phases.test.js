@@ -0,0 +1,45 @@
+/**
+ * tests/prompt-phases.test.js
+ * prompts.json phaseIds must match the weights.json phase that owns each prompt's mapsToMetrics.
+ * Run: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MCIFAnalysis = require('../engine/analysis.js');
+const weights = require('../schema/weights.json');
+const prompts = require('../schema/prompts.json');
+
+const { buildPhaseDefinitions, auditPhaseDefinitions, promptPhase } = MCIFAnalysis._internals;
+const defs = buildPhaseDefinitions(weights);
+
+test('every bundled prompt is filed under the phase that owns its metrics', () => {
+  prompts.prompts.forEach(p => {
+    assert.equal(promptPhase(p, defs), p.phaseId, `${p.id}`);
+  });
+  assert.deepEqual(auditPhaseDefinitions(weights, prompts).promptIssues, []);
+});
+
+test('a prompt filed under the wrong phase is reported with the expected phase', () => {
+  const emotion = prompts.prompts.find(p => p.id === 'p_emotion_001');
+  const misfiled = Object.assign({}, emotion, { phaseId: 3 });
+  const issues = auditPhaseDefinitions(weights, { prompts: [misfiled] }).promptIssues;
+  assert.equal(issues.length, 1);
+  assert.equal(issues[0].expectedPhaseId, 4);
+});
+
+test('a misfiled prompt is scored by the phase submetrics, not its foreign metrics', async () => {
+  MCIFAnalysis.init({ weights, prompts });
+  const emotion = prompts.prompts.find(p => p.id === 'p_emotion_001');
+  const response = {
+    id: 'r_test', sessionId: 's_test', phaseId: 3, promptId: emotion.id,
+    text: 'It felt like a storm of colour, a metaphor for how ideas branch and connect in surprising ways.',
+    timestamps: { startedAt: 0, endedAt: 1 }
+  };
+  const result = await MCIFAnalysis.scoreResponse(response, 3, { prompt: Object.assign({}, emotion, { phaseId: 3 }) });
+  assert.deepEqual(Object.keys(result.rawMetrics).sort(), Object.keys(defs['3'].submetrics).sort());
+  assert.ok(result.explanations.some(e => e.metric === 'promptMapping'));
+});
@@ -0,0 +1,136 @@
+/**
+ * tests/remote-adapter.test.js
+ * Remote adapter against an in-process stand-in for the endpoint contract: offline queue replay order,
+ * rev conflicts, and a queue that outlives the adapter.
+ * Run: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const MCIFData = require('../engine/data.js');
+const { memoryAdapter } = require('./helpers.js');
+
+// endpoint stand-in: items with revs, 409 on a stale baseRev, 503 while `down`
+function standIn() {
+  const items = new Map(); // key -> { rev, value }
+  const log = [];
+  let revs = 0;
+  const state = { items, log, down: false };
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+  };
+  state.server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      if (state.down) return send(res, 503, { error: 'unavailable' });
+      const url = new URL(req.url, 'http://stand-in');
+      const m = url.pathname.match(/^\/api\/items\/(.+)$/);
+      const key = m ? decodeURIComponent(m[1]) : null;
+      if (req.method === 'GET' && url.pathname === '/api/keys') {
+        const prefix = url.searchParams.get('prefix') || '';
+        return send(res, 200, { keys: [...items.keys()].filter(k => k.startsWith(prefix)) });
+      }
+      if (!key) return send(res, 404, { error: 'not found' });
+      if (req.method === 'GET') {
+        return items.has(key) ? send(res, 200, Object.assign({ key }, items.get(key))) : send(res, 404, { error: 'not found' });
+      }
+      if (req.method === 'PUT') {
+        const body = JSON.parse(raw);
+        const stored = items.get(key);
+        if ((stored ? stored.rev : null) !== body.baseRev) {
+          return send(res, 409, { error: 'conflict', key, rev: stored.rev, value: stored.value });
+        }
+        const rev = String(++revs);
+        items.set(key, { rev, value: body.value });
+        log.push(`PUT ${key}`);
+        return send(res, 200, { key, rev });
+      }
+      if (req.method === 'DELETE') {
+        const deleted = items.delete(key);
+        log.push(`DELETE ${key}`);
+        return send(res, deleted ? 200 : 404, { key, deleted });
+      }
+      return send(res, 405, { error: 'method not allowed' });
+    });
+  });
+  return new Promise(resolve => {
+    state.server.listen(0, '127.0.0.1', () => {
+      state.endpoint = `http://127.0.0.1:${state.server.address().port}/api`;
+      resolve(state);
+    });
+  });
+}
+
+function stop(state) {
+  state.server.closeAllConnections();
+  return new Promise(resolve => state.server.close(resolve));
+}
+
+// retryBaseMs keeps the adapter's own retries out of the way; the tests flush explicitly
+async function initRemote(endpoint, queueAdapter) {
+  await MCIFData.init({ adapter: 'remote', adapterOptions: { endpoint, queueAdapter, retryBaseMs: 60000 }, migrate: false });
+  return MCIFData._adapter;
+}
+
+test('writes queued while the server is down survive a restart and replay in order', async () => {
+  const server = await standIn();
+  const queueAdapter = memoryAdapter();
+  try {
+    server.down = true;
+    let remote = await initRemote(server.endpoint, queueAdapter);
+    await remote.set('item:1', { n: 1 });
+    await remote.set('item:2', { n: 2 });
+    await remote.set('item:3', { n: 3 });
+    await remote.delete('item:1');
+    assert.equal(remote.syncStatus().pending, 4);
+    assert.deepEqual(await remote.get('item:2'), { n: 2 });
+    assert.deepEqual(server.log, []);
+
+    // restart: a fresh init loads the queue from queueAdapter
+    remote = await initRemote(server.endpoint, queueAdapter);
+    assert.equal(remote.syncStatus().pending, 4);
+
+    server.down = false;
+    const status = await remote.flush();
+    assert.equal(status.pending, 0);
+    assert.deepEqual(status.conflicts, []);
+    assert.deepEqual(server.log, ['PUT item:1', 'PUT item:2', 'PUT item:3', 'DELETE item:1']);
+    assert.deepEqual([...server.items.keys()], ['item:2', 'item:3']);
+    assert.deepEqual((await queueAdapter.get('remoteQueue')).pending, []);
+  } finally {
+    await stop(server);
+  }
+});
+
+test('a rev mismatch surfaces as a conflict, online and from the queue', async () => {
+  const server = await standIn();
+  try {
+    server.items.set('item:a', { rev: 'r-server', value: { by: 'another client' } });
+    const remote = await initRemote(server.endpoint, memoryAdapter());
+
+    // online: the adapter has not read item:a, so it sends baseRev null
+    await assert.rejects(remote.set('item:a', { by: 'me' }), err => {
+      assert.equal(err.code, 'MCIF_CONFLICT');
+      assert.equal(err.remoteRev, 'r-server');
+      assert.deepEqual(err.remoteValue, { by: 'another client' });
+      return true;
+    });
+
+    // queued: the conflict is parked instead of overwriting
+    server.down = true;
+    await remote.set('item:a', { by: 'me, offline' });
+    server.down = false;
+    const status = await remote.flush();
+    assert.equal(status.pending, 0);
+    assert.deepEqual(status.conflicts.map(c => [c.key, c.reason, c.remoteRev]), [['item:a', 'conflict', 'r-server']]);
+    assert.deepEqual(server.items.get('item:a').value, { by: 'another client' });
+  } finally {
+    await stop(server);
+  }
+});
@@ -0,0 +1,105 @@
+/**
+ * tests/rescore.test.js
+ * rescoreSession under a modified manifest: domain deltas, tier and archetype changes, and the RESCORE ledger entry.
+ * Run: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MCIFData = require('../engine/data.js');
+const MCIFAnalysis = require('../engine/analysis.js');
+const weights = require('../schema/weights.json');
+const prompts = require('../schema/prompts.json');
+const { memoryAdapter } = require('./helpers.js');
+
+const ANSWERS = {
+  1: 'I noticed the warm light on the window and felt calm, a small detail that made me think about how attention shapes feeling.',
+  2: 'If the cause is pressure then the effect is stress, because each step depends on the previous one; therefore I map the system as a loop.',
+  3: 'My mind is a river of lanterns, each idea a spark that branches into strange new symbols and unexpected connections.',
+  4: 'I understand why my friend felt hurt, because I ignored her; I can tolerate not knowing exactly how she feels, and I care.',
+  5: 'I notice that I think in loops; when I reflect on my reasoning I check whether my assumptions still hold, and I revise them.',
+  6: 'Meaning comes from integrating care, beauty and honesty; I want my choices to be consistent with values that transform me.'
+};
+
+// phase 1 feeds perception only, the Architect band starts at 20 and archetype thresholds sit on the reachable scale
+function modifiedWeights() {
+  const w = JSON.parse(JSON.stringify(weights));
+  w.version = `${weights.version}-rescore-test`;
+  w.phases['1'].domains = ['perception'];
+  w.tier_modulation.seed.range = [0, 9];
+  w.tier_modulation.growth.range = [10, 19];
+  w.tier_modulation.refinement.range = [20, 549];
+  Object.values(w.archetype_mapping).forEach(a => { a.threshold = a.threshold.map(x => Math.round(x / 7)); });
+  return w;
+}
+
+async function scoredSession() {
+  MCIFAnalysis.init({ weights, prompts });
+  await MCIFData.init({ adapter: memoryAdapter(), analysisEngine: MCIFAnalysis, migrate: false });
+  // full ledger payloads so the RESCORE entry can be inspected
+  const id = (await MCIFData.createSession({ privacy: { storePersonalData: false, retainLedgerHashOnly: false } })).session.id;
+  for (let phaseId = 1; phaseId <= 6; phaseId++) {
+    const prompt = prompts.prompts.find(p => p.phaseId === phaseId);
+    await MCIFData.saveResponse(id, { id: `r${phaseId}`, sessionId: id, phaseId, promptId: prompt.id, text: ANSWERS[phaseId], timestamps: { startedAt: 0, endedAt: 1 } });
+  }
+  const { finalReport } = await MCIFData.computeAndPersistReport(id, MCIFAnalysis);
+  return { id, stored: finalReport };
+}
+
+test('re-scoring under modified weights reports domain, tier and archetype changes without replacing the report', async () => {
+  const { id, stored } = await scoredSession();
+  const { diff, finalReport, ledgerEntry, persisted, integrity } = await MCIFData.rescoreSession(id, { weights: modifiedWeights() });
+
+  assert.equal(persisted, false);
+  assert.equal(integrity.passed, true);
+  assert.equal(diff.changed, true);
+  assert.equal(diff.from.weightsVersion, weights.version);
+  assert.equal(diff.to.weightsVersion, `${weights.version}-rescore-test`);
+
+  // phase 1's share of emotion moves to perception; no other domain is touched
+  const { perception, emotion, ...rest } = diff.domainDeltas;
+  assert.ok(perception.delta > 0, JSON.stringify(perception));
+  assert.equal(emotion.delta, -perception.delta);
+  assert.equal(perception.before, stored.domainScores.perception);
+  assert.equal(perception.after, finalReport.domainScores.perception);
+  Object.entries(rest).forEach(([d, dd]) => assert.equal(dd.delta, 0, d));
+  assert.ok(diff.phaseDeltas.every(p => p.delta === 0), JSON.stringify(diff.phaseDeltas));
+
+  assert.deepEqual(diff.tierChange, { from: stored.tier, to: 'Architect' });
+  assert.notEqual(stored.tier, 'Architect');
+  assert.deepEqual(diff.archetypeChange, { from: stored.archetype.name, to: finalReport.archetype.name });
+  assert.notEqual(stored.archetype.name, finalReport.archetype.name);
+
+  const rescores = (await MCIFData.listLedgerEntries(id)).filter(e => e.action === 'RESCORE');
+  assert.equal(rescores.length, 1);
+  assert.equal(rescores[0].hash, ledgerEntry.hash);
+  assert.deepEqual(rescores[0].payload, {
+    from: { algorithmVersion: stored.generatedBy.algorithmVersion, weightsVersion: weights.version },
+    to: { algorithmVersion: finalReport.generatedBy.algorithmVersion, weightsVersion: `${weights.version}-rescore-test` },
+    compositeDelta: diff.compositeDelta,
+    tierChange: diff.tierChange,
+    archetypeChange: diff.archetypeChange,
+    changed: true,
+    integrity: { passed: true, failures: 0 },
+    persisted: false
+  });
+  assert.equal((await MCIFData.verifyLedger(id)).valid, true);
+
+  const session = (await MCIFData.getSession(id)).session;
+  assert.equal(session.finalReport.compositeScore, stored.compositeScore);
+  assert.equal(session.finalReport.tier, stored.tier);
+});
+
+test('persist replaces the stored report with the re-scored one', async () => {
+  const { id } = await scoredSession();
+  const { finalReport, ledgerEntry } = await MCIFData.rescoreSession(id, { weights: modifiedWeights(), persist: true });
+
+  assert.equal(ledgerEntry.payload.persisted, true);
+  const session = (await MCIFData.getSession(id)).session;
+  assert.equal(session.finalReport.generatedBy.weightsVersion, `${weights.version}-rescore-test`);
+  assert.equal(session.finalReport.tier, 'Architect');
+  assert.equal(session.archetype.name, finalReport.archetype.name);
+});
@@ -0,0 +1,105 @@
+/**
+ * tests/server.test.js
+ * Reference server: ledger entries, chain heads and weight sets cannot be replaced, rewound or deleted
+ * through the storage protocol.
+ * Run: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createServer } = require('../bin/mcif-server.js');
+
+let dir;
+let server;
+let api;
+
+test.before(async () => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcif-server-'));
+  server = await createServer({ dataDir: dir, quiet: true });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  api = `http://127.0.0.1:${server.address().port}/api`;
+});
+
+test.after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function call(method, route, body) {
+  const res = await fetch(api + route, {
+    method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await res.text();
+  return { status: res.status, body: text ? JSON.parse(text) : null };
+}
+
+const item = key => call('GET', `/items/${encodeURIComponent(key)}`);
+const put = (key, value, baseRev) => call('PUT', `/items/${encodeURIComponent(key)}`, { value, baseRev });
+const del = key => call('DELETE', `/items/${encodeURIComponent(key)}`);
+
+// a session whose chain has two entries (seq 0 and 1)
+async function sessionChain() {
+  const created = await call('POST', '/sessions', {});
+  assert.equal(created.status, 201);
+  const sessionId = created.body.session.session.id;
+  const noted = await call('POST', '/ledger', { actor: 'test', action: 'NOTE', sessionId, payload: { n: 1 }, rationale: 'second entry' });
+  assert.equal(noted.status, 201);
+  const { entries } = (await call('GET', `/sessions/${sessionId}/ledger`)).body;
+  return { sessionId, entries: entries.sort((a, b) => a.seq - b.seq) };
+}
+
+test('a stored ledger entry cannot be replaced or deleted', async () => {
+  const { sessionId, entries } = await sessionChain();
+  const key = `ledger:${entries[0].id}`;
+  const stored = await item(key);
+
+  const replaced = await put(key, Object.assign({}, stored.body.value, { rationale: 'rewritten' }), stored.body.rev);
+  assert.equal(replaced.status, 403);
+  assert.equal(replaced.body.error, 'append_only');
+  assert.equal((await del(key)).status, 403);
+
+  assert.deepEqual((await item(key)).body, stored.body);
+  assert.equal((await call('GET', `/sessions/${sessionId}/ledger`)).body.verification.valid, true);
+});
+
+test('a chain head cannot be rewound, replaced by a stranger or deleted', async () => {
+  const { sessionId, entries } = await sessionChain();
+  const key = `ledgerHead:${sessionId}`;
+  const head = await item(key);
+  assert.equal(head.body.value.seq, 1);
+
+  const rewound = await put(key, { id: entries[0].id, seq: entries[0].seq, hash: entries[0].hash }, head.body.rev);
+  assert.equal(rewound.status, 409);
+  assert.equal(rewound.body.error, 'ledger_fork');
+
+  const other = await sessionChain();
+  const foreign = await put(key, { id: other.entries[1].id, seq: other.entries[1].seq, hash: other.entries[1].hash }, head.body.rev);
+  assert.equal(foreign.status, 422);
+  assert.equal(foreign.body.error, 'key_mismatch');
+
+  assert.equal((await del(key)).status, 403);
+  assert.deepEqual((await item(key)).body, head.body);
+});
+
+test('a registered weight set cannot be replaced or deleted', async () => {
+  const { keys } = (await call('GET', '/keys?prefix=weightset:')).body;
+  assert.ok(keys.length > 0);
+  const key = keys[0];
+  const stored = await item(key);
+
+  const replaced = await put(key, Object.assign({}, stored.body.value, { description: 'swapped' }), stored.body.rev);
+  assert.equal(replaced.status, 403);
+  assert.equal(replaced.body.error, 'append_only');
+  assert.equal((await del(key)).status, 403);
+
+  assert.deepEqual((await item(key)).body, stored.body);
+});
@@ -0,0 +1,34 @@
+/**
+ * tests/sessions.test.js
+ * Unfinished sessions: listing is read-only; only sweepAbandonedSessions marks idle sessions abandoned.
+ * Run: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MCIFData = require('../engine/data.js');
+const { memoryAdapter } = require('./helpers.js');
+
+test('listing unfinished sessions writes nothing, sweeping abandons idle ones', async () => {
+  const adapter = memoryAdapter();
+  await MCIFData.init({ adapter, migrate: false });
+  const id = (await MCIFData.createSession({})).session.id;
+
+  // abandonAfterMs -1: every session counts as idle
+  const writes = adapter.writes;
+  const ledgerBefore = (await MCIFData.listLedgerEntries(id)).length;
+  const listed = await MCIFData.listUnfinishedSessions({ abandonAfterMs: -1 });
+  assert.deepEqual(listed.map(s => [s.sessionId, s.status, s.idle]), [[id, 'initialized', true]]);
+  assert.equal(adapter.writes, writes);
+  assert.equal((await MCIFData.listLedgerEntries(id)).length, ledgerBefore);
+  assert.equal((await MCIFData.listUnfinishedSessions())[0].idle, false);
+
+  assert.deepEqual(await MCIFData.sweepAbandonedSessions({ abandonAfterMs: -1 }), [id]);
+  assert.equal((await MCIFData.getSession(id)).session.status, 'abandoned');
+  const entries = await MCIFData.listLedgerEntries(id);
+  assert.equal(entries.filter(e => e.action === 'SESSION_ABANDON').length, 1);
+  assert.deepEqual(await MCIFData.listUnfinishedSessions({ abandonAfterMs: -1 }), []);
+});
@@ -0,0 +1,68 @@
+/**
+ * tests/tier-modulation.test.js
+ * weights.json tier_modulation: band modifiers keep the composite continuous across band edges.
+ * Run: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MCIFAnalysis = require('../engine/analysis.js');
+const weights = require('../schema/weights.json');
+
+const { modulateComposite, resolveTierBand } = MCIFAnalysis._internals;
+const bands = weights.tier_modulation;
+const TIER_ORDER = ['Explorer', 'Architect', 'Visionary'];
+
+test('modulated composite is continuous at every band edge', () => {
+  Object.keys(bands).forEach(name => {
+    const edge = bands[name].range[0];
+    if (edge === 0) return;
+    const below = modulateComposite(edge - 0.01, bands);
+    const at = modulateComposite(edge, bands);
+    assert.ok(at - below >= 0 && at - below < 0.02, `${name} edge ${edge}: ${below} -> ${at}`);
+  });
+});
+
+test('modulated composite and tier never decrease as the base composite rises', () => {
+  let prev = -1;
+  let prevTier = 0;
+  for (let base = 0; base <= 700; base += 0.5) {
+    const composite = modulateComposite(base, bands);
+    const tier = TIER_ORDER.indexOf(resolveTierBand(composite, bands).tier);
+    assert.ok(composite >= prev, `base ${base}: ${composite} < ${prev}`);
+    assert.ok(tier >= prevTier, `base ${base}: tier fell to ${TIER_ORDER[tier]}`);
+    prev = composite;
+    prevTier = tier;
+  }
+});
+
+test('bundled bands: pinned values at the edges', () => {
+  const at = base => Number(modulateComposite(base, bands).toFixed(2));
+  assert.equal(at(0), 0);
+  assert.equal(at(200), 170); // seed 0..200 at 0.85
+  assert.equal(at(399), 369);
+  assert.equal(at(400), 370); // growth at 1.0
+  assert.equal(at(550), 542.5); // refinement at 1.15
+  assert.equal(at(700), 700); // clamped
+});
+
+test('computeComposite reports every band segment applied and the band the composite fell in', () => {
+  const contributions = {};
+  Object.keys(weights.domains).forEach(d => { contributions[d] = 0.6; });
+  const result = MCIFAnalysis._internals.computeCompositeFromDomainContributions(contributions, weights);
+  assert.equal(result.tierModulation.baseComposite, 420);
+  assert.deepEqual(result.tierModulation.segments, [
+    { band: 'seed', span: [0, 200], modifier: 0.85 },
+    { band: 'growth', span: [200, 400], modifier: 1 },
+    { band: 'refinement', span: [400, 420], modifier: 1.15 }
+  ]);
+  const applied = result.tierModulation.segments.reduce((sum, s) => sum + (s.span[1] - s.span[0]) * s.modifier, 0);
+  assert.equal(Number(applied.toFixed(2)), result.compositeScore);
+  assert.equal(result.compositeScore, 393);
+  assert.equal(result.tierModulation.tierBand, 'growth');
+  assert.equal(result.tier, 'Explorer');
+  assert.equal('modifier' in result.tierModulation, false);
+});
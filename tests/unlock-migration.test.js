@@ -0,0 +1,39 @@
+/**
+ * tests/unlock-migration.test.js
+ * init's migrate option applies to that call only; unlockStorage takes its own.
+ * Run: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MCIFData = require('../engine/data.js');
+const { memoryAdapter } = require('./helpers.js');
+
+test('unlockStorage migrates unless its own migrate option says otherwise', async () => {
+  const inner = memoryAdapter();
+  await MCIFData.init({ adapter: 'encrypted', adapterOptions: { inner, iterations: 1000, passphrase: 'correct horse' }, migrate: false });
+  const id = (await MCIFData.createSession({})).session.id;
+  const doc = await MCIFData._adapter.get(`session:${id}`);
+  doc.version = '7.1.0';
+  await MCIFData._adapter.set(`session:${id}`, doc);
+  MCIFData.lockStorage();
+
+  await MCIFData.init({ adapter: 'encrypted', adapterOptions: { inner, iterations: 1000 }, migrate: false });
+  assert.equal(MCIFData.isStorageLocked(), true);
+  assert.equal('migrate' in MCIFData._opts, false);
+  const storedVersion = async () => (await MCIFData._adapter.get(`session:${id}`)).version;
+
+  await MCIFData.unlockStorage('correct horse', { migrate: 'dry-run' });
+  assert.equal(MCIFData.lastMigration.dryRun, true);
+  assert.deepEqual(MCIFData.lastMigration.migrated.map(m => m.sessionId), [id]);
+  assert.equal(await storedVersion(), '7.1.0');
+
+  MCIFData.lockStorage();
+  await MCIFData.unlockStorage('correct horse');
+  assert.equal(MCIFData.lastMigration.dryRun, false);
+  assert.deepEqual(MCIFData.lastMigration.migrated.map(m => m.sessionId), [id]);
+  assert.equal(await storedVersion(), MCIFData.SESSION_DOC_VERSION);
+});
@@ -0,0 +1,78 @@
+/**
+ * tests/validator.test.js
+ * Draft-07 subset validator: documents the DataLayer writes pass, broken instances fail with pointers to the bad value.
+ * Run: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MCIFValidator = require('../engine/validator.js');
+const MCIFData = require('../engine/data.js');
+const schema = require('../schema/mcif-schema.json');
+const { memoryAdapter } = require('./helpers.js');
+
+const validate = MCIFValidator.createValidator(schema);
+const failures = result => result.errors.map(e => [e.path, e.keyword]);
+
+async function storedDocuments() {
+  await MCIFData.init({ adapter: memoryAdapter(), validator: validate, migrate: false });
+  const session = await MCIFData.createSession({});
+  const [entry] = await MCIFData.listLedgerEntries(session.session.id);
+  return { session, entry };
+}
+
+test('a new session and its ledger entry are valid', async () => {
+  const { session, entry } = await storedDocuments();
+  assert.deepEqual((await validate(session, 'SessionDocument')).errors, []);
+  assert.deepEqual((await validate(entry, 'LedgerEntry')).errors, []);
+});
+
+test('invalid instances are reported at the offending value', async () => {
+  const { session, entry } = await storedDocuments();
+
+  session.session.tier = 'Wizard';
+  const sessionResult = await validate(session, 'SessionDocument');
+  assert.equal(sessionResult.valid, false);
+  assert.ok(sessionResult.errors.every(e => e.path === '/session/tier'), JSON.stringify(sessionResult.errors));
+
+  const { hash, ...unhashed } = entry;
+  const entryResult = await validate(Object.assign(unhashed, { seq: '0', extra: true }), 'LedgerEntry');
+  assert.equal(entryResult.valid, false);
+  const paths = entryResult.errors.map(e => e.path);
+  ['/hash', '/seq'].forEach(p => assert.ok(paths.includes(p), `${p} in ${JSON.stringify(entryResult.errors)}`));
+
+  await assert.rejects(validate(entry, 'NoSuchDefinition'), /Unknown schema definition/);
+});
+
+test('keywords on a small schema', async () => {
+  const check = MCIFValidator.createValidator({
+    definitions: {
+      id: { type: 'string', pattern: '^[a-z]+$' },
+      Thing: {
+        type: 'object',
+        required: ['id', 'score'],
+        additionalProperties: false,
+        properties: {
+          id: { $ref: '#/definitions/id' },
+          score: { type: 'number', minimum: 0, exclusiveMaximum: 1 },
+          kind: { enum: ['a', 'b'] },
+          tags: { type: 'array', items: { type: 'string' }, uniqueItems: true, maxItems: 3 },
+          owner: { oneOf: [{ $ref: '#/definitions/id' }, { type: 'null' }] }
+        }
+      }
+    }
+  });
+
+  assert.equal((await check({ id: 'abc', score: 0.5, kind: 'a', tags: ['x', 'y'], owner: null }, 'Thing')).valid, true);
+  assert.equal((await check({ id: 'abc', score: 0, owner: 'def' }, 'Thing')).valid, true);
+  assert.deepEqual(failures(await check({ score: 1 }, 'Thing')), [['/id', 'required'], ['/score', 'exclusiveMaximum']]);
+  assert.deepEqual(failures(await check({ id: 'ABC', score: -1, extra: true }, 'Thing')), [
+    ['/id', 'pattern'], ['/score', 'minimum'], ['/extra', 'additionalProperties']
+  ]);
+  const nested = failures(await check({ id: 'a', score: 0, kind: 'c', tags: ['x', 'x', 1, 'z'], owner: 5 }, 'Thing'));
+  [['/kind', 'enum'], ['/tags', 'maxItems'], ['/tags', 'uniqueItems'], ['/tags/2', 'type'], ['/owner', 'oneOf']]
+    .forEach(f => assert.ok(nested.some(n => n[0] === f[0] && n[1] === f[1]), `${f} in ${JSON.stringify(nested)}`));
+});
@@ -0,0 +1,87 @@
+/**
+ * tests/weights-integrity.test.js
+ * weights.json integrity_checks: strict init rejects a broken manifest, lenient init warns, and the check lands on the ledger.
+ * Run: node --test tests/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MCIFAnalysis = require('../engine/analysis.js');
+const MCIFData = require('../engine/data.js');
+const weights = require('../schema/weights.json');
+const prompts = require('../schema/prompts.json');
+const { memoryAdapter } = require('./helpers.js');
+
+// domain weights sum to 1.05 and phase 3 names a domain the manifest does not declare
+function brokenWeights(strictMode = true) {
+  const w = JSON.parse(JSON.stringify(weights));
+  w.version = `${weights.version}-broken`;
+  w.domains.logic = 0.2;
+  w.phases['3'].domains = w.phases['3'].domains.concat('intuition');
+  w.integrity_checks.strict_mode = strictMode;
+  return w;
+}
+
+const failurePaths = integrity => integrity.failures.map(f => [f.check, f.path]);
+const EXPECTED_FAILURES = [['verify_sum_to_one', 'domains'], ['verify_domain_alignment', 'phases.3.domains']];
+
+test('the bundled manifest passes its own checks', () => {
+  const integrity = MCIFAnalysis.checkWeightsIntegrity(weights);
+  assert.equal(integrity.passed, true, JSON.stringify(integrity.failures));
+  assert.equal(integrity.strict, true);
+  assert.deepEqual(integrity.checks, ['verify_sum_to_one', 'verify_domain_alignment']);
+});
+
+test('strict init rejects a manifest that fails and keeps the previous one', () => {
+  MCIFAnalysis.init({ weights, prompts });
+
+  assert.throws(() => MCIFAnalysis.init({ weights: brokenWeights() }), err => {
+    assert.match(err.message, /-broken failed integrity checks/);
+    assert.match(err.message, /domain weights sum to 1\.05/);
+    assert.match(err.message, /unknown domain "intuition"/);
+    assert.deepEqual(failurePaths(err.integrity), EXPECTED_FAILURES);
+    return true;
+  });
+  assert.equal(MCIFAnalysis.init({}).integrity.weightsVersion, weights.version);
+});
+
+test('lenient mode returns the failures as warnings', () => {
+  const fromManifest = MCIFAnalysis.init({ weights: brokenWeights(false), prompts }).integrity;
+  assert.equal(fromManifest.strict, false);
+  assert.equal(fromManifest.passed, false);
+  assert.deepEqual(failurePaths(fromManifest), EXPECTED_FAILURES);
+
+  const fromOption = MCIFAnalysis.init({ weights: brokenWeights(), prompts, strict: false }).integrity;
+  assert.equal(fromOption.strict, false);
+  assert.deepEqual(failurePaths(fromOption), EXPECTED_FAILURES);
+
+  MCIFAnalysis.init({ weights, prompts });
+});
+
+test('recordManifestCheck writes the outcome to the global ledger chain', async () => {
+  await MCIFData.init({ adapter: memoryAdapter(), migrate: false });
+
+  const rejected = MCIFAnalysis.checkWeightsIntegrity(brokenWeights());
+  const entry = await MCIFData.recordManifestCheck(rejected, { source: 'test' });
+  await MCIFData.recordManifestCheck(MCIFAnalysis.init({ weights: brokenWeights(), prompts, strict: false }).integrity, { source: 'test' });
+  MCIFAnalysis.init({ weights, prompts });
+
+  const checks = (await MCIFData.listLedgerEntries(null)).filter(e => e.action === 'MANIFEST_CHECK');
+  assert.equal(checks.length, 2);
+  assert.equal(checks[0].hash, entry.hash);
+  assert.equal(entry.sessionId, null);
+  assert.deepEqual(entry.payload, {
+    summary: `weights ${weights.version}-broken: rejected (2 integrity failures)`,
+    source: 'test',
+    weightsVersion: `${weights.version}-broken`,
+    strict: true,
+    outcome: 'rejected',
+    checks: ['verify_sum_to_one', 'verify_domain_alignment'],
+    failures: rejected.failures
+  });
+  assert.equal(checks[1].payload.outcome, 'accepted_with_warnings');
+  assert.equal((await MCIFData.verifyLedger(null)).valid, true);
+});
@@ -21,6 +21,8 @@ const IDs = {
   splash: 'splash',
   consent: 'consent',
   selectTier: 'select-tier',
+  selectLocale: 'select-locale',
+  selectWeightSet: 'select-weightset',
   inputUsername: 'input-username',
   btnStart: 'btn-start',
   btnDemo: 'btn-demo',
@@ -52,23 +54,37 @@ const IDs = {
   coherenceWave: 'coherence-wave',
   btnExportJson: 'btn-export-json',
   btnPauseSession: 'btn-pause-session',
-  btnReturn: 'btn-return'
+  btnReturn: 'btn-return',
+  resumeSessions: 'resume-sessions',
+  btnCohort: 'btn-cohort',
+  cohortScreen: 'cohort-screen',
+  cohortMeta: 'cohort-meta',
+  cohortSummary: 'cohort-summary',
+  cohortDomains: 'cohort-domains',
+  cohortArchetypes: 'cohort-archetypes',
+  cohortCorrelations: 'cohort-correlations',
+  btnCohortRefresh: 'btn-cohort-refresh',
+  btnCohortClose: 'btn-cohort-close'
 };
 
 let callbacks = {}; // app-provided callbacks
+let cohortReturnTo = null; // panel that was visible before the cohort dashboard opened
 let currentPhase = 1;
+let currentPromptId = null; // id of the prompt last passed to renderPrompt
 let totalPhases = 6;
-let phaseNames = [
-  'Perceptual Awareness',
-  'Cognitive Mechanics',
-  'Emotive Intelligence',
-  'Meta-Cognitive Insight',
-  'Creative Intelligence',
-  'Philosophical Depth'
+let phaseNames = [ // defaults mirror weights.json phases; app overrides via setPhaseNames()
+  'Perceptual Genesis',
+  'Cognitive Architecture',
+  'Creative Divergence',
+  'Affective Integration',
+  'Reflective Metacognition',
+  'Integrative Synthesis'
 ];
 
 // Voice recognition state
 let speechRecognizer = null;
+let speechLocale = 'en-US'; // follows the session's response language
+const SPEECH_LOCALES = { en: 'en-US', es: 'es-ES', de: 'de-DE' };
 let voiceActive = false;
 
 // Developer console buffer
@@ -117,7 +133,11 @@ function applyPhaseClass(phaseNum) {
  *   onFollowupClick: (followup) => Promise,
  *   onExport: () => Promise,
  *   onPause: () => Promise,
- *   onSkip: () => Promise
+ *   onSkip: () => Promise,
+ *   onOpenLedger: () => Promise<{ entries, verification }>,
+ *   onOpenCohort: () => Promise<cohort summary> (MCIFCohort.analyzeCohort),
+ *   onResume: (sessionId) => Promise,
+ *   onDiscard: (sessionId) => Promise
  * }
  */
 export function initUI(cb = {}) {
@@ -138,8 +158,12 @@ export function initUI(cb = {}) {
       // assemble session config
       const cfg = {
         tier: $(IDs.selectTier)?.value || 'Explorer',
+        locale: $(IDs.selectLocale)?.value || 'en',
+        weightSet: $(IDs.selectWeightSet)?.value || 'default',
         username: $(IDs.inputUsername)?.value || null
       };
+      speechLocale = SPEECH_LOCALES[cfg.locale] || cfg.locale;
+      speechRecognizer = null; // rebuilt with the new language on next use
       // call back to app
       if (typeof callbacks.onStart === 'function') {
         try {
@@ -193,6 +217,11 @@ export function initUI(cb = {}) {
   }
   const btnEthics = $(IDs.btnEthics);
   if (btnEthics) btnEthics.addEventListener('click', openEthicsDialog);
+
+  // Cohort dashboard
+  $(IDs.btnCohort)?.addEventListener('click', openCohortDashboard);
+  $(IDs.btnCohortRefresh)?.addEventListener('click', openCohortDashboard);
+  $(IDs.btnCohortClose)?.addEventListener('click', closeCohortDashboard);
   const ethicsDialog = $(IDs.ethicsDialog);
   if (ethicsDialog) {
     const accept = $(IDs.btnEthicalAccept);
@@ -270,6 +299,63 @@ export function renderPhaseList(active = 1, total = 6) {
   if (prog) prog.value = active;
 }
 
+/**
+ * setWeightSets(list) - fill the administrator weight-set picker from DataLayer.listWeightSets()
+ * ({ name, version, description }, newest version first per name). Options are 'name@version'.
+ */
+export function setWeightSets(list = []) {
+  const select = $(IDs.selectWeightSet);
+  if (!select || !Array.isArray(list) || list.length === 0) return;
+  const previous = select.value;
+  select.innerHTML = '';
+  list.forEach(ws => {
+    const ref = `${ws.name}@${ws.version}`;
+    select.appendChild(el('option', { value: ref, text: ws.description ? `${ref} — ${ws.description}` : ref }));
+  });
+  const fallback = list.find(ws => ws.name === 'default') || list[0];
+  select.value = list.some(ws => `${ws.name}@${ws.version}` === previous) ? previous : `${fallback.name}@${fallback.version}`;
+}
+
+/**
+ * setPhaseNames() - replace tracker labels (ordered by phase id) and re-render
+ */
+export function setPhaseNames(names = []) {
+  if (!Array.isArray(names) || names.length === 0) return;
+  phaseNames = names.slice();
+  totalPhases = names.length;
+  renderPhaseList(currentPhase, totalPhases);
+}
+
+/**
+ * setUnfinishedSessions(list) — "Continue session" entries on the splash screen.
+ * list: DataLayer.listUnfinishedSessions() result [{ sessionId, tier, updatedAt, currentPhase, answeredPhases, idle }]
+ */
+export function setUnfinishedSessions(list = []) {
+  const box = $(IDs.resumeSessions);
+  if (!box) return;
+  box.innerHTML = '';
+  box.classList.toggle('hidden', list.length === 0);
+  if (list.length === 0) return;
+  box.appendChild(el('strong', { text: list.length === 1 ? 'You have an unfinished session' : 'You have unfinished sessions' }));
+  list.forEach(s => {
+    const row = el('div', { class: 'resume-row' });
+    const phaseName = phaseNames[s.currentPhase - 1] || `Phase ${s.currentPhase}`;
+    const when = new Date(s.updatedAt).toLocaleString();
+    row.appendChild(el('span', { class: 'resume-label', text: `${s.tier} — ${s.answeredPhases.length} of ${totalPhases} phases answered, next: ${phaseName} (last active ${when}${s.idle ? ', inactive for a while' : ''})` }));
+    const btnContinue = el('button', { class: 'btn primary', type: 'button', text: 'Continue session' });
+    btnContinue.addEventListener('click', async () => {
+      if (typeof callbacks.onResume === 'function') await callbacks.onResume(s.sessionId);
+    });
+    const btnDiscard = el('button', { class: 'btn', type: 'button', text: 'Discard' });
+    btnDiscard.addEventListener('click', async () => {
+      if (typeof callbacks.onDiscard === 'function') await callbacks.onDiscard(s.sessionId);
+    });
+    row.appendChild(btnContinue);
+    row.appendChild(btnDiscard);
+    box.appendChild(row);
+  });
+}
+
 /**
  * setPhase() - apply body class, update tracker, and set local state
  */
@@ -289,6 +375,7 @@ export function setPhase(phaseNum) {
  */
 export function renderPrompt(phaseNum, promptObj = {}) {
   currentPhase = phaseNum || (promptObj.phaseId || 1);
+  currentPromptId = (promptObj && promptObj.id) || `phase${currentPhase}_prompt`;
   setPhase(currentPhase);
   const title = $(IDs.stageTitle);
   const hint = $(IDs.stageHint);
@@ -378,7 +465,8 @@ export function showFollowups(list = []) {
 
 /**
  * renderReport(report) - report is expected to include:
- * { compositeScore, domainScores (object), tier, coherenceWaveform: [{t, amplitude}], insightSummary, archetype }
+ * { compositeScore, domainScores (object), tier, coherenceWaveform: [{t, amplitude}], insightSummary, archetype,
+ *   reflectiveStability: { mean, credibleInterval: { level, lower, upper } } }
  */
 export function renderReport(report = {}) {
   // show summary
@@ -387,9 +475,17 @@ export function renderReport(report = {}) {
     summary.innerHTML = `
       <div><strong>Composite score:</strong> ${report.compositeScore || '—'}</div>
       <div><strong>Tier:</strong> ${report.tier || '—'}</div>
-      <div><strong>Archetype:</strong> ${report.archetype ? report.archetype.name : '—'}</div>
+      <div><strong>Archetype:</strong> ${formatArchetype(report.archetype)}</div>
+      <div><strong>Reflective stability:</strong> ${formatStability(report.reflectiveStability)}</div>
       <div style="color:var(--muted);margin-top:8px">${report.insightSummary || ''}</div>
     `;
+    if (report.archetype && Array.isArray(report.archetype.distribution)) {
+      summary.appendChild(renderArchetypeDistribution(report.archetype.distribution));
+    }
+    summary.appendChild(renderCrossPhaseLinks(report.crossPhaseLinks || []));
+    if (Array.isArray(report.counterfactuals) && report.counterfactuals.length) {
+      summary.appendChild(renderCounterfactuals(report.counterfactuals));
+    }
   }
 
   // small radar/vector in vector-visual
@@ -400,6 +496,68 @@ export function renderReport(report = {}) {
   logDev('report rendered');
 }
 
+/* "62% (95% credible interval 48–76%)" from report.reflectiveStability */
+function formatStability(rs) {
+  if (!rs || typeof rs.mean !== 'number' || !rs.credibleInterval) return '—';
+  const pct = v => Math.round(v * 100);
+  const ci = rs.credibleInterval;
+  return `${pct(rs.mean)}% <span style="color:var(--muted)">(${Math.round(ci.level * 100)}% credible interval ${pct(ci.lower)}–${pct(ci.upper)}%)</span>`;
+}
+
+/* "Empathic Grounder (54%) — next: Balanced Strategist, 12 points behind" from report.archetype */
+function formatArchetype(a) {
+  if (!a) return '—';
+  const pct = v => Math.round(v * 100);
+  const next = a.runnerUp
+    ? ` <span style="color:var(--muted)">— next: ${a.runnerUp.name}, ${pct(a.runnerUp.margin)} points behind</span>`
+    : '';
+  return `${a.name} (${pct(a.confidence)}%)${next}`;
+}
+
+/* Ranked archetype probabilities as labelled bars */
+function renderArchetypeDistribution(distribution = []) {
+  const wrap = el('div', { class: 'archetype-distribution' });
+  distribution.forEach(d => {
+    const pct = Math.round(d.probability * 100);
+    const row = el('div', { class: 'archetype-row' });
+    row.appendChild(el('span', { class: 'archetype-name', text: d.label || d.name }));
+    const bar = el('span', { class: 'archetype-bar' });
+    bar.appendChild(el('span', { class: 'archetype-fill', style: `width:${pct}%` }));
+    row.appendChild(bar);
+    row.appendChild(el('span', { class: 'archetype-pct', text: `${pct}%` }));
+    wrap.appendChild(row);
+  });
+  return wrap;
+}
+
+/* List of concepts carried from earlier phases into later answers (built with textContent — concepts are participant words) */
+function renderCrossPhaseLinks(links = []) {
+  const wrap = el('div', { class: 'cross-phase-links' });
+  wrap.appendChild(el('strong', { text: 'How your thinking carried through:' }));
+  if (links.length === 0) {
+    wrap.appendChild(el('div', { class: 'help-text', text: 'No shared concepts with earlier answers were found.' }));
+    return wrap;
+  }
+  const list = el('ul');
+  links.forEach(l => {
+    const from = phaseNames[l.fromPhaseId - 1] || `Phase ${l.fromPhaseId}`;
+    const to = phaseNames[l.toPhaseId - 1] || `Phase ${l.toPhaseId}`;
+    list.appendChild(el('li', { text: `${from} → ${to}: ${l.sharedConcepts.join(', ')}` }));
+  });
+  wrap.appendChild(list);
+  return wrap;
+}
+
+/* "What would change my result" — counterfactual statements from the engine */
+function renderCounterfactuals(counterfactuals = []) {
+  const wrap = el('div', { class: 'counterfactuals' });
+  wrap.appendChild(el('strong', { text: 'What would change your result:' }));
+  const list = el('ul');
+  counterfactuals.forEach(cf => list.appendChild(el('li', { text: cf.statement })));
+  wrap.appendChild(list);
+  return wrap;
+}
+
 /* Draw a simple radial vector map into #vector-visual */
 function drawVectorMap(domainScores = {}) {
   const container = $(IDs.vectorVisual) || $(IDs.vectorVisual.toLowerCase()) || null;
@@ -489,13 +647,144 @@ function drawWaveform(points = []) {
   ctx.stroke();
 }
 
+/* ===== Cohort dashboard ===== */
+
+function setPanelVisible(panel, visible) {
+  panel.classList.toggle('hidden', !visible);
+  panel.setAttribute('aria-hidden', visible ? 'false' : 'true');
+}
+
+async function openCohortDashboard() {
+  const screen = $(IDs.cohortScreen);
+  if (!screen) return;
+  if (screen.classList.contains('hidden')) {
+    cohortReturnTo = Array.from(document.querySelectorAll('main > section.panel')).find(p => p !== screen && !p.classList.contains('hidden')) || null;
+    if (cohortReturnTo) setPanelVisible(cohortReturnTo, false);
+    setPanelVisible(screen, true);
+  }
+  let summary = null;
+  if (typeof callbacks.onOpenCohort === 'function') {
+    try {
+      summary = await callbacks.onOpenCohort();
+    } catch (e) {
+      logDev('onOpenCohort error: ' + e);
+    }
+  }
+  renderCohort(summary);
+}
+
+function closeCohortDashboard() {
+  const screen = $(IDs.cohortScreen);
+  if (screen) setPanelVisible(screen, false);
+  if (cohortReturnTo) setPanelVisible(cohortReturnTo, true);
+  cohortReturnTo = null;
+}
+
+/**
+ * renderCohort(summary) — summary is the MCIFCohort.analyzeCohort result:
+ * { n, composite, domains: { [domain]: { n, mean, sd, min, max, percentiles, histogram } },
+ *   archetypes: [{ name, count, share }], tiers, correlations: { domains, matrix }, versions }
+ */
+export function renderCohort(summary) {
+  const meta = $(IDs.cohortMeta);
+  const box = $(IDs.cohortSummary);
+  const domainsBox = $(IDs.cohortDomains);
+  const archBox = $(IDs.cohortArchetypes);
+  const corrBox = $(IDs.cohortCorrelations);
+  [box, domainsBox, archBox, corrBox].forEach(b => { if (b) b.innerHTML = ''; });
+  if (!summary || !summary.n) {
+    if (meta) meta.textContent = '';
+    if (box) box.appendChild(el('div', { class: 'help-text', text: summary ? 'No completed sessions yet.' : 'Cohort analytics are unavailable.' }));
+    return;
+  }
+  if (meta) meta.textContent = `${summary.n} completed session${summary.n === 1 ? '' : 's'} — ` + summary.versions.map(v => `${v.name} (${v.count})`).join(', ');
+
+  if (box) {
+    const c = summary.composite;
+    box.appendChild(el('div', {}, [el('strong', { text: 'Composite: ' }), `mean ${fmt(c.mean)} ± ${fmt(c.sd)}, median ${fmt(c.percentiles.p50)}, range ${fmt(c.min)}–${fmt(c.max)}`]));
+    box.appendChild(el('div', {}, [el('strong', { text: 'Tiers: ' }), summary.tiers.map(t => `${t.name} ${Math.round(t.share * 100)}%`).join(', ')]));
+    if (summary.versions.length > 1) {
+      box.appendChild(el('div', { class: 'help-text', text: 'Sessions were scored with different weights or algorithm versions; their scores are not directly comparable.' }));
+    }
+  }
+
+  if (domainsBox) {
+    domainsBox.appendChild(el('strong', { text: 'Score distributions' }));
+    const table = el('table', { class: 'cohort-table' });
+    table.appendChild(el('tr', {}, ['', 'n', 'mean', 'sd', 'p10', 'p25', 'p50', 'p75', 'p90', 'distribution'].map(h => el('th', { text: h }))));
+    const rows = [['composite', summary.composite]].concat(Object.keys(summary.domains).map(d => [d, summary.domains[d]]));
+    rows.forEach(([name, st]) => {
+      const p = st.percentiles;
+      const cells = [name, st.n, fmt(st.mean), fmt(st.sd), fmt(p.p10), fmt(p.p25), fmt(p.p50), fmt(p.p75), fmt(p.p90)].map(v => el('td', { text: String(v) }));
+      cells.push(el('td', {}, renderHistogram(st.histogram)));
+      table.appendChild(el('tr', {}, cells));
+    });
+    domainsBox.appendChild(table);
+  }
+
+  if (archBox) {
+    archBox.appendChild(el('strong', { text: 'Archetypes' }));
+    // same bars as the per-session archetype distribution, with cohort shares
+    archBox.appendChild(renderArchetypeDistribution(summary.archetypes.map(a => ({ name: `${a.name} (${a.count})`, probability: a.share }))));
+  }
+
+  if (corrBox) {
+    corrBox.appendChild(el('strong', { text: 'Domain correlations (Pearson r)' }));
+    const { domains, matrix } = summary.correlations;
+    const table = el('table', { class: 'cohort-table cohort-corr' });
+    table.appendChild(el('tr', {}, [el('th', { text: '' })].concat(domains.map(d => el('th', { text: d.slice(0, 4), title: d })))));
+    domains.forEach((d, i) => {
+      const cells = [el('td', { text: d })];
+      matrix[i].forEach(r => {
+        // mint for positive, red for negative; opacity follows |r|
+        const bg = r === null ? 'transparent' : (r >= 0 ? `rgba(110,231,183,${Math.abs(r) * 0.6})` : `rgba(255,107,107,${Math.abs(r) * 0.6})`);
+        cells.push(el('td', { text: r === null ? '—' : r.toFixed(2), style: `background:${bg}` }));
+      });
+      table.appendChild(el('tr', {}, cells));
+    });
+    corrBox.appendChild(table);
+    if (summary.n < 3) corrBox.appendChild(el('div', { class: 'help-text', text: 'Correlations need at least three completed sessions.' }));
+  }
+  logDev('cohort rendered');
+}
+
+function fmt(v) {
+  return typeof v === 'number' ? Number(v.toFixed(2)) : '—';
+}
+
+/* Inline histogram: one bar per bin, heights relative to the fullest bin */
+function renderHistogram(bins = []) {
+  const wrap = el('span', { class: 'cohort-histogram' });
+  const max = Math.max(1, ...bins.map(b => b.count));
+  bins.forEach(b => wrap.appendChild(el('span', { style: `height:${Math.max(1, Math.round((b.count / max) * 18))}px`, title: `${b.from}–${b.to}: ${b.count}` })));
+  return wrap;
+}
+
 /* ===== Ledger modal ===== */
 
-export function openLedgerModal(entries = []) {
+/* header click: ask app for entries + chain verification, then render */
+async function openLedgerDialog() {
+  let result = { entries: [], verification: null };
+  if (typeof callbacks.onOpenLedger === 'function') {
+    try {
+      result = (await callbacks.onOpenLedger()) || result;
+    } catch (e) {
+      logDev('onOpenLedger error: ' + e);
+    }
+  }
+  openLedgerModal(result.entries, result.verification);
+}
+
+/**
+ * openLedgerModal(entries, verification)
+ * verification (optional) is the DataLayer.verifyLedger result: { valid, count, legacy, issues: [...] }
+ */
+export function openLedgerModal(entries = [], verification = null) {
   const dialog = $(IDs.ledgerDialog);
   const list = $(IDs.ledgerEntries);
   if (!dialog || !list) return;
   list.innerHTML = '';
+  if (verification) list.appendChild(renderLedgerVerification(verification));
   (entries || []).forEach(e => {
     const wrap = el('div', { class: 'ledger-entry' });
     wrap.innerHTML = `
@@ -509,8 +798,39 @@ export function openLedgerModal(entries = []) {
   try { dialog.showModal(); } catch (e) { dialog.open = true; }
 }
 
+function renderLedgerVerification(v) {
+  const issues = Array.isArray(v.issues) ? v.issues : [];
+  const wrap = el('div', { class: 'ledger-verify ' + (v.valid ? 'ok' : 'broken'), role: 'status' });
+  wrap.appendChild(el('div', {
+    style: 'font-weight:700',
+    text: v.valid
+      ? `Chain verified — ${v.count} entries, no tampering detected.`
+      : `Chain verification failed — ${issues.length} issue${issues.length === 1 ? '' : 's'} found.`
+  }));
+  const legacy = Array.isArray(v.legacy) ? v.legacy.length : 0;
+  if (legacy) {
+    wrap.appendChild(el('div', {
+      style: 'font-size:12px;color:var(--muted);margin-top:4px',
+      text: `${legacy} earlier entr${legacy === 1 ? 'y predates' : 'ies predate'} the hash chain and cannot be verified.`
+    }));
+  }
+  issues.forEach(i => {
+    wrap.appendChild(el('div', {
+      style: 'font-size:12px;color:var(--muted);margin-top:4px',
+      text: `${i.type}${i.seq !== null && i.seq !== undefined ? ' @ #' + i.seq : ''}${i.entryId ? ' (' + i.entryId + ')' : ''}`
+    }));
+  });
+  return wrap;
+}
+
 /* Close ledger dialog - index.html provides close button with dialog.close() automatically */
 
+function openEthicsDialog() {
+  const dialog = $(IDs.ethicsDialog);
+  if (!dialog) return;
+  try { dialog.showModal(); } catch (e) { dialog.open = true; }
+}
+
 /* ===== Developer console ===== */
 
 export function toggleDevConsole() {
@@ -539,7 +859,7 @@ function initSpeechRecognizer() {
   if (!supportsSpeech()) return null;
   const Speech = window.SpeechRecognition || window.webkitSpeechRecognition;
   const recog = new Speech();
-  recog.lang = 'en-US';
+  recog.lang = speechLocale;
   recog.interimResults = true;
   recog.continuous = false;
   recog.maxAlternatives = 1;
@@ -595,7 +915,7 @@ async function handleSubmitResponse() {
   const responseObj = {
     id: `r_${Date.now().toString(36)}_${Math.floor(Math.random()*1e6).toString(36)}`,
     phaseId: currentPhase,
-    promptId: null, // app should set more details if needed
+    promptId: currentPromptId || `phase${currentPhase}_prompt`, // sessionId is attached by app
     text,
     timestamps: { startedAt: Date.now() - Math.min(120000, text.length * 50), endedAt: Date.now(), submittedAt: Date.now() },
     meta: { inputMode: voiceActive ? 'voice' : 'keyboard' }
@@ -626,13 +946,6 @@ async function handleSubmitResponse() {
 
 /* ===== Public small helpers ===== */
 export { renderPhaseList as renderPhases };
-export { getResponse };
-export { clearResponse };
-export { showMirror };
-export { showScores };
-export { showFollowups };
-export { renderPrompt };
-export { renderReport };
 export { openLedgerModal as openLedger };
 export { setPhase as setCurrentPhase };
 
@@ -640,6 +953,9 @@ export { setPhase as setCurrentPhase };
 export default {
   initUI,
   setPhase,
+  setPhaseNames,
+  setWeightSets,
+  setUnfinishedSessions,
   renderPrompt,
   getResponse,
   clearResponse,
@@ -647,6 +963,8 @@ export default {
   showScores,
   showFollowups,
   renderReport,
-  openLedger,
+  renderCohort,
+  renderPhases: renderPhaseList,
+  openLedger: openLedgerModal,
   toggleDevConsole
 };